@@ -1,26 +1,308 @@
+#!/usr/bin/env node
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  isInitializeRequest,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import fs from "fs";
+import http from "http";
 import path from "path";
 import os from "os";
 import crypto from "crypto";
+import zlib from "zlib";
+import { setTimeout as delay } from "timers/promises";
+
+// ─── Configuration ────────────────────────────────────────────────────────────
+// Effective value of each setting: schema default < global config < project config < environment.
+
+const DEFAULT_ANTIGRAVITY_DIR = path.join(os.homedir(), ".gemini", "antigravity");
+const GLOBAL_CONFIG_FILE = process.env.ANTIGRAVITY_CONTEXT_CONFIG
+  || path.join(DEFAULT_ANTIGRAVITY_DIR, "context_mcp", "config.json");
+const PROJECT_CONFIG_FILENAME = ".antigravity-context.json";
+
+const CONFIG_SCHEMA = {
+  antigravity_dir: {
+    type: "path",
+    scope: "global",
+    env: "ANTIGRAVITY_CONTEXT_DIR",
+    default: DEFAULT_ANTIGRAVITY_DIR,
+    description: "Antigravity data directory (brain/, knowledge/, code_tracker/)",
+  },
+  state_dir: {
+    type: "path",
+    scope: "global",
+    env: "ANTIGRAVITY_CONTEXT_STATE_DIR",
+    default: null,
+    description: "This server's own state (indexes, registries, master.key); default <antigravity_dir>/context_mcp",
+  },
+  max_response_chars: {
+    type: "integer",
+    min: 1000,
+    scope: "project",
+    env: "ANTIGRAVITY_CONTEXT_MAX_RESPONSE_CHARS",
+    default: 50000,
+    description: "Longer tool responses are truncated",
+  },
+  backup_retention: {
+    type: "integer",
+    min: 1,
+    scope: "project",
+    env: "ANTIGRAVITY_CONTEXT_BACKUP_RETENTION",
+    default: 30,
+    description: "Backups kept per file",
+  },
+  max_sessions: {
+    type: "integer",
+    min: 1,
+    scope: "project",
+    env: "ANTIGRAVITY_CONTEXT_MAX_SESSIONS",
+    default: 20,
+    description: "Cap for count / last_n in recall_sessions and recall_notes",
+  },
+  note_tags: {
+    type: "tags",
+    scope: "project",
+    env: "ANTIGRAVITY_CONTEXT_NOTE_TAGS",
+    default: ["codeword", "instruction", "decision", "credential", "todo"],
+    description: "Tag vocabulary offered for notes (comma-separated in the environment)",
+  },
+  strict_tags: {
+    type: "boolean",
+    scope: "project",
+    env: "ANTIGRAVITY_CONTEXT_STRICT_TAGS",
+    default: false,
+    description: "Reject note tags that are not in note_tags",
+  },
+  scan_secrets: {
+    type: "boolean",
+    scope: "project",
+    env: "ANTIGRAVITY_CONTEXT_SCAN_SECRETS",
+    default: true,
+    description: "Move secrets found in new or edited notes into the encrypted credentials",
+  },
+  due_soon_days: {
+    type: "integer",
+    min: 0,
+    scope: "project",
+    env: "ANTIGRAVITY_CONTEXT_DUE_SOON_DAYS",
+    default: 3,
+    description: "Open todos due within this many days are shown at the top of recall",
+  },
+  http_port: {
+    type: "integer",
+    min: 1,
+    max: 65535,
+    scope: "global",
+    env: "ANTIGRAVITY_CONTEXT_HTTP_PORT",
+    default: 7337,
+    description: "Port for `serve` (the HTTP transport always binds to 127.0.0.1)",
+  },
+  read_only: {
+    type: "boolean",
+    scope: "global",
+    env: "ANTIGRAVITY_CONTEXT_READ_ONLY",
+    default: false,
+    description: "Refuse every tool and CLI command that writes files",
+  },
+  allowed_roots: {
+    type: "paths",
+    scope: "global",
+    env: "ANTIGRAVITY_CONTEXT_ALLOWED_ROOTS",
+    default: [],
+    description: `Directories that project files, exports and .env output may be written under; empty allows any (separated by "${path.delimiter}" in the environment)`,
+  },
+  disabled_tools: {
+    type: "names",
+    scope: "global",
+    env: "ANTIGRAVITY_CONTEXT_DISABLED_TOOLS",
+    default: [],
+    description: "Tools hidden from clients and refused when called (comma-separated in the environment)",
+  },
+};
+
+/** Parse and validate one raw value against its schema entry (throws with the reason) */
+function coerceConfigValue(key, raw, fromEnv) {
+  const spec = CONFIG_SCHEMA[key];
+  switch (spec.type) {
+    case "path":
+      return coerceConfigPath(raw);
+    case "paths": {
+      const list = fromEnv ? raw.split(path.delimiter).map((p) => p.trim()).filter(Boolean) : raw;
+      if (!Array.isArray(list)) throw new Error("must be a list of absolute paths");
+      return [...new Set(list.map(coerceConfigPath))];
+    }
+    case "integer": {
+      const n = fromEnv ? Number(raw) : raw;
+      if (!Number.isInteger(n) || n < spec.min) throw new Error(`must be an integer ≥ ${spec.min} (got ${JSON.stringify(raw)})`);
+      if (spec.max !== undefined && n > spec.max) throw new Error(`must be an integer ≤ ${spec.max} (got ${JSON.stringify(raw)})`);
+      return n;
+    }
+    case "boolean": {
+      if (!fromEnv) {
+        if (typeof raw !== "boolean") throw new Error(`must be true or false (got ${JSON.stringify(raw)})`);
+        return raw;
+      }
+      if (/^(1|true|yes|on)$/i.test(raw)) return true;
+      if (/^(0|false|no|off)$/i.test(raw)) return false;
+      throw new Error(`must be true or false (got "${raw}")`);
+    }
+    case "tags": {
+      const list = fromEnv ? raw.split(",").map((t) => t.trim()).filter(Boolean) : raw;
+      if (!Array.isArray(list) || list.length === 0) throw new Error("must be a non-empty list of tags");
+      const bad = list.find((t) => typeof t !== "string" || !/^[\p{L}\p{N}_-]+$/u.test(t));
+      if (bad !== undefined) throw new Error(`has an invalid tag ${JSON.stringify(bad)} (letters, digits, "_" and "-" only)`);
+      return [...new Set(list)];
+    }
+    case "names": {
+      const list = fromEnv ? raw.split(",").map((t) => t.trim()).filter(Boolean) : raw;
+      if (!Array.isArray(list)) throw new Error("must be a list of names");
+      const bad = list.find((t) => typeof t !== "string" || !/^[a-z0-9_]+$/.test(t));
+      if (bad !== undefined) throw new Error(`has an invalid name ${JSON.stringify(bad)} (lowercase letters, digits and "_" only)`);
+      return [...new Set(list)];
+    }
+    default:
+      throw new Error(`has unsupported type ${spec.type}`);
+  }
+}
+
+/** Expand ~ and require an absolute path */
+function coerceConfigPath(raw) {
+  if (typeof raw !== "string" || !raw.trim()) throw new Error("must be a non-empty string");
+  const expanded = raw.trim().replace(/^~(?=$|[\\/])/, os.homedir());
+  if (!path.isAbsolute(expanded)) throw new Error(`must be an absolute path (got "${raw}")`);
+  return path.resolve(expanded);
+}
+
+/** Validate a config file: { values, warnings, exists } — invalid entries are skipped with a warning */
+function readConfigFile(filePath, scope) {
+  const result = { values: {}, warnings: [], exists: fs.existsSync(filePath) };
+  if (!result.exists) return result;
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    result.warnings.push(`${filePath}: not valid JSON (${err.message})`);
+    return result;
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    result.warnings.push(`${filePath}: must contain a JSON object`);
+    return result;
+  }
+  for (const [key, raw] of Object.entries(data)) {
+    if (key === "$schema") continue;
+    const spec = CONFIG_SCHEMA[key];
+    if (!spec) {
+      result.warnings.push(`${filePath}: unknown setting "${key}"`);
+      continue;
+    }
+    if (scope === "project" && spec.scope === "global") {
+      result.warnings.push(`${filePath}: "${key}" can only be set in the global config or the environment`);
+      continue;
+    }
+    try {
+      result.values[key] = coerceConfigValue(key, raw, false);
+    } catch (err) {
+      result.warnings.push(`${filePath}: "${key}" ${err.message}`);
+    }
+  }
+  return result;
+}
+
+// filePath → { mtimeMs, result }: config files are re-validated only when they change
+const configFileCache = new Map();
+
+function readConfigFileCached(filePath, scope) {
+  let mtimeMs = null;
+  try { mtimeMs = fs.statSync(filePath).mtimeMs; } catch { /* missing */ }
+  const cached = configFileCache.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.result;
+  const result = readConfigFile(filePath, scope);
+  configFileCache.set(filePath, { mtimeMs, result });
+  return result;
+}
+
+/**
+ * Effective configuration, optionally with a project's overrides:
+ * { values, sources, warnings, files } where sources[key] says where each value came from.
+ */
+function resolveConfig(projectPath) {
+  const values = {};
+  const sources = {};
+  const warnings = [];
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    values[key] = spec.default;
+    sources[key] = "default";
+  }
+
+  const files = [{ label: "global config", path: GLOBAL_CONFIG_FILE, scope: "global" }];
+  if (typeof projectPath === "string" && path.isAbsolute(projectPath)) {
+    files.push({ label: "project config", path: path.join(projectPath, PROJECT_CONFIG_FILENAME), scope: "project" });
+  }
+  for (const file of files) {
+    const result = readConfigFileCached(file.path, file.scope);
+    file.exists = result.exists;
+    warnings.push(...result.warnings);
+    for (const [key, value] of Object.entries(result.values)) {
+      values[key] = value;
+      sources[key] = `${file.label} (${file.path})`;
+    }
+  }
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const raw = process.env[spec.env];
+    if (raw === undefined || raw === "") continue;
+    try {
+      values[key] = coerceConfigValue(key, raw, true);
+      sources[key] = `env ${spec.env}`;
+    } catch (err) {
+      warnings.push(`${spec.env}: ${err.message}`);
+    }
+  }
+
+  if (!values.state_dir) values.state_dir = path.join(values.antigravity_dir, "context_mcp");
+  return { values, sources, warnings, files };
+}
+
+// Paths are fixed for the life of the process; every other setting is resolved per tool call
+const STARTUP_CONFIG = resolveConfig(null);
+let currentConfig = STARTUP_CONFIG;
+
+/** Effective value of a setting for the current tool call (global + its project_path) */
+function cfg(key) {
+  return currentConfig.values[key];
+}
+
+/** Effective global value of a setting (tool descriptions and other project-independent text) */
+function globalCfg(key) {
+  return resolveConfig(null).values[key];
+}
 
 // ─── Paths ────────────────────────────────────────────────────────────────────
-const ANTIGRAVITY_DIR = path.join(os.homedir(), ".gemini", "antigravity");
+const ANTIGRAVITY_DIR = STARTUP_CONFIG.values.antigravity_dir;
 const BRAIN_DIR = path.join(ANTIGRAVITY_DIR, "brain");
 const KNOWLEDGE_DIR = path.join(ANTIGRAVITY_DIR, "knowledge");
 const CODE_TRACKER_DIR = path.join(ANTIGRAVITY_DIR, "code_tracker", "active");
 const CREDENTIALS_FILENAME = ".credentials";
 const CREDENTIALS_ENC_FILENAME = ".credentials.enc";
+const STATE_DIR = STARTUP_CONFIG.values.state_dir;
+const SEARCH_INDEX_FILE = path.join(STATE_DIR, "search-index.json");
+const MASTER_KEY_FILE = path.join(STATE_DIR, "master.key");
+const CREDENTIALS_REGISTRY_FILE = path.join(STATE_DIR, "credentials-files.json");
+const PROJECTS_FILE = path.join(STATE_DIR, "projects.json");
+const BRAIN_INDEX_FILE = path.join(STATE_DIR, "brain-index.json");
 
 // ─── Constants ────────────────────────────────────────────────────────────────
-const MAX_RESPONSE_CHARS = 50000;
 const VERSION = "5.0.0";
-const BACKUP_RETENTION = 30;
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -32,37 +314,283 @@ function readFileSafe(filePath) {
   }
 }
 
-/** Truncate response text if it exceeds MAX_RESPONSE_CHARS */
+/** Truncate response text if it exceeds the max_response_chars setting */
 function truncateResponse(text) {
-  if (text.length <= MAX_RESPONSE_CHARS) return text;
+  const maxChars = cfg("max_response_chars");
+  if (text.length <= maxChars) return text;
   return (
-    text.slice(0, MAX_RESPONSE_CHARS) +
-    `\n\n⚠️ [TRUNCATED — ${text.length.toLocaleString()} chars total, showing first ${MAX_RESPONSE_CHARS.toLocaleString()}]`
+    text.slice(0, maxChars) +
+    `\n\n⚠️ [TRUNCATED — ${text.length.toLocaleString()} chars total, showing first ${maxChars.toLocaleString()}]`
   );
 }
 
+/** Error with a stable machine-readable code (see ERROR_CODES) */
+function codedError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
 /** Validate that a path exists on disk */
 function validatePath(p, label = "Path") {
-  if (!p || typeof p !== "string") throw new Error(`${label} is required`);
-  if (!path.isAbsolute(p)) throw new Error(`${label} must be an absolute path: ${p}`);
-  if (!fs.existsSync(p)) throw new Error(`${label} not found: ${p}`);
+  if (!p || typeof p !== "string") throw codedError("INVALID_ARGUMENT", `${label} is required`);
+  if (!path.isAbsolute(p)) throw codedError("INVALID_ARGUMENT", `${label} must be an absolute path: ${p}`);
+  if (!fs.existsSync(p)) throw codedError("NOT_FOUND", `${label} not found: ${p}`);
+}
+
+/** Read a JSON state file from STATE_DIR (fallback when missing or unreadable) */
+function readStateJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+/** Atomically write a JSON state file */
+function writeStateJson(filePath, data, pretty = true) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data), "utf8");
+  fs.renameSync(tmp, filePath);
 }
 
 /** Validate session_id format (UUID-like) */
 function validateSessionId(id) {
-  if (!id || typeof id !== "string") throw new Error("session_id is required");
-  if (!/^[a-f0-9-]+$/i.test(id)) throw new Error(`Invalid session_id format: ${id}`);
+  if (!id || typeof id !== "string") throw codedError("INVALID_ARGUMENT", "session_id is required");
+  if (!/^[a-f0-9-]+$/i.test(id)) throw codedError("INVALID_ARGUMENT", `Invalid session_id format: ${id}`);
+}
+
+// ─── Write policy (read-only mode, allowed roots, disabled tools) ─────────────
+
+// Tools that write files; a function decides for tools that only write with some arguments
+const WRITE_TOOLS = {
+  link_session: true,
+  unlink_session: true,
+  materialize_credentials: true,
+  save_credentials: true,
+  delete_credential: true,
+  rename_credential_section: true,
+  rotate_key: true,
+  save_context_file: true,
+  generate_context_file: (args) => args?.write === true,
+  save_note: true,
+  update_note: true,
+  delete_note: true,
+  pin_note: true,
+  record_decision: true,
+  complete_todo: true,
+  restore_backup: true,
+  scan_notes: (args) => args?.redact === true,
+  context_export: true,
+  context_import: (args) => args?.dry_run !== true,
+};
+
+// Never written to, whatever allowed_roots says
+const SYSTEM_DIRS = process.platform === "win32"
+  ? [process.env.SystemRoot || "C:\\Windows", process.env.ProgramFiles, process.env["ProgramFiles(x86)"], process.env.ProgramData].filter(Boolean)
+  : ["/bin", "/boot", "/dev", "/etc", "/lib", "/lib32", "/lib64", "/proc", "/run", "/sbin", "/sys", "/usr",
+    "/var/lib", "/var/log", "/var/spool", "/System", "/Library", "/private/etc", "/private/var/db"];
+
+function isInsideDir(target, dir) {
+  const rel = path.relative(dir, target);
+  return rel === "" || (rel !== ".." && !rel.startsWith(`..${path.sep}`) && !path.isAbsolute(rel));
+}
+
+/** Where a write would really land: symlinks resolved, including dangling ones and missing tail segments */
+function realPathForWrite(target) {
+  let current = path.resolve(target);
+  const rest = [];
+  for (let links = 0; links <= 40;) {
+    try {
+      return path.join(fs.realpathSync(current), ...rest);
+    } catch {
+      let link = null;
+      try { if (fs.lstatSync(current).isSymbolicLink()) link = fs.readlinkSync(current); } catch { /* missing */ }
+      if (link !== null) {
+        current = path.resolve(path.dirname(current), link);
+        links++;
+        continue;
+      }
+      const parent = path.dirname(current);
+      if (parent === current) return path.join(current, ...rest);
+      rest.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+  throw codedError("POLICY_DENIED", `Too many symbolic links: ${target}`);
+}
+
+/** Refuse a tool call that disabled_tools or read_only rules out (throws POLICY_DENIED) */
+function checkToolPolicy(name, args) {
+  if (cfg("disabled_tools").includes(name)) {
+    throw codedError("POLICY_DENIED", `${name} is disabled by disabled_tools (${currentConfig.sources.disabled_tools})`);
+  }
+  const writes = typeof WRITE_TOOLS[name] === "function" ? WRITE_TOOLS[name](args) : WRITE_TOOLS[name] === true;
+  if (writes && cfg("read_only")) {
+    throw codedError("POLICY_DENIED", `${name} writes files and the server is read-only (read_only, ${currentConfig.sources.read_only})`);
+  }
+}
+
+/**
+ * Refuse to write a caller-chosen path (throws POLICY_DENIED with the reason): read-only
+ * mode, a symlink leading out of root, system directories, dotfiles and dot-directories
+ * directly in the home directory, and anything outside allowed_roots when that is set.
+ * Returns the real path.
+ */
+function checkWritePath(target, label, root = path.dirname(target)) {
+  const deny = (reason) => codedError("POLICY_DENIED", `Refusing to write ${label} ${target}: ${reason}`);
+  if (cfg("read_only")) throw deny(`the server is read-only (read_only, ${currentConfig.sources.read_only})`);
+
+  const real = realPathForWrite(target);
+  const realRoot = realPathForWrite(root);
+  if (!isInsideDir(real, realRoot)) throw deny(`it resolves through a symlink to ${real}, outside ${root}`);
+  const where = real === path.resolve(target) ? "it" : `its real path ${real}`;
+
+  const fsRoot = path.parse(real).root;
+  const systemDir = path.dirname(real) === fsRoot ? fsRoot : SYSTEM_DIRS.find((dir) => isInsideDir(real, dir));
+  if (systemDir) throw deny(`${where} is in the system directory ${systemDir}`);
+
+  const home = realPathForWrite(os.homedir());
+  if (isInsideDir(real, home) && real !== home) {
+    const top = path.relative(home, real).split(path.sep)[0];
+    if (top.startsWith(".")) throw deny(`${where} is ${top === path.relative(home, real) ? "" : "under "}${path.join(home, top)} (home dotfiles are off limits)`);
+  }
+
+  const roots = cfg("allowed_roots");
+  if (roots.length && !roots.some((dir) => isInsideDir(real, realPathForWrite(dir)))) {
+    throw deny(`${where} is outside allowed_roots (${roots.join(", ")})`);
+  }
+  return real;
 }
 
 // ─── Encryption (AES-256-GCM) ─────────────────────────────────────────────────
+//
+// Payload format: v2:<key source>:<key id>[@<salt>]:<iv>:<tag>:<data>
+//   key source — machine | passphrase | keyfile
+//   key id     — first 8 hex chars of SHA-256(key), so a wrong key is detected
+//                before decryption and the error can name the expected key
+//   salt       — passphrase keys only: the random per-install salt the key was
+//                derived with, so another machine can derive it from the passphrase
+// Legacy payloads (≤ 5.0.0) are bare <iv>:<tag>:<data> with the machine key.
+
+const PAYLOAD_VERSION = "v2";
+const PASSPHRASE_ENV = "ANTIGRAVITY_CONTEXT_PASSPHRASE";
+const KEY_FILE_ENV = "ANTIGRAVITY_CONTEXT_KEY_FILE";
+const MASTER_SALT_FILE = path.join(STATE_DIR, "master-salt");
+
+const derivedKeyCache = new Map();
+
+/** Machine-bound key (hostname + username) — the default when no master key is configured */
+function deriveKey(hostname = os.hostname(), username = os.userInfo().username) {
+  const seed = `antigravity-context:${hostname}:${username}`;
+  const cacheKey = `machine:${seed}`;
+  if (!derivedKeyCache.has(cacheKey)) {
+    derivedKeyCache.set(cacheKey, crypto.scryptSync(seed, "antigravity-salt-v4", 32));
+  }
+  return derivedKeyCache.get(cacheKey);
+}
+
+function keyFingerprint(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+}
+
+function makeKey(source, key, label) {
+  return { source, key, id: keyFingerprint(key), label };
+}
+
+/** Random salt for passphrase keys, created once per install (hex) */
+function masterKeySalt() {
+  try {
+    const salt = fs.readFileSync(MASTER_SALT_FILE, "utf8").trim();
+    if (/^[0-9a-f]{32}$/.test(salt)) return salt;
+  } catch { /* not created yet */ }
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  const salt = crypto.randomBytes(16).toString("hex");
+  try {
+    fs.writeFileSync(MASTER_SALT_FILE, `${salt}\n`, { encoding: "utf8", mode: 0o600, flag: "wx" });
+    return salt;
+  } catch (err) {
+    // Another process created it first — use theirs
+    if (err.code === "EEXIST") return fs.readFileSync(MASTER_SALT_FILE, "utf8").trim();
+    throw err;
+  }
+}
+
+/**
+ * Key derived from a master passphrase and a salt (this install's salt by default).
+ * The key can re-derive itself for the salt recorded in a payload from another install.
+ */
+function passphraseKey(passphrase, salt = masterKeySalt()) {
+  const cacheKey = `passphrase:${salt}:${crypto.createHash("sha256").update(passphrase).digest("hex")}`;
+  if (!derivedKeyCache.has(cacheKey)) {
+    derivedKeyCache.set(cacheKey, crypto.scryptSync(passphrase, Buffer.from(salt, "hex"), 32, { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 }));
+  }
+  return {
+    ...makeKey("passphrase", derivedKeyCache.get(cacheKey), "master passphrase"),
+    salt,
+    withSalt: (other) => passphraseKey(passphrase, other),
+  };
+}
+
+/** Key read from a local key file (any content; hashed to 256 bits) */
+function keyFileKey(filePath) {
+  const bytes = fs.readFileSync(filePath);
+  if (bytes.length === 0) throw new Error(`Key file is empty: ${filePath}`);
+  return makeKey("keyfile", crypto.createHash("sha256").update(bytes).digest(), `key file ${filePath}`);
+}
+
+function machineKey(hostname = os.hostname(), username = os.userInfo().username) {
+  return makeKey("machine", deriveKey(hostname, username), `machine key (${hostname}/${username})`);
+}
+
+function getKeyFilePath() {
+  return process.env[KEY_FILE_ENV] || MASTER_KEY_FILE;
+}
+
+/** Key used for new encryptions: passphrase env > key file > machine */
+function getActiveKey() {
+  const passphrase = process.env[PASSPHRASE_ENV];
+  if (passphrase) return passphraseKey(passphrase);
+  const keyFile = getKeyFilePath();
+  if (fs.existsSync(keyFile)) return keyFileKey(keyFile);
+  return machineKey();
+}
+
+/** Every key this process can use to decrypt, active key first */
+function getAvailableKeys(extraKeys = []) {
+  const keys = [getActiveKey(), ...extraKeys];
+  const keyFile = getKeyFilePath();
+  if (fs.existsSync(keyFile)) {
+    try { keys.push(keyFileKey(keyFile)); } catch { /* unreadable key file */ }
+  }
+  keys.push(machineKey());
+  const seen = new Set();
+  return keys.filter((k) => !seen.has(k.id) && seen.add(k.id));
+}
+
+/** The key a payload names: matched by ID, passphrase keys re-derived with the payload's salt */
+function findPayloadKey(keys, id, salt) {
+  for (const key of keys) {
+    const resalt = key.withSalt && /^[0-9a-f]{32}$/.test(salt || "") && key.salt !== salt;
+    const candidate = resalt ? key.withSalt(salt) : key;
+    if (candidate.id === id) return candidate;
+  }
+  return null;
+}
+
+function describeKey(source, id) {
+  return `${source} key ${id}`;
+}
 
-function deriveKey() {
-  const seed = `antigravity-context:${os.hostname()}:${os.userInfo().username}`;
-  return crypto.scryptSync(seed, "antigravity-salt-v4", 32);
+/** What to do when a payload's key isn't available */
+function missingKeyHint(source) {
+  if (source === "passphrase") return `set ${PASSPHRASE_ENV} to the passphrase it was encrypted with`;
+  if (source === "keyfile") return `restore the key file (${getKeyFilePath()}) or point ${KEY_FILE_ENV} at it`;
+  return "it was encrypted on another machine or under a different hostname/username; run rotate_key with old_hostname to recover it";
 }
 
-function encryptText(plaintext) {
-  const key = deriveKey();
+function aesEncrypt(key, plaintext) {
   const iv = crypto.randomBytes(12);
   const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
   let encrypted = cipher.update(plaintext, "utf8", "hex");
@@ -71,12 +599,7 @@ function encryptText(plaintext) {
   return `${iv.toString("hex")}:${tag}:${encrypted}`;
 }
 
-function decryptText(payload) {
-  const key = deriveKey();
-  const parts = payload.split(":");
-  if (parts.length < 3) throw new Error("Invalid encrypted format");
-  const [ivHex, tagHex, ...encParts] = parts;
-  const encrypted = encParts.join(":");
+function aesDecrypt(key, ivHex, tagHex, encrypted) {
   const decipher = crypto.createDecipheriv(
     "aes-256-gcm",
     key,
@@ -88,39 +611,374 @@ function decryptText(payload) {
   return decrypted;
 }
 
-// ─── Brain helpers ────────────────────────────────────────────────────────────
+function encryptText(plaintext, key = getActiveKey()) {
+  const id = key.salt ? `${key.id}@${key.salt}` : key.id;
+  return `${PAYLOAD_VERSION}:${key.source}:${id}:${aesEncrypt(key.key, plaintext)}`;
+}
 
-/** Get all brain folders sorted by mtime descending, with artifact info */
-function getBrainFoldersSorted() {
-  if (!fs.existsSync(BRAIN_DIR)) return [];
-  return fs
-    .readdirSync(BRAIN_DIR)
-    .filter((name) => {
-      const full = path.join(BRAIN_DIR, name);
-      try {
-        return fs.statSync(full).isDirectory() && name !== "tempmediaStorage";
-      } catch {
-        return false;
+/** Key source and ID recorded in a payload (legacy payloads: machine key, unknown ID) */
+function inspectPayload(payload) {
+  if (payload.startsWith(`${PAYLOAD_VERSION}:`)) {
+    const [, source, field] = payload.split(":");
+    const [id, salt = null] = field.split("@");
+    return { version: PAYLOAD_VERSION, source, id, salt };
+  }
+  return { version: "v1", source: "machine", id: null };
+}
+
+function decryptText(payload, extraKeys = []) {
+  const keys = getAvailableKeys(extraKeys);
+
+  if (payload.startsWith(`${PAYLOAD_VERSION}:`)) {
+    const parts = payload.split(":");
+    if (parts.length < 6) throw codedError("DECRYPT_FAILED", "Invalid encrypted format");
+    const [, source, field, ivHex, tagHex, ...encParts] = parts;
+    const [id, salt] = field.split("@");
+    const key = findPayloadKey(keys, id, salt);
+    if (!key) {
+      const available = keys.map((k) => describeKey(k.source, k.id)).join(", ");
+      throw codedError(
+        "DECRYPT_FAILED",
+        `Encrypted with ${describeKey(source, id)}, but only ${available} ${keys.length === 1 ? "is" : "are"} available — ${missingKeyHint(source)}`
+      );
+    }
+    try {
+      return aesDecrypt(key.key, ivHex, tagHex, encParts.join(":"));
+    } catch {
+      throw codedError("DECRYPT_FAILED", `Authentication failed with ${describeKey(source, id)} — the data is corrupted or was modified`);
+    }
+  }
+
+  // Legacy: no key ID — try the machine keys we know of
+  const parts = payload.split(":");
+  if (parts.length < 3) throw codedError("DECRYPT_FAILED", "Invalid encrypted format");
+  const [ivHex, tagHex, ...encParts] = parts;
+  for (const key of keys.filter((k) => k.source === "machine")) {
+    try {
+      return aesDecrypt(key.key, ivHex, tagHex, encParts.join(":"));
+    } catch { /* try next */ }
+  }
+  throw codedError("DECRYPT_FAILED", `Legacy payload without key ID could not be decrypted with the machine key — ${missingKeyHint("machine")}`);
+}
+
+// ─── Export envelope (versioned, optionally passphrase-protected) ─────────────
+
+const EXPORT_FORMAT = "antigravity-context-export";
+const EXPORT_FORMAT_VERSION = 2;
+const EXPORT_SCRYPT = { N: 32768, r: 8, p: 1, keylen: 32 };
+// Import files are untrusted: scrypt parameters beyond these are refused before deriving
+const EXPORT_SCRYPT_LIMITS = { N: 2 ** 20, r: 16, p: 4, memory: 256 * 1024 * 1024 };
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/** Resolve a portable export secret from a passphrase or key file (null = local key) */
+function resolveExportSecret(passphrase, keyFile) {
+  if (passphrase && keyFile) throw codedError("INVALID_ARGUMENT", "Use either passphrase or key_file, not both");
+  if (passphrase) {
+    if (typeof passphrase !== "string") throw codedError("INVALID_ARGUMENT", "passphrase must be a string");
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw codedError("INVALID_ARGUMENT", `passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    return { secret: Buffer.from(passphrase, "utf8"), source: "passphrase" };
+  }
+  if (keyFile) {
+    validatePath(keyFile, "key_file");
+    const secret = fs.readFileSync(keyFile);
+    if (secret.length === 0) throw codedError("INVALID_ARGUMENT", `key_file is empty: ${keyFile}`);
+    return { secret, source: "key_file" };
+  }
+  return null;
+}
+
+/** Reject scrypt parameters from an export header that would cost too much CPU or memory */
+function validateExportKdf(kdf) {
+  const limits = EXPORT_SCRYPT_LIMITS;
+  const bad = (what) => codedError("INVALID_EXPORT", `Invalid export file: ${what}`);
+  if (typeof kdf.salt !== "string" || !/^(?:[0-9a-f]{2}){16,64}$/i.test(kdf.salt)) throw bad("scrypt salt must be 16–64 bytes of hex");
+  if (!Number.isInteger(kdf.N) || kdf.N < 2 || kdf.N > limits.N || (kdf.N & (kdf.N - 1)) !== 0) {
+    throw bad(`scrypt N must be a power of two ≤ ${limits.N}`);
+  }
+  if (!Number.isInteger(kdf.r) || kdf.r < 1 || kdf.r > limits.r) throw bad(`scrypt r must be 1–${limits.r}`);
+  if (!Number.isInteger(kdf.p) || kdf.p < 1 || kdf.p > limits.p) throw bad(`scrypt p must be 1–${limits.p}`);
+  if (kdf.keylen !== EXPORT_SCRYPT.keylen) throw bad(`scrypt keylen must be ${EXPORT_SCRYPT.keylen}`);
+  if (128 * kdf.N * kdf.r > limits.memory) throw bad(`scrypt parameters need more than ${formatBytes(limits.memory)}`);
+}
+
+function deriveExportKey(secret, kdf) {
+  validateExportKdf(kdf);
+  return crypto.scryptSync(secret, Buffer.from(kdf.salt, "hex"), kdf.keylen, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: 256 * kdf.N * kdf.r,
+  });
+}
+
+/** Encrypt an export into a self-describing JSON envelope (header records KDF, salt, params) */
+function encryptExport(plaintext, exportSecret) {
+  let kdf;
+  let key;
+  if (exportSecret) {
+    kdf = { name: "scrypt", salt: crypto.randomBytes(16).toString("hex"), ...EXPORT_SCRYPT };
+    key = deriveExportKey(exportSecret.secret, kdf);
+  } else {
+    const localKey = getActiveKey();
+    kdf = { name: "local", source: localKey.source, key_id: localKey.id, ...(localKey.salt && { salt: localKey.salt }), host: os.hostname() };
+    key = localKey.key;
+  }
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_FORMAT_VERSION,
+    cipher: "aes-256-gcm",
+    kdf,
+    ...(exportSecret ? { secret_source: exportSecret.source } : {}),
+    iv: iv.toString("hex"),
+    tag: cipher.getAuthTag().toString("hex"),
+    ciphertext: ciphertext.toString("base64"),
+  }, null, 2);
+}
+
+/** Decrypt an export file, auto-detecting the versioned envelope vs. legacy machine-bound format */
+function decryptExport(payload, exportSecret) {
+  if (!payload.startsWith("{")) {
+    // v1 (≤ 5.0.0): bare iv:tag:data encrypted with the machine-bound key
+    try {
+      return decryptText(payload);
+    } catch (err) {
+      throw codedError("DECRYPT_FAILED", `Cannot decrypt export: ${err.message}`);
+    }
+  }
+
+  let envelope;
+  try {
+    envelope = JSON.parse(payload);
+  } catch {
+    throw codedError("INVALID_EXPORT", "Invalid export file: unreadable header");
+  }
+  if (envelope.format !== EXPORT_FORMAT) throw codedError("INVALID_EXPORT", "Invalid export file: unknown format");
+  if (envelope.version > EXPORT_FORMAT_VERSION) {
+    throw codedError("INVALID_EXPORT", `Export format v${envelope.version} is newer than this server supports (v${EXPORT_FORMAT_VERSION})`);
+  }
+
+  const kdf = envelope.kdf || {};
+  let key;
+  if (kdf.name === "scrypt") {
+    if (!exportSecret) {
+      const hint = envelope.secret_source === "key_file" ? "key_file" : "passphrase";
+      throw codedError("DECRYPT_FAILED", `This export is protected — provide the ${hint} used to create it`);
+    }
+    key = deriveExportKey(exportSecret.secret, kdf);
+  } else if (kdf.name === "local") {
+    const localKey = findPayloadKey(getAvailableKeys(), kdf.key_id, kdf.salt);
+    if (!localKey) {
+      throw codedError("DECRYPT_FAILED", `Cannot decrypt export — it needs the ${describeKey(kdf.source, kdf.key_id)} from "${kdf.host}": ${missingKeyHint(kdf.source)}`);
+    }
+    key = localKey.key;
+  } else if (kdf.name === "machine") {
+    key = deriveKey();
+  } else {
+    throw codedError("INVALID_EXPORT", `Unsupported export KDF: ${kdf.name}`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(envelope.iv, "hex"));
+    decipher.setAuthTag(Buffer.from(envelope.tag, "hex"));
+    return Buffer.concat([
+      decipher.update(Buffer.from(envelope.ciphertext, "base64")),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch {
+    if (kdf.name === "local" || kdf.name === "machine") {
+      throw codedError("DECRYPT_FAILED", `Cannot decrypt export — it is bound to the local key of "${kdf.host}"`);
+    }
+    throw codedError("DECRYPT_FAILED", `Cannot decrypt export — wrong ${envelope.secret_source === "key_file" ? "key file" : "passphrase"}`);
+  }
+}
+
+// ─── Brain index (cached session metadata) ────────────────────────────────────
+
+const BRAIN_INDEX_VERSION = 1;
+const BRAIN_INDEX_RESCAN_MS = 60_000;
+const BRAIN_ARTIFACTS = ["task.md", "walkthrough.md", "implementation_plan.md"];
+
+let brainIndex = null;
+// fs.watch handle; false when watching is unavailable and every lookup re-checks mtimes
+let brainWatcher = null;
+// Sessions changed since the last refresh; null forces a full rescan
+let brainDirty = null;
+let brainLastScan = 0;
+
+/** Fingerprint of a brain folder: folder mtime plus each artifact's mtime/size */
+function folderSignature(folderPath) {
+  const parts = [];
+  try { parts.push(fs.statSync(folderPath).mtimeMs); } catch { return null; }
+  for (const file of INDEXED_ARTIFACTS) {
+    try {
+      const st = fs.statSync(path.join(folderPath, file));
+      parts.push(`${file}:${st.mtimeMs}:${st.size}`);
+    } catch { /* artifact missing */ }
+  }
+  return parts.join("|");
+}
+
+/** Read one brain folder into an index entry */
+function describeBrainFolder(folderPath, signature) {
+  const st = fs.statSync(folderPath);
+  const entry = {
+    signature,
+    mtime: st.mtimeMs,
+    first: st.mtimeMs,
+    last: st.mtimeMs,
+    bytes: 0,
+    artifacts: [],
+    title: "Untitled session",
+    progress: { total: 0, done: 0, inProgress: 0, todo: 0 },
+    notes: { count: 0, pinned: 0, tags: {} },
+  };
+  for (const file of fs.readdirSync(folderPath)) {
+    try {
+      const fst = fs.statSync(path.join(folderPath, file));
+      if (!fst.isFile()) continue;
+      entry.bytes += fst.size;
+      if (!INDEXED_ARTIFACTS.includes(file)) continue;
+      // Editing a file doesn't touch the folder mtime, so activity spans the artifacts too
+      entry.first = Math.min(entry.first, fst.mtimeMs);
+      entry.last = Math.max(entry.last, fst.mtimeMs);
+    } catch { /* vanished */ }
+  }
+  const content = {};
+  for (const file of BRAIN_ARTIFACTS) {
+    content[file] = readFileSafe(path.join(folderPath, file));
+    if (content[file].trim()) entry.artifacts.push(file);
+  }
+  entry.title = titleFromArtifacts(content["task.md"], content["implementation_plan.md"]);
+  entry.progress = summarizeTasks(parseTaskChecklist(content["task.md"]));
+  for (const note of readNotes(folderPath).entries) {
+    entry.notes.count++;
+    if (note.pinned) entry.notes.pinned++;
+    if (note.tag) entry.notes.tags[note.tag] = (entry.notes.tags[note.tag] || 0) + 1;
+  }
+  return entry;
+}
+
+/** Watch the brain directory so lookups only re-read sessions that changed */
+function watchBrainDir() {
+  if (brainWatcher !== null || !fs.existsSync(BRAIN_DIR)) return;
+  try {
+    brainWatcher = fs.watch(BRAIN_DIR, { recursive: true, persistent: false }, (event, filename) => {
+      if (!filename) {
+        brainDirty = null;
+        scheduleResourceNotifications(null);
+        return;
       }
-    })
-    .map((name) => {
-      const full = path.join(BRAIN_DIR, name);
-      const artifactFiles = ["task.md", "walkthrough.md", "implementation_plan.md"];
-      const hasArtifacts = artifactFiles.some((f) => {
-        const content = readFileSafe(path.join(full, f));
-        return content.trim().length > 0;
-      });
-      return { name, full, mtime: fs.statSync(full).mtimeMs, hasArtifacts };
-    })
-    .filter((f) => f.hasArtifacts)
+      const sessionId = filename.toString().split(/[\\/]/)[0];
+      brainDirty?.add(sessionId);
+      scheduleResourceNotifications(sessionId);
+    });
+    brainWatcher.on("error", () => {
+      try { brainWatcher.close(); } catch { /* already closed */ }
+      brainWatcher = false;
+      brainDirty = null;
+    });
+  } catch {
+    brainWatcher = false;
+  }
+}
+
+/** Mark a session as changed (for writes made within the current call, before the watcher fires) */
+function markBrainFolderDirty(sessionId) {
+  brainDirty?.add(sessionId);
+  scheduleResourceNotifications(sessionId);
+}
+
+/**
+ * The brain index, refreshed incrementally: only sessions reported by fs.watch are re-read,
+ * with a full mtime check on startup, every BRAIN_INDEX_RESCAN_MS, and on every call when
+ * watching is unavailable. Persisted to STATE_DIR so restarts don't re-read every session.
+ */
+function getBrainIndex() {
+  if (!brainIndex) {
+    const data = readStateJson(BRAIN_INDEX_FILE, null);
+    brainIndex = data?.version === BRAIN_INDEX_VERSION && data.folders ? data : { version: BRAIN_INDEX_VERSION, folders: {} };
+  }
+  watchBrainDir();
+  const now = Date.now();
+  const fullScan = !brainWatcher || brainDirty === null || now - brainLastScan > BRAIN_INDEX_RESCAN_MS;
+  if (!fullScan && brainDirty.size === 0) return brainIndex;
+
+  let names;
+  if (fullScan) {
+    try { names = fs.readdirSync(BRAIN_DIR); } catch { names = []; }
+  } else {
+    names = [...brainDirty];
+  }
+  // Reset before scanning so events that arrive mid-scan are not lost
+  brainDirty = brainWatcher ? new Set() : null;
+
+  let changed = false;
+  if (fullScan) {
+    brainLastScan = now;
+    const present = new Set(names);
+    for (const name of Object.keys(brainIndex.folders)) {
+      if (!present.has(name)) { delete brainIndex.folders[name]; changed = true; }
+    }
+  }
+  for (const name of names) {
+    const full = path.join(BRAIN_DIR, name);
+    let isSession = false;
+    try { isSession = name !== "tempmediaStorage" && fs.statSync(full).isDirectory(); } catch { /* removed */ }
+    if (!isSession) {
+      if (brainIndex.folders[name]) { delete brainIndex.folders[name]; changed = true; }
+      continue;
+    }
+    const signature = folderSignature(full);
+    if (brainIndex.folders[name]?.signature === signature) continue;
+    try {
+      brainIndex.folders[name] = describeBrainFolder(full, signature);
+      changed = true;
+    } catch { /* unreadable right now — next scan retries */ }
+  }
+  if (changed) {
+    try { writeStateJson(BRAIN_INDEX_FILE, brainIndex, false); } catch { /* in-memory index still usable */ }
+  }
+  return brainIndex;
+}
+
+/** Index entries as folder records ({ name, full, mtime, title, … }), most recent first */
+function listIndexedFolders() {
+  const { folders } = getBrainIndex();
+  return Object.entries(folders)
+    .map(([name, entry]) => ({ name, full: path.join(BRAIN_DIR, name), ...entry, hasArtifacts: entry.artifacts.length > 0 }))
     .sort((a, b) => b.mtime - a.mtime);
 }
 
-/** Extract first meaningful line from task.md as a title */
+/** Cached index entry for one session (null when unknown) */
+function getIndexedFolder(sessionId) {
+  return brainIndex?.folders[sessionId] || null;
+}
+
+// ─── Brain helpers ────────────────────────────────────────────────────────────
+
+/** Get all brain folders sorted by mtime descending, with artifact info (from the brain index) */
+function getBrainFoldersSorted() {
+  return listIndexedFolders().filter((f) => f.hasArtifacts);
+}
+
+/** Session title (cached in the brain index while the folder is unchanged) */
 function extractTitle(folderPath) {
-  const taskContent = readFileSafe(path.join(folderPath, "task.md"));
+  const cached = getIndexedFolder(path.basename(folderPath));
+  if (cached && cached.signature === folderSignature(folderPath)) return cached.title;
+  return titleFromArtifacts(
+    readFileSafe(path.join(folderPath, "task.md")),
+    readFileSafe(path.join(folderPath, "implementation_plan.md"))
+  );
+}
+
+/** Extract first meaningful line from task.md (or the plan's first heading) as a title */
+function titleFromArtifacts(taskContent, planContent) {
   if (!taskContent.trim()) {
-    const planContent = readFileSafe(path.join(folderPath, "implementation_plan.md"));
     const firstLine = planContent.split(/\r?\n/).find((l) => l.trim().startsWith("#"));
     return firstLine ? firstLine.replace(/^#+\s*/, "").trim() : "Untitled session";
   }
@@ -130,6 +988,15 @@ function extractTitle(folderPath) {
   return firstLine ? firstLine.trim().slice(0, 80) : "Untitled session";
 }
 
+/** Most recent sessions with artifacts (recall_sessions and the CLI), optionally limited to a project */
+function listRecentSessions({ count, projectPath, allProjects = false } = {}) {
+  let folders = getBrainFoldersSorted();
+  if (projectPath && !allProjects) {
+    folders = folders.filter((f) => matchesProject(f.full, projectPath));
+  }
+  return folders.slice(0, Math.min(count ?? 10, cfg("max_sessions")));
+}
+
 /** Read only task.md from a brain folder */
 function readTaskOnly(folderPath) {
   return readFileSafe(path.join(folderPath, "task.md"));
@@ -146,76 +1013,59 @@ function readAllArtifacts(folderPath) {
   return results;
 }
 
-/** Create a timestamped backup of a file before modifying it */
+/** Create a timestamped backup of a file before modifying it. Returns the backup path. */
 function backupFile(filePath) {
-  if (!fs.existsSync(filePath)) return;
+  if (!fs.existsSync(filePath)) return null;
   const dir = path.join(path.dirname(filePath), ".backups");
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-  const ts = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
+  // Millisecond precision so several changes within one second don't overwrite each other's backup
+  const ts = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 23);
   const base = path.basename(filePath);
   const backupPath = path.join(dir, `${base}.${ts}.bak`);
   fs.copyFileSync(filePath, backupPath);
-  // Prune old backups (keep last BACKUP_RETENTION)
+  // Prune old backups (keep the newest backup_retention)
   try {
     const backups = fs.readdirSync(dir)
-      .filter((f) => f.startsWith(base) && f.endsWith(".bak"))
+      .filter((f) => f.startsWith(`${base}.`) && f.endsWith(".bak"))
       .sort()
       .reverse();
-    for (const old of backups.slice(BACKUP_RETENTION)) {
+    for (const old of backups.slice(cfg("backup_retention"))) {
       fs.unlinkSync(path.join(dir, old));
     }
   } catch { /* ignore cleanup errors */ }
+  return backupPath;
 }
 
-/** Append a note to session_notes.md in a brain folder (with auto-backup) */
-function appendNote(folderPath, note, tag) {
-  const filePath = path.join(folderPath, "session_notes.md");
-  backupFile(filePath);
-  const now = new Date().toISOString().replace("T", " ").slice(0, 16);
-  const tagStr = tag ? ` #${tag}` : "";
-  const entry = `### [${now}]${tagStr}\n${note}\n\n---\n\n`;
-  if (!fs.existsSync(filePath)) {
-    fs.writeFileSync(filePath, `# Session Notes\n\n${entry}`, "utf8");
-  } else {
-    fs.appendFileSync(filePath, entry, "utf8");
-  }
-  return filePath;
+/**
+ * Check if a text mentions a given project: its path or git remote anywhere,
+ * or its name/aliases as a whole word (so "api" doesn't match "rapid").
+ */
+function mentionsProject(text, projectPath) {
+  const { paths, names } = projectNeedles(projectPath);
+  const content = text.replace(/\\/g, "/").toLowerCase();
+  if (paths.some((p) => content.includes(p))) return true;
+  return names.some((n) => new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(n)}($|[^\\p{L}\\p{N}_])`, "u").test(content));
 }
 
-/** Search notes across brain folders */
-function searchNotes(query, tag, lastN = 5) {
-  const folders = getBrainFoldersSorted().slice(0, lastN);
-  const results = [];
-  for (const folder of folders) {
-    const notesPath = path.join(folder.full, "session_notes.md");
-    const content = readFileSafe(notesPath);
-    if (!content.trim()) continue;
-    const entries = content.split(/^---$/m).map((e) => e.trim()).filter(Boolean);
-    for (const entry of entries) {
-      if (entry.startsWith("# Session Notes")) continue;
-      const matchesQuery = !query || entry.toLowerCase().includes(query.toLowerCase());
-      const matchesTag = !tag || entry.includes(`#${tag}`);
-      if (matchesQuery && matchesTag) {
-        const title = extractTitle(folder.full);
-        const date = new Date(folder.mtime).toISOString().slice(0, 10);
-        results.push({ sessionId: folder.name, date, title, entry });
-      }
-    }
-  }
-  return results;
-}
+// "<session>\0<needles>" → { signature, match }: artifact text is only re-read when the session changes
+const projectMatchCache = new Map();
 
-/** Check if a brain folder's artifacts mention a given project path or name */
+/** Check if a brain folder belongs to a project: registry links first, then artifact mentions */
 function matchesProject(folderPath, projectPath) {
   if (!projectPath) return true;
-  const normalized = projectPath.replace(/\\/g, "/").replace(/\/$/, "").toLowerCase();
-  const projectName = normalized.split("/").pop();
+  const sessionId = path.basename(folderPath);
+  const link = resolveSessionLink(sessionId, projectPath);
+  if (link !== null) return link;
+
+  const signature = getIndexedFolder(sessionId)?.signature;
+  const cacheKey = `${sessionId}\0${JSON.stringify(projectNeedles(projectPath))}`;
+  const cached = projectMatchCache.get(cacheKey);
+  if (signature && cached?.signature === signature) return cached.match;
+
   const files = ["task.md", "implementation_plan.md", "walkthrough.md"];
-  for (const file of files) {
-    const content = readFileSafe(path.join(folderPath, file)).toLowerCase();
-    if (content.includes(normalized) || content.includes(projectName)) return true;
-  }
-  return false;
+  const match = files.some((file) => mentionsProject(readFileSafe(path.join(folderPath, file)), projectPath));
+  if (signature) projectMatchCache.set(cacheKey, { signature, match });
+  return match;
 }
 
 function listKnownProjects() {
@@ -228,7 +1078,8 @@ function listKnownProjects() {
         catch { return false; }
       })
       .map((d) => ({
-        project: d.split("_")[0],
+        // Tracker keys look like "<project>_<hash>" — drop only the hash suffix
+        project: d.replace(/_[0-9a-f]{6,}$/i, "") || d,
         tracker_key: d,
         file_count: fs.readdirSync(path.join(CODE_TRACKER_DIR, d)).length,
       }));
@@ -237,98 +1088,2930 @@ function listKnownProjects() {
   }
 }
 
-// ─── Credentials (with encryption) ───────────────────────────────────────────
+// ─── Backups (browse, diff, restore) ─────────────────────────────────────────
 
-function parseCredentialsText(content) {
-  const creds = {};
-  let currentSection = "general";
-  for (const line of content.split(/\r?\n/)) {
-    const trimmed = line.trim();
-    if (!trimmed) continue;
-    if (trimmed.startsWith("#")) {
-      currentSection = trimmed.replace(/^#+\s*/, "");
-      continue;
+const BACKUP_NAME_RE = /\.(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})(?:-(\d{3}))?\.bak$/;
+const DIFF_CONTEXT_LINES = 3;
+const DIFF_MAX_CELLS = 4_000_000;
+
+/** Backups of a file, newest first: { name, path, date, size } */
+function listBackups(filePath) {
+  const dir = path.join(path.dirname(filePath), ".backups");
+  const base = path.basename(filePath);
+  let names = [];
+  try { names = fs.readdirSync(dir); } catch { return []; }
+  return names
+    .filter((f) => f.startsWith(`${base}.`) && BACKUP_NAME_RE.test(f))
+    .map((f) => {
+      const [, day, hh, mm, ss, ms] = f.match(BACKUP_NAME_RE);
+      const full = path.join(dir, f);
+      let size = 0;
+      try { size = fs.statSync(full).size; } catch { /* vanished */ }
+      return { name: f, path: full, date: new Date(`${day}T${hh}:${mm}:${ss}.${ms || "000"}Z`), size };
+    })
+    .sort((a, b) => b.date - a.date || b.name.localeCompare(a.name));
+}
+
+/** Resolve a backup by list number (1 = newest) or file name */
+function resolveBackup(filePath, ref) {
+  const backups = listBackups(filePath);
+  if (backups.length === 0) throw codedError("BACKUP_NOT_FOUND", `No backups found for ${filePath}`);
+  if (ref === undefined || ref === null || ref === "") throw codedError("INVALID_ARGUMENT", "backup is required (number from list_backups or file name)");
+  const asNumber = Number(ref);
+  if (Number.isInteger(asNumber) && String(ref).trim() !== "") {
+    if (asNumber < 1 || asNumber > backups.length) throw codedError("BACKUP_NOT_FOUND", `Backup #${ref} not found (1-${backups.length})`);
+    return backups[asNumber - 1];
+  }
+  const match = backups.find((b) => b.name === String(ref));
+  if (!match) throw codedError("BACKUP_NOT_FOUND", `Backup not found: ${ref}`);
+  return match;
+}
+
+/** Line-level edit script between two texts: [{ op: " " | "-" | "+", line }] */
+function diffLines(oldLines, newLines) {
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+  let endOld = oldLines.length;
+  let endNew = newLines.length;
+  while (endOld > start && endNew > start && oldLines[endOld - 1] === newLines[endNew - 1]) { endOld--; endNew--; }
+
+  const a = oldLines.slice(start, endOld);
+  const b = newLines.slice(start, endNew);
+  const middle = [];
+  if ((a.length + 1) * (b.length + 1) > DIFF_MAX_CELLS) {
+    // Too large for LCS — show the changed region as a block replace
+    middle.push(...a.map((line) => ({ op: "-", line })), ...b.map((line) => ({ op: "+", line })));
+  } else {
+    // LCS table, filled from the end so the walk below can go forward
+    const w = b.length + 1;
+    const lcs = new Uint32Array((a.length + 1) * w);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i * w + j] = a[i] === b[j] ? lcs[(i + 1) * w + j + 1] + 1 : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) { middle.push({ op: " ", line: a[i] }); i++; j++; }
+      else if (i < a.length && (j === b.length || lcs[(i + 1) * w + j] >= lcs[i * w + j + 1])) { middle.push({ op: "-", line: a[i] }); i++; }
+      else { middle.push({ op: "+", line: b[j] }); j++; }
+    }
+  }
+  return [
+    ...oldLines.slice(0, start).map((line) => ({ op: " ", line })),
+    ...middle,
+    ...oldLines.slice(endOld).map((line) => ({ op: " ", line })),
+  ];
+}
+
+/** Unified diff (empty string when the texts are identical) */
+function unifiedDiff(oldText, newText, oldLabel, newLabel, context = DIFF_CONTEXT_LINES) {
+  const script = diffLines(oldText.split(/\r?\n/), newText.split(/\r?\n/));
+  if (!script.some((s) => s.op !== " ")) return "";
+
+  // Positions in old/new files for every script line
+  let oldNo = 1;
+  let newNo = 1;
+  const rows = script.map((s) => {
+    const row = { ...s, oldNo, newNo };
+    if (s.op !== "+") oldNo++;
+    if (s.op !== "-") newNo++;
+    return row;
+  });
+
+  // Group changes into hunks with surrounding context
+  const hunks = [];
+  let current = null;
+  rows.forEach((row, idx) => {
+    if (row.op === " ") return;
+    const from = Math.max(0, idx - context);
+    const to = Math.min(rows.length - 1, idx + context);
+    if (current && from <= current.to + 1) current.to = Math.max(current.to, to);
+    else hunks.push((current = { from, to }));
+  });
+
+  let out = `--- ${oldLabel}\n+++ ${newLabel}\n`;
+  for (const h of hunks) {
+    const slice = rows.slice(h.from, h.to + 1);
+    const oldCount = slice.filter((r) => r.op !== "+").length;
+    const newCount = slice.filter((r) => r.op !== "-").length;
+    const oldStart = oldCount ? slice.find((r) => r.op !== "+").oldNo : slice[0].oldNo - 1;
+    const newStart = newCount ? slice.find((r) => r.op !== "-").newNo : slice[0].newNo - 1;
+    out += `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n`;
+    out += slice.map((r) => `${r.op}${r.line}`).join("\n") + "\n";
+  }
+  return out;
+}
+
+/** Atomically replace a file's content (temp file + rename) */
+function writeFileAtomic(filePath, content) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, content, "utf8");
+  fs.renameSync(tmp, filePath);
+}
+
+const LOCK_SERVER_WAIT_MS = 2000;
+const LOCK_CLI_WAIT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 25;
+// Lock path → promise that settles when this process's current holder is done
+const lockQueues = new Map();
+
+// How long withFileLock waits for another process. Waiting never blocks the event loop,
+// but a tool call still hangs while it waits, so servers give up sooner than the CLI
+// (see runCli): locks are only held for one read-modify-write.
+let lockWaitMs = LOCK_SERVER_WAIT_MS;
+
+/**
+ * Remove a lock whose owner process is gone or that is older than LOCK_STALE_MS.
+ * The lock is renamed aside before it is deleted: if another waiter broke it first and a
+ * new owner already holds a fresh lock, the contents differ and that lock is put back.
+ */
+function breakStaleLock(lockPath) {
+  try {
+    const content = fs.readFileSync(lockPath, "utf8");
+    const [pid, host] = content.trim().split(/\s+/);
+    let dead = Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+    if (!dead && host === os.hostname() && Number(pid) > 0) {
+      try { process.kill(Number(pid), 0); } catch (err) { dead = err.code === "ESRCH"; }
+    }
+    if (!dead) return false;
+    const aside = `${lockPath}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.stale`;
+    fs.renameSync(lockPath, aside);
+    const moved = fs.readFileSync(aside, "utf8");
+    if (moved !== content) {
+      try { fs.linkSync(aside, lockPath); } catch { /* a newer lock took its place */ }
+    }
+    fs.unlinkSync(aside);
+    return moved === content;
+  } catch {
+    return false; // released (or replaced) while we looked — just retry
+  }
+}
+
+/** Create the lock file, retrying every LOCK_RETRY_MS until lockWaitMs has passed */
+async function acquireFileLock(filePath, lockPath) {
+  const deadline = Date.now() + lockWaitMs;
+  // The nonce makes every lock's content unique, so breakStaleLock can tell locks apart
+  const owner = `${process.pid} ${os.hostname()} ${crypto.randomBytes(4).toString("hex")}\n`;
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, owner, { flag: "wx", mode: 0o600 });
+      return;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      if (breakStaleLock(lockPath)) continue;
+      if (Date.now() >= deadline) {
+        throw codedError("LOCK_TIMEOUT", `${path.basename(filePath)} is being written by another process (${lockPath}) — try again in a moment`);
+      }
+      await delay(LOCK_RETRY_MS);
+    }
+  }
+}
+
+/**
+ * Run fn while holding an exclusive lock on filePath ("<file>.lock", created with O_EXCL),
+ * so several server processes and the CLI never interleave read-modify-write cycles.
+ * Callers in this process queue up behind each other; another process's lock is waited
+ * for without blocking the event loop. Throws LOCK_TIMEOUT once lockWaitMs has passed.
+ * Not re-entrant: fn must not lock the same file again.
+ */
+async function withFileLock(filePath, fn) {
+  const lockPath = `${filePath}.lock`;
+  const previous = lockQueues.get(lockPath);
+  let release;
+  const done = new Promise((resolve) => { release = resolve; });
+  const queued = (previous || Promise.resolve()).then(() => done);
+  lockQueues.set(lockPath, queued);
+  try {
+    await previous;
+    await acquireFileLock(filePath, lockPath);
+    try {
+      return await fn();
+    } finally {
+      try { fs.unlinkSync(lockPath); } catch { /* already gone */ }
+    }
+  } finally {
+    release();
+    if (lockQueues.get(lockPath) === queued) lockQueues.delete(lockPath);
+  }
+}
+
+/** Resolve the notes file of a session for the backup tools */
+function sessionNotesPath(sessionId) {
+  validateSessionId(sessionId);
+  const folderPath = path.join(BRAIN_DIR, sessionId);
+  if (!fs.existsSync(folderPath)) throw codedError("SESSION_NOT_FOUND", `Session not found: ${sessionId}`);
+  return path.join(folderPath, NOTES_FILENAME);
+}
+
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+// ─── Project registry ─────────────────────────────────────────────────────────
+//
+// projects.json: { projects: { <canonical path>: { name, path, aliases, git_remote } },
+//                  sessions: { <session id>: <canonical path> },
+//                  excluded: { <canonical path>: [<session id>, …] } }
+// Explicit links win; excluded sessions never match; everything else falls
+// back to the text heuristic in matchesProject.
+
+let projectRegistryCache = null;
+
+/** Normalized absolute project path used as the registry key */
+function canonicalProjectPath(projectPath) {
+  let resolved = path.resolve(projectPath);
+  try { resolved = fs.realpathSync(resolved); } catch { /* keep resolved path */ }
+  resolved = resolved.replace(/[\\/]+$/, "") || resolved;
+  return process.platform === "win32" ? resolved.toLowerCase() : resolved;
+}
+
+/** Read the origin (or first) remote URL from the project's .git/config on disk */
+function readGitRemote(projectPath) {
+  let gitDir = path.join(projectPath, ".git");
+  try {
+    if (fs.statSync(gitDir).isFile()) {
+      // Worktrees and submodules: ".git" is a file pointing at the real git dir
+      const m = fs.readFileSync(gitDir, "utf8").match(/^gitdir:\s*(.+)$/m);
+      if (!m) return null;
+      gitDir = path.resolve(projectPath, m[1].trim());
+      const common = readFileSafe(path.join(gitDir, "commondir")).trim();
+      if (common) gitDir = path.resolve(gitDir, common);
+    }
+  } catch {
+    return null;
+  }
+  const config = readFileSafe(path.join(gitDir, "config"));
+  const remotes = {};
+  let current = null;
+  for (const line of config.split(/\r?\n/)) {
+    const section = line.match(/^\s*\[remote\s+"([^"]+)"\]/);
+    if (section) { current = section[1]; continue; }
+    if (/^\s*\[/.test(line)) { current = null; continue; }
+    const url = current && line.match(/^\s*url\s*=\s*(.+?)\s*$/);
+    if (url) remotes[current] = url[1];
+  }
+  return remotes.origin || Object.values(remotes)[0] || null;
+}
+
+/** "git@github.com:org/repo.git" / "https://github.com/org/repo" → "org/repo" */
+function gitRemoteSlug(remote) {
+  const m = remote && remote.replace(/\.git$/, "").match(/[:/]([^/:]+\/[^/:]+)$/);
+  return m ? m[1].toLowerCase() : null;
+}
+
+function emptyProjectRegistry() {
+  return { projects: {}, sessions: {}, excluded: {} };
+}
+
+function loadProjectRegistry() {
+  let mtime = 0;
+  try { mtime = fs.statSync(PROJECTS_FILE).mtimeMs; } catch { /* no registry yet */ }
+  if (projectRegistryCache && projectRegistryCache.mtime === mtime) return projectRegistryCache.data;
+  const data = { ...emptyProjectRegistry(), ...readStateJson(PROJECTS_FILE, {}) };
+  projectRegistryCache = { mtime, data };
+  return data;
+}
+
+function saveProjectRegistry(data) {
+  writeStateJson(PROJECTS_FILE, data);
+  projectRegistryCache = null;
+}
+
+/** Add or refresh a project entry (name, aliases, git remote) */
+function registerProject(projectPath, { aliases } = {}) {
+  validatePath(projectPath, "project_path");
+  const key = canonicalProjectPath(projectPath);
+  const registry = loadProjectRegistry();
+  const existing = registry.projects[key] || {};
+  const mergedAliases = [...new Set([...(existing.aliases || []), ...(aliases || [])].map((a) => String(a).trim()).filter(Boolean))];
+  const entry = {
+    name: existing.name || path.basename(key),
+    path: key,
+    aliases: mergedAliases,
+    git_remote: readGitRemote(key) || existing.git_remote || null,
+    registered_at: existing.registered_at || new Date().toISOString(),
+  };
+  const changed = JSON.stringify(entry) !== JSON.stringify(existing);
+  if (changed) {
+    registry.projects[key] = entry;
+    saveProjectRegistry(registry);
+  }
+  return entry;
+}
+
+/** Explicitly attribute a session to a project (replaces any previous link) */
+function linkSession(sessionId, projectPath, options) {
+  validateSessionId(sessionId);
+  const entry = registerProject(projectPath, options);
+  const registry = loadProjectRegistry();
+  const previous = registry.sessions[sessionId] || null;
+  registry.sessions[sessionId] = entry.path;
+  const excluded = registry.excluded[entry.path] || [];
+  registry.excluded[entry.path] = excluded.filter((id) => id !== sessionId);
+  if (registry.excluded[entry.path].length === 0) delete registry.excluded[entry.path];
+  saveProjectRegistry(registry);
+  return { entry, previous };
+}
+
+/**
+ * Remove a session's explicit link. With a project, the session is also
+ * excluded from that project so the heuristic can't re-attach it.
+ */
+function unlinkSession(sessionId, projectPath) {
+  validateSessionId(sessionId);
+  const registry = loadProjectRegistry();
+  const previous = registry.sessions[sessionId] || null;
+  let excludedFrom = null;
+  if (projectPath) {
+    const key = canonicalProjectPath(projectPath);
+    if (previous && previous !== key) {
+      throw codedError("INVALID_ARGUMENT", `Session ${sessionId} is linked to ${previous}, not ${key}`);
+    }
+    excludedFrom = key;
+    const excluded = new Set(registry.excluded[key] || []);
+    excluded.add(sessionId);
+    registry.excluded[key] = [...excluded];
+  }
+  delete registry.sessions[sessionId];
+  saveProjectRegistry(registry);
+  return { previous, excludedFrom };
+}
+
+/** Registry verdict for a session: true/false when known, null to fall back to the heuristic */
+function resolveSessionLink(sessionId, projectPath) {
+  const registry = loadProjectRegistry();
+  const key = canonicalProjectPath(projectPath);
+  const linked = registry.sessions[sessionId];
+  if (linked) return linked === key;
+  if ((registry.excluded[key] || []).includes(sessionId)) return false;
+  return null;
+}
+
+/** Project this session is explicitly linked to (registry entry), if any */
+function getSessionProject(sessionId) {
+  const registry = loadProjectRegistry();
+  const key = registry.sessions[sessionId];
+  return key ? registry.projects[key] || { name: path.basename(key), path: key, aliases: [] } : null;
+}
+
+/** Terms that identify a project in free text: path, name, aliases, git remote slug */
+function projectNeedles(projectPath) {
+  const normalized = projectPath.replace(/\\/g, "/").replace(/\/$/, "").toLowerCase();
+  const entry = loadProjectRegistry().projects[canonicalProjectPath(projectPath)];
+  const names = new Set([normalized.split("/").pop(), ...(entry?.aliases || []).map((a) => a.toLowerCase())]);
+  const paths = new Set([normalized]);
+  if (entry) paths.add(entry.path.replace(/\\/g, "/").toLowerCase());
+  const slug = gitRemoteSlug(entry?.git_remote);
+  if (slug) paths.add(slug);
+  return { paths: [...paths], names: [...names].filter(Boolean) };
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// ─── Session notes (stable IDs) ───────────────────────────────────────────────
+
+const NOTES_FILENAME = "session_notes.md";
+const NOTES_HEADER = "# Session Notes";
+const NOTE_HEADING_RE = /^### \[([^\]]+)\](.*)$/;
+
+/** Current time in the note timestamp format (YYYY-MM-DD HH:MM, UTC) */
+function noteTimestamp(date = new Date()) {
+  return date.toISOString().replace("T", " ").slice(0, 16);
+}
+
+function generateNoteId() {
+  return crypto.randomBytes(4).toString("hex");
+}
+
+/** Stable ID for notes written before IDs existed: hash of timestamp, tag and body */
+function legacyNoteId(timestamp, tag, body) {
+  return crypto.createHash("sha1").update(`${timestamp}\n${tag || ""}\n${body}`).digest("hex").slice(0, 8);
+}
+
+/** Parse "id:abc123 pinned" from a note heading's <!-- --> comment */
+function parseNoteMeta(comment) {
+  const meta = {};
+  for (const token of (comment || "").trim().split(/\s+/).filter(Boolean)) {
+    const idx = token.indexOf(":");
+    if (idx > 0) meta[token.slice(0, idx)] = token.slice(idx + 1);
+    else meta[token] = true;
+  }
+  return meta;
+}
+
+function serializeNoteMeta(meta) {
+  const tokens = Object.entries(meta)
+    .filter(([, v]) => v !== undefined && v !== null && v !== false)
+    .map(([k, v]) => (v === true ? k : `${k}:${v}`));
+  return tokens.length ? ` <!-- ${tokens.join(" ")} -->` : "";
+}
+
+/**
+ * Parse session_notes.md into entries. Each entry starts with a
+ * "### [timestamp] #tag <!-- id:… -->" heading and runs until the next one;
+ * the trailing "---" separator is not part of the body.
+ */
+function parseNotes(content) {
+  const lines = content.split(/\r?\n/);
+  const preamble = [];
+  const entries = [];
+  const seenIds = new Set();
+  let current = null;
+
+  const finish = () => {
+    if (!current) return;
+    const bodyLines = current.lines;
+    while (bodyLines.length && !bodyLines[bodyLines.length - 1].trim()) bodyLines.pop();
+    if (bodyLines.length && bodyLines[bodyLines.length - 1].trim() === "---") bodyLines.pop();
+    const body = bodyLines.join("\n").trim();
+    let id = current.meta.id;
+    if (!id) {
+      id = legacyNoteId(current.timestamp, current.tag, body);
+      while (seenIds.has(id)) id = legacyNoteId(current.timestamp, current.tag, `${body}\n${id}`);
+    }
+    seenIds.add(id);
+    const { id: _id, pinned, ...rest } = current.meta;
+    entries.push({
+      id,
+      timestamp: current.timestamp,
+      tag: current.tag,
+      pinned: pinned === true,
+      meta: rest,
+      body,
+    });
+    current = null;
+  };
+
+  for (const line of lines) {
+    const m = line.match(NOTE_HEADING_RE);
+    if (m) {
+      finish();
+      const rest = m[2];
+      const commentMatch = rest.match(/<!--(.*?)-->/);
+      const tagMatch = rest.replace(/<!--.*?-->/, "").match(/#(\S+)/);
+      current = {
+        timestamp: m[1].trim(),
+        tag: tagMatch ? tagMatch[1] : null,
+        meta: parseNoteMeta(commentMatch ? commentMatch[1] : ""),
+        lines: [],
+      };
+      continue;
+    }
+    if (current) current.lines.push(line);
+    else preamble.push(line);
+  }
+  finish();
+
+  return { preamble: preamble.join("\n").trim(), entries };
+}
+
+/** Render one note entry in the on-disk format (heading, body, separator) */
+function serializeNoteEntry(entry) {
+  const tagStr = entry.tag ? ` #${entry.tag}` : "";
+  const meta = serializeNoteMeta({ id: entry.id, pinned: entry.pinned, ...entry.meta });
+  return `### [${entry.timestamp}]${tagStr}${meta}\n${entry.body}\n\n---\n\n`;
+}
+
+function serializeNotes(parsed) {
+  const preamble = parsed.preamble || NOTES_HEADER;
+  return `${preamble}\n\n${parsed.entries.map(serializeNoteEntry).join("")}`;
+}
+
+/** Format a note for tool output: heading with tag, pin, todo/decision state and ID, then the body */
+function formatNote(entry) {
+  const tagStr = entry.tag ? ` #${entry.tag}` : "";
+  const pin = entry.pinned ? " 📌" : "";
+  let todo = "";
+  if (entry.tag === TODO_TAG) {
+    const state = todoState(entry);
+    if (state.status === "done") todo += " ✅";
+    if (state.due) todo += ` · due ${state.due}`;
+    if (state.priority !== "normal") todo += ` · ${state.priority}`;
+  }
+  if (entry.tag === DECISION_TAG && entry.meta.superseded_by) todo += ` · superseded by \`${entry.meta.superseded_by}\``;
+  return `### [${entry.timestamp}]${tagStr}${pin}${todo} · \`${entry.id}\`\n${entry.body}`;
+}
+
+/** Read and parse a brain folder's notes (empty list when there is no file) */
+function readNotes(folderPath) {
+  return parseNotes(readFileSafe(path.join(folderPath, NOTES_FILENAME)));
+}
+
+/**
+ * Append a note to session_notes.md in a brain folder (with auto-backup, under the file lock).
+ * Secrets in the text are moved to the encrypted credentials first (scan_secrets).
+ * Returns { filePath, id, entry, secrets: { moved, store } }.
+ */
+async function appendNote(folderPath, note, tag, meta = {}) {
+  const filePath = path.join(folderPath, NOTES_FILENAME);
+  const secrets = cfg("scan_secrets")
+    ? await vaultSecrets(note.trim(), path.basename(folderPath))
+    : { text: note.trim(), moved: [], store: null };
+  const entry = { id: generateNoteId(), timestamp: noteTimestamp(), tag: tag || null, pinned: false, meta, body: secrets.text };
+  const text = serializeNoteEntry(entry);
+  await withFileLock(filePath, () => {
+    backupFile(filePath);
+    if (!fs.existsSync(filePath)) {
+      fs.writeFileSync(filePath, `${NOTES_HEADER}\n\n${text}`, "utf8");
+    } else {
+      const existing = readFileSafe(filePath);
+      const sep = existing.length === 0 || existing.endsWith("\n\n") ? "" : existing.endsWith("\n") ? "\n" : "\n\n";
+      fs.appendFileSync(filePath, sep + text, "utf8");
+    }
+  });
+  markBrainFolderDirty(path.basename(folderPath));
+  return { filePath, id: entry.id, entry, secrets: { moved: secrets.moved, store: secrets.store } };
+}
+
+/** With strict_tags on, only tags from the note_tags vocabulary are accepted */
+function validateNoteTag(tag) {
+  if (!tag || !cfg("strict_tags")) return;
+  if (!cfg("note_tags").includes(tag)) {
+    throw codedError("INVALID_ARGUMENT", `Unknown tag "${tag}" — strict_tags allows only: ${cfg("note_tags").join(", ")}`);
+  }
+}
+
+/**
+ * Save a note into a session (default: the most recent one), optionally linking
+ * that session to a project. A due date or priority makes it a #todo; meta
+ * goes into the heading comment. The link comes first so secrets in the note
+ * go to that project's credentials.
+ * Returns { filePath, id, sessionId, project, tag, meta, entry, secrets }.
+ */
+async function saveNote({ note, tag, sessionId, projectPath, due, priority, meta = {} }) {
+  if (!note || typeof note !== "string") {
+    throw codedError("INVALID_ARGUMENT", "note is required and must be a string");
+  }
+  if (due !== undefined || priority !== undefined) {
+    if (tag && tag !== TODO_TAG) throw codedError("INVALID_ARGUMENT", `due and priority only apply to #${TODO_TAG} notes`);
+    tag = TODO_TAG;
+    meta = { ...meta, ...todoMeta({ due, priority }) };
+  }
+  validateNoteTag(tag);
+  let folderPath;
+  if (sessionId) {
+    validateSessionId(sessionId);
+    folderPath = path.join(BRAIN_DIR, sessionId);
+  } else {
+    const folders = getBrainFoldersSorted();
+    if (folders.length === 0) {
+      throw codedError("SESSION_NOT_FOUND", "No sessions found to save note to");
+    }
+    folderPath = folders[0].full;
+  }
+  if (!fs.existsSync(folderPath)) {
+    throw codedError("SESSION_NOT_FOUND", `Session not found: ${sessionId} (notes can only be added to existing sessions)`);
+  }
+  const project = projectPath ? linkSession(path.basename(folderPath), projectPath).entry.name : null;
+  const { filePath, id, entry, secrets } = await appendNote(folderPath, note, tag, meta);
+  return { filePath, id, sessionId: path.basename(folderPath), project, tag: tag || null, meta, entry, secrets };
+}
+
+/**
+ * Rewrite a notes file through a mutator (with auto-backup and atomic replace).
+ * The mutator receives the parsed entries array and may modify it in place (it may be async).
+ * Read, mutate and write all happen under the file lock.
+ */
+async function rewriteNotes(folderPath, mutate) {
+  const filePath = path.join(folderPath, NOTES_FILENAME);
+  const result = await withFileLock(filePath, async () => {
+    const parsed = parseNotes(readFileSafe(filePath));
+    const mutated = await mutate(parsed.entries);
+    preserveFolderMtime(folderPath, () => {
+      backupFile(filePath);
+      writeFileAtomic(filePath, serializeNotes(parsed));
+    });
+    return mutated;
+  });
+  markBrainFolderDirty(path.basename(folderPath));
+  return result;
+}
+
+/**
+ * Run a file operation without bumping the brain folder's mtime — sessions are
+ * ordered by it, so editing an old note must not make that session "latest".
+ */
+function preserveFolderMtime(folderPath, fn) {
+  let st = null;
+  try { st = fs.statSync(folderPath); } catch { /* folder may not exist yet */ }
+  const result = fn();
+  if (st) {
+    try { fs.utimesSync(folderPath, st.atime, st.mtime); } catch { /* best effort */ }
+  }
+  return result;
+}
+
+/** All brain folders (artifacts or not), most recent first */
+function getAllBrainFolders() {
+  return listIndexedFolders();
+}
+
+/** Locate a note by ID (optionally within one session) */
+function findNote(noteId, sessionId) {
+  if (!noteId || typeof noteId !== "string") throw codedError("INVALID_ARGUMENT", "note_id is required");
+  let folders;
+  if (sessionId) {
+    validateSessionId(sessionId);
+    folders = [{ name: sessionId, full: path.join(BRAIN_DIR, sessionId) }];
+  } else {
+    folders = getAllBrainFolders().filter((f) => f.notes.count > 0);
+  }
+  for (const folder of folders) {
+    const entry = readNotes(folder.full).entries.find((e) => e.id === noteId);
+    if (entry) return { folder, entry };
+  }
+  throw codedError("NOTE_NOT_FOUND", `Note not found: ${noteId}`);
+}
+
+/** Notes query syntax: case-insensitive substring match (empty query matches everything) */
+function matchesNoteQuery(text, query) {
+  return !query || text.toLowerCase().includes(query.toLowerCase());
+}
+
+/** Search notes across brain folders */
+function searchNotes(query, tag, lastN = 5) {
+  const folders = getBrainFoldersSorted().slice(0, lastN);
+  const results = [];
+  for (const folder of folders) {
+    if (!folder.notes.count || (tag && !folder.notes.tags[tag])) continue;
+    const { entries } = readNotes(folder.full);
+    for (const note of entries) {
+      const matchesQuery = matchesNoteQuery(`${note.tag ? `#${note.tag}\n` : ""}${note.body}`, query);
+      const matchesTag = !tag || note.tag === tag;
+      if (matchesQuery && matchesTag) {
+        const date = new Date(folder.mtime).toISOString().slice(0, 10);
+        results.push({ sessionId: folder.name, date, title: folder.title, note });
+      }
+    }
+  }
+  return results;
+}
+
+/** Content fingerprint of a note: timestamp + tag + whitespace-normalized body */
+function noteContentHash(entry) {
+  const body = entry.body.replace(/\s+/g, " ").trim();
+  return crypto.createHash("sha1").update(`${entry.timestamp}\n${entry.tag || ""}\n${body}`).digest("hex");
+}
+
+/**
+ * Merge incoming note entries into local ones. Duplicates (same content hash)
+ * are skipped; the same ID with different content is a conflict and the local
+ * version is kept. The result is ordered chronologically.
+ */
+function mergeNoteEntries(localEntries, incomingEntries) {
+  const byId = new Map(localEntries.map((e) => [e.id, e]));
+  const hashes = new Set(localEntries.map(noteContentHash));
+  const added = [];
+  const skipped = [];
+  const conflicts = [];
+  for (const entry of incomingEntries) {
+    const hash = noteContentHash(entry);
+    const sameId = byId.get(entry.id);
+    if (hashes.has(hash)) {
+      skipped.push(entry);
+    } else if (sameId) {
+      conflicts.push({ local: sameId, incoming: entry });
+    } else {
+      added.push(entry);
+      hashes.add(hash);
+      byId.set(entry.id, entry);
+    }
+  }
+  // Stable sort keeps local order for notes written in the same minute
+  const merged = [...localEntries, ...added]
+    .map((entry, i) => ({ entry, i }))
+    .sort((a, b) => a.entry.timestamp.localeCompare(b.entry.timestamp) || a.i - b.i)
+    .map(({ entry }) => entry);
+  return { merged, added, skipped, conflicts };
+}
+
+/** Pinned notes from every session (optionally only those passing a folder filter) */
+function collectPinnedNotes(folderFilter) {
+  const results = [];
+  for (const folder of getAllBrainFolders()) {
+    if (!folder.notes.pinned || (folderFilter && !folderFilter(folder))) continue;
+    for (const note of readNotes(folder.full).entries) {
+      if (note.pinned) results.push({ sessionId: folder.name, note });
+    }
+  }
+  return results.sort((a, b) => b.note.timestamp.localeCompare(a.note.timestamp));
+}
+
+// ─── Todos (due dates, priority, status) ──────────────────────────────────────
+
+// Todo notes are ordinary #todo notes; due date, priority and status live in the
+// heading comment (<!-- id:… due:2026-10-23 priority:high status:done -->).
+
+const TODO_TAG = "todo";
+const TODO_PRIORITIES = ["high", "normal", "low"];
+const TODO_STATUSES = ["open", "done"];
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+/** YYYY-MM-DD in local time — due dates are calendar days where the user is */
+function localDate(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/** True for a YYYY-MM-DD string naming a real day (Date would roll 2026-02-31 over to March 3) */
+function isCalendarDate(text) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (!m) return false;
+  const [year, month, day] = m.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+/** Whole days from one YYYY-MM-DD to another */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+/**
+ * Parse a due date: YYYY-MM-DD, "today", "tomorrow", a weekday name (its next
+ * occurrence, never today) or "in N days" / "+Nd".
+ */
+function parseDueDate(value, now = new Date()) {
+  if (typeof value !== "string" || !value.trim()) throw codedError("INVALID_ARGUMENT", "due must be a non-empty string");
+  const text = value.trim().toLowerCase();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    if (!isCalendarDate(text)) throw codedError("INVALID_ARGUMENT", `due is not a valid date: ${value}`);
+    return text;
+  }
+  const shift = (days) => localDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() + days));
+  if (text === "today") return shift(0);
+  if (text === "tomorrow") return shift(1);
+  const weekday = WEEKDAYS.indexOf(text.replace(/^(next|this|on)\s+/, ""));
+  if (weekday >= 0) return shift((weekday - now.getDay() + 7) % 7 || 7);
+  const rel = text.match(/^(?:in\s+(\d+)\s+days?|\+(\d+)d)$/);
+  if (rel) return shift(Number(rel[1] ?? rel[2]));
+  throw codedError("INVALID_ARGUMENT", `Unrecognized due date "${value}" (use YYYY-MM-DD, today, tomorrow, a weekday or "in N days")`);
+}
+
+function validateTodoPriority(priority) {
+  if (!TODO_PRIORITIES.includes(priority)) {
+    throw codedError("INVALID_ARGUMENT", `priority must be one of: ${TODO_PRIORITIES.join(", ")}`);
+  }
+}
+
+/** Heading metadata for a new todo (only what was given; "open" and "normal" are implied) */
+function todoMeta({ due, priority } = {}) {
+  const meta = {};
+  if (due !== undefined) meta.due = parseDueDate(due);
+  if (priority !== undefined) {
+    validateTodoPriority(priority);
+    if (priority !== "normal") meta.priority = priority;
+  }
+  return meta;
+}
+
+/** Due date, priority and status of a todo note, with defaults filled in */
+function todoState(entry) {
+  return {
+    due: entry.meta.due || null,
+    priority: TODO_PRIORITIES.includes(entry.meta.priority) ? entry.meta.priority : "normal",
+    status: entry.meta.status === "done" ? "done" : "open",
+    completed: entry.meta.completed || null,
+  };
+}
+
+/** "overdue", "today", "soon" (within due_soon_days) or null for an open todo */
+function dueUrgency(state, today = localDate()) {
+  if (state.status !== "open" || !state.due) return null;
+  const days = daysBetween(today, state.due);
+  if (days < 0) return "overdue";
+  if (days === 0) return "today";
+  return days <= cfg("due_soon_days") ? "soon" : null;
+}
+
+/** Short human label for a due date relative to today ("overdue by 2 days", "tomorrow") */
+function describeDue(due, today = localDate()) {
+  const days = daysBetween(today, due);
+  if (days < 0) return `overdue by ${-days} day${days === -1 ? "" : "s"}`;
+  if (days === 0) return "today";
+  if (days === 1) return "tomorrow";
+  return `in ${days} days`;
+}
+
+/**
+ * Todo notes across sessions, most urgent first: open before done, then by due
+ * date (undated last), priority and age. Optional project filter and status.
+ */
+function collectTodos({ projectPath = null, status = "open" } = {}) {
+  const today = localDate();
+  const todos = [];
+  for (const folder of getAllBrainFolders()) {
+    if (!folder.notes.tags[TODO_TAG]) continue;
+    if (projectPath && !matchesProject(folder.full, projectPath)) continue;
+    for (const note of readNotes(folder.full).entries) {
+      if (note.tag !== TODO_TAG) continue;
+      const state = todoState(note);
+      if (status !== "all" && state.status !== status) continue;
+      todos.push({ sessionId: folder.name, note, ...state, urgency: dueUrgency(state, today) });
+    }
+  }
+  const rank = (t) => TODO_PRIORITIES.indexOf(t.priority);
+  return todos.sort((a, b) =>
+    (a.status === "done") - (b.status === "done")
+    || (a.due || "9999").localeCompare(b.due || "9999")
+    || rank(a) - rank(b)
+    || a.note.timestamp.localeCompare(b.note.timestamp));
+}
+
+/** One todo as a markdown list item: text, due, priority, ID and session */
+function formatTodoLine(todo, today = localDate()) {
+  const firstLine = todo.note.body.split("\n")[0].slice(0, 160);
+  const parts = [];
+  if (todo.status === "done") parts.push(`done${todo.completed ? ` ${todo.completed}` : ""}`);
+  else if (todo.due) parts.push(`due ${todo.due} (${describeDue(todo.due, today)})`);
+  if (todo.priority !== "normal") parts.push(`${todo.priority} priority`);
+  parts.push(`\`${todo.note.id}\``);
+  const box = todo.status === "done" ? "[x]" : "[ ]";
+  return `- ${box} ${firstLine} — ${parts.join(" · ")} · session \`${todo.sessionId}\``;
+}
+
+// ─── Decision records (ADR) ───────────────────────────────────────────────────
+
+// A decision record is a #decision note whose body has a bold title line and
+// **Context:** / **Decision:** / **Consequences:** paragraphs; status and the
+// supersedes chain live in the heading comment. Plain #decision notes from
+// before records existed read as accepted decisions titled by their first line.
+
+const DECISION_TAG = "decision";
+const DECISION_STATUSES = ["proposed", "accepted", "deprecated", "superseded"];
+const DECISION_FIELDS = ["context", "decision", "consequences"];
+const DECISION_FIELD_RE = /^\*\*(Context|Decision|Consequences):\*\*[ \t]*/i;
+
+/** Note body for a decision record */
+function serializeDecisionBody({ title, context, decision, consequences }) {
+  const parts = [`**${title.trim()}**`];
+  if (context?.trim()) parts.push(`**Context:** ${context.trim()}`);
+  parts.push(`**Decision:** ${decision.trim()}`);
+  if (consequences?.trim()) parts.push(`**Consequences:** ${consequences.trim()}`);
+  return parts.join("\n\n");
+}
+
+/** Read a #decision note as a record: { title, context, decision, consequences, status, supersedes, supersededBy } */
+function parseDecision(entry) {
+  const lines = entry.body.split("\n");
+  const titleMatch = lines[0]?.match(/^\*\*(.+)\*\*$/);
+  const record = {
+    title: (titleMatch ? titleMatch[1] : lines[0] || "Untitled decision").trim(),
+    context: "",
+    decision: "",
+    consequences: "",
+    status: DECISION_STATUSES.includes(entry.meta.status) ? entry.meta.status : "accepted",
+    supersedes: entry.meta.supersedes ? String(entry.meta.supersedes).split(",") : [],
+    supersededBy: entry.meta.superseded_by || null,
+  };
+  if (!titleMatch) {
+    record.decision = lines.slice(1).join("\n").trim() || entry.body;
+    return record;
+  }
+  let field = null;
+  for (const line of lines.slice(1)) {
+    const m = line.match(DECISION_FIELD_RE);
+    if (m) {
+      field = m[1].toLowerCase();
+      record[field] = line.slice(m[0].length);
+    } else if (field) {
+      record[field] += `\n${line}`;
+    }
+  }
+  for (const key of DECISION_FIELDS) record[key] = record[key].trim();
+  return record;
+}
+
+/**
+ * Decision records across every session (not just the last N), newest first.
+ * Superseded records are left out unless includeSuperseded is set.
+ */
+function collectDecisions({ projectPath = null, includeSuperseded = false } = {}) {
+  const records = [];
+  for (const folder of getAllBrainFolders()) {
+    if (!folder.notes.tags[DECISION_TAG]) continue;
+    if (projectPath && !matchesProject(folder.full, projectPath)) continue;
+    for (const note of readNotes(folder.full).entries) {
+      if (note.tag !== DECISION_TAG) continue;
+      const record = parseDecision(note);
+      if (record.status === "superseded" && !includeSuperseded) continue;
+      records.push({ sessionId: folder.name, folderPath: folder.full, sessionTitle: folder.title, note, ...record });
+    }
+  }
+  return records.sort((a, b) => b.note.timestamp.localeCompare(a.note.timestamp));
+}
+
+/**
+ * Save a decision record and mark the records it supersedes. Superseded IDs are
+ * checked before anything is written. Returns { id, sessionId, filePath, project, superseded }.
+ */
+async function recordDecision({ title, context, decision, consequences, status = "accepted", supersedes = [], sessionId, projectPath }) {
+  if (!title || typeof title !== "string" || !title.trim()) throw codedError("INVALID_ARGUMENT", "title is required");
+  if (!decision || typeof decision !== "string" || !decision.trim()) throw codedError("INVALID_ARGUMENT", "decision is required");
+  if (/\n/.test(title)) throw codedError("INVALID_ARGUMENT", "title must be a single line");
+  if (!["proposed", "accepted", "deprecated"].includes(status)) {
+    throw codedError("INVALID_ARGUMENT", "status must be one of: proposed, accepted, deprecated");
+  }
+  const targets = (Array.isArray(supersedes) ? supersedes : [supersedes]).filter(Boolean).map((id) => {
+    const found = findNote(id);
+    if (found.entry.tag !== DECISION_TAG) throw codedError("INVALID_ARGUMENT", `Note ${id} is not a decision record`);
+    if (parseDecision(found.entry).status === "superseded") throw codedError("INVALID_ARGUMENT", `Decision ${id} is already superseded`);
+    return found;
+  });
+
+  const meta = { status: status === "accepted" ? undefined : status };
+  if (targets.length) meta.supersedes = targets.map((t) => t.entry.id).join(",");
+  const saved = await saveNote({
+    note: serializeDecisionBody({ title, context, decision, consequences }),
+    tag: DECISION_TAG,
+    sessionId,
+    projectPath,
+    meta,
+  });
+
+  for (const { folder, entry } of targets) {
+    await rewriteNotes(folder.full, (entries) => {
+      const target = entries.find((e) => e.id === entry.id);
+      target.meta.status = "superseded";
+      target.meta.superseded_by = saved.id;
+    });
+  }
+  return { ...saved, superseded: targets.map((t) => ({ id: t.entry.id, title: parseDecision(t.entry).title })) };
+}
+
+/** Markdown block for one decision record, with links to its session and plan */
+function formatDecision(record) {
+  const planPath = path.join(record.folderPath, "implementation_plan.md");
+  const plan = fs.existsSync(planPath) ? ` · [implementation_plan.md](file://${planPath})` : "";
+  let text = `## ${record.title} · \`${record.note.id}\`\n`;
+  text += `**Status:** ${record.status} · ${record.note.timestamp.slice(0, 10)} · session \`${record.sessionId}\` (${record.sessionTitle})${plan}\n`;
+  if (record.supersedes.length) text += `**Supersedes:** ${record.supersedes.map((id) => `\`${id}\``).join(", ")}\n`;
+  if (record.supersededBy) text += `**Superseded by:** \`${record.supersededBy}\`\n`;
+  if (record.context) text += `\n**Context:** ${record.context}\n`;
+  text += `\n**Decision:** ${record.decision}\n`;
+  if (record.consequences) text += `\n**Consequences:** ${record.consequences}\n`;
+  return text;
+}
+
+// ─── Knowledge items ──────────────────────────────────────────────────────────
+
+const KNOWLEDGE_METADATA_FILE = "metadata.json";
+const KNOWLEDGE_ARTIFACT_EXTENSIONS = [".md", ".txt", ".json", ".yaml", ".yml"];
+
+/** Validate knowledge_id format (a single folder name inside KNOWLEDGE_DIR) */
+function validateKnowledgeId(id) {
+  if (!id || typeof id !== "string") throw codedError("INVALID_ARGUMENT", "knowledge_id is required");
+  if (!/^[\w.-]+$/.test(id) || id === "." || id === "..") {
+    throw codedError("INVALID_ARGUMENT", `Invalid knowledge_id format: ${id}`);
+  }
+}
+
+function readKnowledgeMetadata(itemPath) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(itemPath, KNOWLEDGE_METADATA_FILE), "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+/** List artifact files of a knowledge item (relative paths, recursive) */
+function listKnowledgeArtifacts(itemPath, rel = "") {
+  const results = [];
+  let entries = [];
+  try { entries = fs.readdirSync(path.join(itemPath, rel), { withFileTypes: true }); }
+  catch { return results; }
+  for (const entry of entries) {
+    if (entry.name.startsWith(".")) continue;
+    const relPath = rel ? path.join(rel, entry.name) : entry.name;
+    if (entry.isDirectory()) {
+      results.push(...listKnowledgeArtifacts(itemPath, relPath));
+    } else if (
+      relPath !== KNOWLEDGE_METADATA_FILE &&
+      KNOWLEDGE_ARTIFACT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())
+    ) {
+      results.push(relPath.split(path.sep).join("/"));
+    }
+  }
+  return results.sort();
+}
+
+/** Build a knowledge item descriptor from its folder (metadata.json + artifacts) */
+function describeKnowledgeItem(id) {
+  const full = path.join(KNOWLEDGE_DIR, id);
+  const meta = readKnowledgeMetadata(full);
+  const artifacts = listKnowledgeArtifacts(full);
+  let mtime = 0;
+  try { mtime = fs.statSync(full).mtimeMs; } catch { /* keep 0 */ }
+  for (const a of artifacts) {
+    try { mtime = Math.max(mtime, fs.statSync(path.join(full, a)).mtimeMs); } catch { /* skip */ }
+  }
+  let title = meta.title || meta.name;
+  if (!title) {
+    const firstMd = artifacts.find((a) => a.endsWith(".md"));
+    const heading = firstMd && readFileSafe(path.join(full, firstMd)).split(/\r?\n/).find((l) => l.trim().startsWith("#"));
+    title = heading ? heading.replace(/^#+\s*/, "").trim() : id;
+  }
+  return {
+    id,
+    full,
+    title,
+    summary: meta.summary || meta.description || "",
+    tags: Array.isArray(meta.tags) ? meta.tags : [],
+    created: meta.created || meta.createdAt || meta.created_at || null,
+    updated: meta.updated || meta.updatedAt || meta.updated_at || null,
+    mtime,
+    metadata: meta,
+    artifacts,
+  };
+}
+
+/** All knowledge items, most recently updated first */
+function listKnowledgeItems() {
+  if (!fs.existsSync(KNOWLEDGE_DIR)) return [];
+  try {
+    return fs
+      .readdirSync(KNOWLEDGE_DIR)
+      .filter((d) => {
+        try { return fs.statSync(path.join(KNOWLEDGE_DIR, d)).isDirectory(); }
+        catch { return false; }
+      })
+      .map(describeKnowledgeItem)
+      .sort((a, b) => b.mtime - a.mtime);
+  } catch {
+    return [];
+  }
+}
+
+/** Full text of a knowledge item: metadata plus every artifact */
+function readKnowledgeText(item) {
+  let text = JSON.stringify(item.metadata);
+  for (const a of item.artifacts) text += "\n" + readFileSafe(path.join(item.full, a));
+  return text;
+}
+
+/** Check if a knowledge item's metadata or artifacts mention a given project */
+function knowledgeMatchesProject(item, projectPath) {
+  if (!projectPath) return true;
+  return mentionsProject(readKnowledgeText(item), projectPath);
+}
+
+// ─── Task checklists ──────────────────────────────────────────────────────────
+
+const TASK_STATES = { " ": "todo", x: "done", X: "done", "/": "in_progress" };
+const TASK_MARKERS = { todo: " ", done: "x", in_progress: "/" };
+
+/**
+ * Parse task.md into a tree of checklist items. Each item records its state
+ * (todo / in_progress / done), the nearest heading above it and its children.
+ */
+function parseTaskChecklist(content) {
+  const roots = [];
+  const stack = [];
+  let heading = null;
+  for (const line of content.split(/\r?\n/)) {
+    const h = line.match(/^\s{0,3}#{1,6}\s+(.*)$/);
+    if (h) {
+      heading = h[1].trim();
+      stack.length = 0;
+      continue;
+    }
+    const m = line.match(/^(\s*)[-*+]\s+\[([ xX/])\]\s*(.*)$/);
+    if (!m) continue;
+    const indent = m[1].replace(/\t/g, "    ").length;
+    const item = { text: m[3].trim(), state: TASK_STATES[m[2]], heading, children: [] };
+    while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+    if (stack.length) stack[stack.length - 1].item.children.push(item);
+    else roots.push(item);
+    stack.push({ indent, item });
+  }
+  return roots;
+}
+
+/** Flatten a checklist tree depth-first */
+function flattenTasks(items) {
+  return items.flatMap((item) => [item, ...flattenTasks(item.children)]);
+}
+
+/** Count items by state across the whole tree */
+function summarizeTasks(items) {
+  const summary = { total: 0, done: 0, inProgress: 0, todo: 0 };
+  for (const item of flattenTasks(items)) {
+    summary.total++;
+    if (item.state === "done") summary.done++;
+    else if (item.state === "in_progress") summary.inProgress++;
+    else summary.todo++;
+  }
+  return summary;
+}
+
+/** "12/18 done, 2 in progress" (empty string when there is no checklist) */
+function formatTaskProgress(summary) {
+  if (!summary || summary.total === 0) return "";
+  let text = `${summary.done}/${summary.total} done`;
+  if (summary.inProgress) text += `, ${summary.inProgress} in progress`;
+  return text;
+}
+
+function hasOpenTasks(item) {
+  return item.state !== "done" || item.children.some(hasOpenTasks);
+}
+
+/** Render unfinished items as a markdown checklist; finished parents are kept for context */
+function renderOpenTasks(items, depth = 0) {
+  let text = "";
+  for (const item of items) {
+    if (!hasOpenTasks(item)) continue;
+    text += `${"  ".repeat(depth)}- [${TASK_MARKERS[item.state]}] ${item.text}\n`;
+    text += renderOpenTasks(item.children, depth + 1);
+  }
+  return text;
+}
+
+/** Group a session's top-level unfinished items by heading */
+function collectOpenTasks(folderPath) {
+  const items = parseTaskChecklist(readTaskOnly(folderPath));
+  const groups = new Map();
+  for (const item of items) {
+    if (!hasOpenTasks(item)) continue;
+    const key = item.heading || "";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return { summary: summarizeTasks(items), groups };
+}
+
+// ─── Full-text search (persistent inverted index, BM25) ──────────────────────
+
+// 2: indexes saved by version 1 lost terms named like Object.prototype members ("constructor")
+const SEARCH_INDEX_VERSION = 2;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SNIPPET_RADIUS = 90;
+const INDEXED_ARTIFACTS = ["task.md", "walkthrough.md", "implementation_plan.md", "session_notes.md"];
+
+let searchIndexCache = null;
+
+/** Split text into lowercase word tokens with their character offsets */
+function tokenize(text) {
+  const tokens = [];
+  for (const m of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    tokens.push({ term: m[0].toLowerCase(), start: m.index, end: m.index + m[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a search query into clauses. Supported syntax:
+ *   word      — exact term
+ *   word*     — prefix
+ *   "a b c"   — phrase (consecutive terms)
+ * All clauses must match (implicit AND).
+ */
+function parseSearchQuery(query) {
+  const clauses = [];
+  const re = /"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(query || "")) !== null) {
+    if (m[1] !== undefined) {
+      const terms = tokenize(m[1]).map((t) => t.term);
+      if (terms.length === 1) clauses.push({ kind: "term", value: terms[0] });
+      else if (terms.length > 1) clauses.push({ kind: "phrase", terms });
+      continue;
+    }
+    const isPrefix = m[2].endsWith("*");
+    const terms = tokenize(m[2]).map((t) => t.term);
+    if (terms.length === 0) continue;
+    if (terms.length > 1) {
+      // "pg_dump" or "v1.2" tokenizes into several terms — treat as a phrase
+      clauses.push({ kind: "phrase", terms, prefix: isPrefix });
+    } else if (isPrefix) {
+      clauses.push({ kind: "prefix", value: terms[0] });
+    } else {
+      clauses.push({ kind: "term", value: terms[0] });
+    }
+  }
+  return clauses;
+}
+
+/** Does a single token satisfy a term/prefix test? */
+function tokenMatches(term, value, prefix) {
+  return prefix ? term.startsWith(value) : term === value;
+}
+
+/** Find [start, end) token ranges in a token list that satisfy a clause */
+function findClauseHits(tokens, clause) {
+  const hits = [];
+  if (clause.kind === "phrase") {
+    const n = clause.terms.length;
+    for (let i = 0; i + n <= tokens.length; i++) {
+      let ok = true;
+      for (let j = 0; j < n && ok; j++) {
+        const last = j === n - 1;
+        ok = tokenMatches(tokens[i + j].term, clause.terms[j], last && clause.prefix);
+      }
+      if (ok) hits.push([i, i + n]);
+    }
+    return hits;
+  }
+  tokens.forEach((t, i) => {
+    if (tokenMatches(t.term, clause.value, clause.kind === "prefix")) hits.push([i, i + 1]);
+  });
+  return hits;
+}
+
+/** Does plain text satisfy every clause of a parsed query? */
+function textMatchesQuery(text, clauses) {
+  if (clauses.length === 0) return true;
+  const tokens = tokenize(text);
+  return clauses.every((c) => findClauseHits(tokens, c).length > 0);
+}
+
+/** Build a snippet around the first hit, with all hits in the window wrapped in **bold** */
+function buildSnippet(text, clauses) {
+  const tokens = tokenize(text);
+  const ranges = clauses
+    .flatMap((c) => findClauseHits(tokens, c))
+    .map(([a, b]) => [tokens[a].start, tokens[b - 1].end])
+    .sort((x, y) => x[0] - y[0]);
+  if (ranges.length === 0) return text.slice(0, SNIPPET_RADIUS * 2).replace(/\s+/g, " ").trim();
+
+  const from = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+  const to = Math.min(text.length, ranges[0][1] + SNIPPET_RADIUS);
+  let out = "";
+  let cursor = from;
+  for (const [a, b] of ranges) {
+    if (a < cursor || b > to) continue;
+    out += text.slice(cursor, a) + `**${text.slice(a, b)}**`;
+    cursor = b;
+  }
+  out += text.slice(cursor, to);
+  out = out.replace(/\s+/g, " ").trim();
+  return `${from > 0 ? "…" : ""}${out}${to < text.length ? "…" : ""}`;
+}
+
+/**
+ * Lookup table keyed by indexed text (terms, folder names): no prototype, so a term
+ * like "constructor" or "__proto__" is an ordinary key.
+ */
+function termTable(entries = {}) {
+  return Object.assign(Object.create(null), entries);
+}
+
+function emptySearchIndex() {
+  return { version: SEARCH_INDEX_VERSION, folders: termTable(), docs: termTable(), postings: termTable() };
+}
+
+function loadSearchIndex() {
+  if (searchIndexCache) return searchIndexCache;
+  const data = readStateJson(SEARCH_INDEX_FILE, null);
+  if (data?.version !== SEARCH_INDEX_VERSION) return (searchIndexCache = emptySearchIndex());
+  const postings = termTable();
+  for (const [term, posting] of Object.entries(data.postings || {})) postings[term] = termTable(posting);
+  searchIndexCache = { version: data.version, folders: termTable(data.folders), docs: termTable(data.docs), postings };
+  return searchIndexCache;
+}
+
+function saveSearchIndex(index) {
+  writeStateJson(SEARCH_INDEX_FILE, index, false);
+}
+
+function removeSessionFromIndex(index, sessionId) {
+  for (const [docId, doc] of Object.entries(index.docs)) {
+    if (doc.session !== sessionId) continue;
+    for (const term of doc.terms) {
+      const posting = index.postings[term];
+      if (!posting) continue;
+      delete posting[docId];
+      if (Object.keys(posting).length === 0) delete index.postings[term];
+    }
+    delete index.docs[docId];
+  }
+  delete index.folders[sessionId];
+}
+
+function addSessionToIndex(index, folder, signature) {
+  const artifacts = readAllArtifacts(folder.full);
+  for (const [file, content] of Object.entries(artifacts)) {
+    const docId = `${folder.name}/${file}`;
+    const tokens = tokenize(content);
+    const terms = new Set();
+    tokens.forEach((t, pos) => {
+      terms.add(t.term);
+      const posting = (index.postings[t.term] ||= termTable());
+      (posting[docId] ||= []).push(pos);
+    });
+    index.docs[docId] = { session: folder.name, file, length: tokens.length, terms: [...terms] };
+  }
+  index.folders[folder.name] = signature;
+}
+
+/** Bring the index up to date — only folders whose signature changed are re-read */
+function updateSearchIndex() {
+  const index = loadSearchIndex();
+  const folders = getBrainFoldersSorted();
+  const seen = new Set();
+  let changed = 0;
+
+  for (const folder of folders) {
+    seen.add(folder.name);
+    const signature = folder.signature;
+    if (index.folders[folder.name] === signature) continue;
+    removeSessionFromIndex(index, folder.name);
+    addSessionToIndex(index, folder, signature);
+    changed++;
+  }
+  for (const sessionId of Object.keys(index.folders)) {
+    if (seen.has(sessionId)) continue;
+    removeSessionFromIndex(index, sessionId);
+    changed++;
+  }
+
+  if (changed > 0) {
+    try { saveSearchIndex(index); } catch { /* in-memory index still usable */ }
+  }
+  return { index, changed };
+}
+
+/** BM25 inverse document frequency */
+function bm25Idf(totalDocs, docFreq) {
+  return Math.log(1 + (totalDocs - docFreq + 0.5) / (docFreq + 0.5));
+}
+
+/** Matching docs and per-doc term frequency for one clause */
+function clauseFrequencies(index, clause) {
+  const freqs = new Map();
+  if (clause.kind === "term") {
+    for (const [docId, positions] of Object.entries(index.postings[clause.value] || termTable())) {
+      freqs.set(docId, positions.length);
+    }
+    return freqs;
+  }
+  if (clause.kind === "prefix") {
+    for (const [term, posting] of Object.entries(index.postings)) {
+      if (!term.startsWith(clause.value)) continue;
+      for (const [docId, positions] of Object.entries(posting)) {
+        freqs.set(docId, (freqs.get(docId) || 0) + positions.length);
+      }
+    }
+    return freqs;
+  }
+
+  // Phrase: intersect postings, then check consecutive positions
+  const lastIdx = clause.terms.length - 1;
+  const postingsFor = (term, i) => {
+    if (i === lastIdx && clause.prefix) {
+      const merged = termTable();
+      for (const [t, posting] of Object.entries(index.postings)) {
+        if (!t.startsWith(term)) continue;
+        for (const [docId, positions] of Object.entries(posting)) {
+          (merged[docId] ||= []).push(...positions);
+        }
+      }
+      return merged;
+    }
+    return index.postings[term] || termTable();
+  };
+  const lists = clause.terms.map(postingsFor);
+  for (const [docId, firstPositions] of Object.entries(lists[0])) {
+    if (!lists.every((l) => l[docId])) continue;
+    const sets = lists.map((l) => new Set(l[docId]));
+    const count = firstPositions.filter((p) => sets.every((s, i) => s.has(p + i))).length;
+    if (count > 0) freqs.set(docId, count);
+  }
+  return freqs;
+}
+
+/** Run a ranked query against the index. Returns the top docs by BM25 score plus the total hit count. */
+function searchSessions(query, { sessionFilter, limit = 10 } = {}) {
+  const clauses = parseSearchQuery(query);
+  if (clauses.length === 0) throw codedError("INVALID_ARGUMENT", "query is empty");
+  const { index } = updateSearchIndex();
+
+  const docIds = Object.keys(index.docs);
+  const totalDocs = docIds.length;
+  if (totalDocs === 0) return { total: 0, results: [] };
+  const avgLength = docIds.reduce((sum, id) => sum + index.docs[id].length, 0) / totalDocs || 1;
+
+  let scores = null;
+  for (const clause of clauses) {
+    const freqs = clauseFrequencies(index, clause);
+    const idf = bm25Idf(totalDocs, freqs.size);
+    const next = new Map();
+    for (const [docId, tf] of freqs) {
+      if (scores && !scores.has(docId)) continue; // implicit AND
+      const doc = index.docs[docId];
+      const norm = tf + BM25_K1 * (1 - BM25_B + (BM25_B * doc.length) / avgLength);
+      next.set(docId, (scores ? scores.get(docId) : 0) + (idf * tf * (BM25_K1 + 1)) / norm);
+    }
+    scores = next;
+    if (scores.size === 0) break;
+  }
+
+  const ranked = [...scores.entries()]
+    .map(([docId, score]) => ({ ...index.docs[docId], score }))
+    .filter((doc) => !sessionFilter || sessionFilter(doc.session))
+    .sort((a, b) => b.score - a.score);
+
+  // Snippets need the original text — read only the files we actually return
+  const results = ranked.slice(0, limit).map((doc) => {
+    const content = readFileSafe(path.join(BRAIN_DIR, doc.session, doc.file));
+    return {
+      sessionId: doc.session,
+      file: doc.file,
+      score: doc.score,
+      snippet: buildSnippet(content, clauses),
+    };
+  });
+  return { total: ranked.length, results };
+}
+
+// ─── Credentials (with encryption) ───────────────────────────────────────────
+
+function parseCredentialsText(content) {
+  const creds = {};
+  let currentSection = "general";
+  for (const line of content.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    if (trimmed.startsWith("#")) {
+      currentSection = trimmed.replace(/^#+\s*/, "");
+      continue;
+    }
+    const eqIdx = trimmed.indexOf("=");
+    if (eqIdx > 0) {
+      const key = trimmed.slice(0, eqIdx).trim();
+      const value = trimmed.slice(eqIdx + 1).trim();
+      if (!creds[currentSection]) creds[currentSection] = {};
+      creds[currentSection][key] = value;
+    }
+  }
+  return creds;
+}
+
+function serializeCredentials(entries) {
+  let content = "# Credentials — managed by Antigravity Context MCP\n";
+  content += "# DO NOT commit this file to Git!\n\n";
+  for (const [section, pairs] of Object.entries(entries)) {
+    content += `# ${section}\n`;
+    for (const [key, value] of Object.entries(pairs)) {
+      content += `${key}=${value}\n`;
+    }
+    content += "\n";
+  }
+  return content;
+}
+
+function readCredentials(projectPath) {
+  // Try encrypted file first
+  const encPath = path.join(projectPath, CREDENTIALS_ENC_FILENAME);
+  if (fs.existsSync(encPath)) {
+    try {
+      const payload = fs.readFileSync(encPath, "utf8").trim();
+      const decrypted = decryptText(payload);
+      rememberCredentialsFile(projectPath);
+      return parseCredentialsText(decrypted);
+    } catch (err) {
+      throw codedError("DECRYPT_FAILED", `Failed to decrypt credentials (${encPath}): ${err.message}`);
+    }
+  }
+
+  // Fallback to plaintext + auto-migrate
+  const plainPath = path.join(projectPath, CREDENTIALS_FILENAME);
+  const content = readFileSafe(plainPath);
+  if (!content.trim()) return null;
+
+  const creds = parseCredentialsText(content);
+
+  // Auto-migrate: encrypt and remove plaintext
+  try {
+    checkWritePath(encPath, "credentials", projectPath);
+    const encrypted = encryptText(content);
+    fs.writeFileSync(encPath, encrypted, "utf8");
+    fs.unlinkSync(plainPath);
+    // Update .gitignore
+    ensureGitignore(projectPath, CREDENTIALS_ENC_FILENAME);
+  } catch {
+    // Migration failed — still return creds from plaintext
+  }
+
+  return creds;
+}
+
+/** Encrypt and write the project's credentials. The caller holds the .credentials.enc file lock. */
+function writeCredentials(projectPath, entries) {
+  const content = serializeCredentials(entries);
+  const encPath = path.join(projectPath, CREDENTIALS_ENC_FILENAME);
+  if (fs.existsSync(encPath)) {
+    // Keep the previous encrypted file, same as notes
+    backupFile(encPath);
+    ensureGitignore(projectPath, ".backups/");
+  }
+  fs.writeFileSync(encPath, encryptText(content), "utf8");
+  ensureGitignore(projectPath, CREDENTIALS_ENC_FILENAME);
+  ensureGitignore(projectPath, CREDENTIALS_FILENAME);
+  rememberCredentialsFile(projectPath);
+  return encPath;
+}
+
+/** Projects known to hold a .credentials.enc (used by rotate_key) */
+function listCredentialsProjects() {
+  const data = readStateJson(CREDENTIALS_REGISTRY_FILE, {});
+  return Array.isArray(data.projects) ? data.projects : [];
+}
+
+function rememberCredentialsFile(projectPath) {
+  const resolved = path.resolve(projectPath);
+  const projects = listCredentialsProjects();
+  if (projects.includes(resolved)) return;
+  try {
+    writeStateJson(CREDENTIALS_REGISTRY_FILE, { projects: [...projects, resolved] });
+  } catch { /* registry is best effort */ }
+}
+
+/**
+ * Re-encrypt one project's credentials with the active key.
+ * Returns { status: "rotated" | "current" | "missing" | "failed", detail }.
+ */
+async function rotateCredentialsFile(projectPath, activeKey, extraKeys) {
+  const encPath = path.join(projectPath, CREDENTIALS_ENC_FILENAME);
+  if (!fs.existsSync(encPath)) return { status: "missing", detail: "no .credentials.enc" };
+  return withFileLock(encPath, () => {
+    const payload = fs.readFileSync(encPath, "utf8").trim();
+    const info = inspectPayload(payload);
+    if (info.version === PAYLOAD_VERSION && info.id === activeKey.id) {
+      return { status: "current", detail: describeKey(info.source, info.id) };
+    }
+    let plaintext;
+    try {
+      plaintext = decryptText(payload, extraKeys);
+    } catch (err) {
+      return { status: "failed", detail: err.message };
+    }
+    // The note-secrets store in STATE_DIR is the server's own file; projects go through the write policy
+    if (path.resolve(projectPath) !== STATE_DIR) {
+      try {
+        checkWritePath(encPath, "credentials", projectPath);
+      } catch (err) {
+        return { status: "failed", detail: err.message };
+      }
+    }
+    backupFile(encPath);
+    ensureGitignore(projectPath, ".backups/");
+    fs.writeFileSync(encPath, encryptText(plaintext, activeKey), "utf8");
+    const from = info.id ? describeKey(info.source, info.id) : "legacy machine key";
+    return { status: "rotated", detail: `${from} → ${describeKey(activeKey.source, activeKey.id)}` };
+  });
+}
+
+// Public prefixes of well-known token formats — safe to show, they only say what kind of token it is
+const TOKEN_PREFIXES = [
+  "github_pat_", "ghp_", "gho_", "ghu_", "ghs_", "ghr_", "glpat-", "sk-ant-", "sk-proj-", "sk-",
+  "sk_live_", "sk_test_", "rk_live_", "rk_test_", "pk_live_", "pk_test_", "xoxb-", "xoxp-", "xoxa-", "AKIA", "ASIA", "AIza",
+];
+
+/** Mask a secret for display: the token-format prefix when there is one, never characters of the secret itself */
+function maskValue(value) {
+  const str = String(value ?? "");
+  const prefix = TOKEN_PREFIXES.find((p) => str.startsWith(p) && str.length >= p.length + 8);
+  return prefix ? `${prefix}••••` : "••••";
+}
+
+/** Key-level diff between two credential sets: added, changed and removed keys */
+function diffCredentials(before, after) {
+  const diff = { added: [], changed: [], removed: [] };
+  const sections = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const section of sections) {
+    const oldPairs = before[section] || {};
+    const newPairs = after[section] || {};
+    for (const [key, value] of Object.entries(newPairs)) {
+      if (!(key in oldPairs)) diff.added.push({ section, key, value });
+      else if (String(oldPairs[key]) !== String(value)) diff.changed.push({ section, key, oldValue: oldPairs[key], value });
+    }
+    for (const [key, value] of Object.entries(oldPairs)) {
+      if (!(key in newPairs)) diff.removed.push({ section, key, value });
+    }
+  }
+  return diff;
+}
+
+/** Render a credentials diff with masked values */
+function formatCredentialDiff(diff) {
+  const lines = [
+    ...diff.added.map((d) => `+ ${d.section}.${d.key} = ${maskValue(d.value)}`),
+    ...diff.changed.map((d) => `~ ${d.section}.${d.key}: ${maskValue(d.oldValue)} → ${maskValue(d.value)}`),
+    ...diff.removed.map((d) => `- ${d.section}.${d.key}`),
+  ];
+  if (lines.length === 0) return "_No changes._";
+  return "```diff\n" + lines.join("\n") + "\n```";
+}
+
+/**
+ * Read-modify-write the project's credentials under the file lock. The mutator gets
+ * a copy of the current sections and edits it in place; returns the written path and a diff.
+ */
+async function updateCredentials(projectPath, mutate) {
+  return withFileLock(path.join(projectPath, CREDENTIALS_ENC_FILENAME), () => {
+    const before = readCredentials(projectPath) || {};
+    const after = JSON.parse(JSON.stringify(before));
+    mutate(after);
+    for (const [section, pairs] of Object.entries(after)) {
+      if (!pairs || Object.keys(pairs).length === 0) delete after[section];
+    }
+    const diff = diffCredentials(before, after);
+    const unchanged = !diff.added.length && !diff.changed.length && !diff.removed.length;
+    const filePath = unchanged
+      ? path.join(projectPath, CREDENTIALS_ENC_FILENAME)
+      : writeCredentials(projectPath, after);
+    return { filePath, diff, unchanged };
+  });
+}
+
+// ─── Credential handles (use secrets without revealing them) ─────────────────
+
+const CRED_PLACEHOLDER_RE = /\{\{\s*cred:([^}]+?)\.([^.}\s]+)\s*\}\}/g;
+
+/** Replace {{cred:Section.KEY}} placeholders; throws listing every unresolved one */
+function renderCredentialTemplate(template, creds) {
+  const used = new Set();
+  const missing = new Set();
+  const output = template.replace(CRED_PLACEHOLDER_RE, (match, section, key) => {
+    const value = creds[section.trim()]?.[key];
+    if (value === undefined) {
+      missing.add(`${section.trim()}.${key}`);
+      return match;
+    }
+    used.add(`${section.trim()}.${key}`);
+    return value;
+  });
+  if (missing.size) throw codedError("INVALID_ARGUMENT", `Unknown credential placeholder(s): ${[...missing].join(", ")}`);
+  return { output, used: [...used] };
+}
+
+/** Quote a value for a .env file when it contains anything beyond plain characters */
+function formatEnvValue(value) {
+  if (/^[\w@%+=:,./-]*$/.test(value)) return value;
+  return `"${value.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+}
+
+/** Merge KEY=value pairs into existing .env text, replacing keys in place and appending new ones */
+function mergeEnvFile(existing, pairs) {
+  const remaining = new Map(Object.entries(pairs));
+  const lines = existing ? existing.replace(/\n$/, "").split(/\r?\n/) : [];
+  const merged = lines.map((line) => {
+    const m = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=/);
+    if (!m || !remaining.has(m[1])) return line;
+    const value = remaining.get(m[1]);
+    remaining.delete(m[1]);
+    return `${m[1]}=${formatEnvValue(value)}`;
+  });
+  for (const [key, value] of remaining) merged.push(`${key}=${formatEnvValue(value)}`);
+  return merged.join("\n") + "\n";
+}
+
+/** Write a file holding secrets with owner-only permissions. Returns true if it is gitignored. */
+function writeSecretFile(projectPath, outputPath, content) {
+  fs.writeFileSync(outputPath, content, { encoding: "utf8", mode: 0o600 });
+  try { fs.chmodSync(outputPath, 0o600); } catch { /* not supported on this FS */ }
+  const rel = path.relative(projectPath, outputPath);
+  if (!rel || rel.startsWith("..") || path.isAbsolute(rel)) return false;
+  const entry = rel.split(path.sep).join("/");
+  ensureGitignore(projectPath, entry);
+  return isGitignoreListed(readFileSafe(path.join(projectPath, ".gitignore")), entry);
+}
+
+/** True if .gitignore has a line for exactly this project-relative path (`entry` or `/entry`) */
+function isGitignoreListed(gitignore, entry) {
+  return gitignore.split("\n").some((line) => {
+    const pattern = line.trim();
+    return pattern === entry || pattern === `/${entry}`;
+  });
+}
+
+function ensureGitignore(projectPath, filename) {
+  const gitignorePath = path.join(projectPath, ".gitignore");
+  if (fs.existsSync(gitignorePath)) {
+    const gitignore = fs.readFileSync(gitignorePath, "utf8");
+    if (!isGitignoreListed(gitignore, filename)) {
+      fs.appendFileSync(
+        gitignorePath,
+        `\n# Credentials (auto-added)\n${filename}\n`,
+        "utf8"
+      );
+    }
+  }
+}
+
+// ─── Secret scanner (notes → encrypted credentials) ───────────────────────────
+
+// Notes are plaintext and get copied into .backups/ and exports, so secrets found
+// in a note are moved into the encrypted credentials of the session's project
+// (or STATE_DIR when the session has no project) and the note keeps a
+// {{cred:notes.KEY}} reference that materialize_credentials can render.
+
+const NOTE_SECRETS_SECTION = "notes";
+const SECRET_MIN_ENTROPY = 4;
+const SECRET_MIN_RANDOM_LENGTH = 24;
+const SECRET_IDENTIFIER_PART_LENGTH = 4;
+
+const assignmentKeyName = (m) => m[1].replace(/[^A-Za-z0-9]+/g, "_").replace(/^_|_$/g, "").toUpperCase() || "PASSWORD";
+
+// Checked in order; a span claimed by an earlier pattern is not matched again.
+// `group` picks the secret out of the match, `name` is the credential key.
+// `review` patterns guess from context, so they are only reported by scan_notes and
+// never move text on their own: token=, secret= and friends also name ordinary settings.
+const SECRET_PATTERNS = [
+  { kind: "private key", name: "PRIVATE_KEY", re: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { kind: "GitHub token", name: "GITHUB_TOKEN", re: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { kind: "Anthropic key", name: "ANTHROPIC_API_KEY", re: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { kind: "OpenAI key", name: "OPENAI_API_KEY", re: /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}/g },
+  { kind: "Stripe key", name: "STRIPE_KEY", re: /\b[rs]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+  { kind: "AWS access key", name: "AWS_ACCESS_KEY_ID", re: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { kind: "Google API key", name: "GOOGLE_API_KEY", re: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { kind: "Slack token", name: "SLACK_TOKEN", re: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+  { kind: "JWT", name: "JWT", re: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  { kind: "URL password", name: (m) => `${m[1].toUpperCase()}_PASSWORD`, group: 2, re: /\b([a-z][a-z0-9]*)(?:\+[a-z0-9]+)?:\/\/[^\s:/@]+:([^\s@/]+)@/gi },
+  {
+    kind: "password assignment",
+    name: assignmentKeyName,
+    group: 2,
+    re: /([\w.-]*(?:password|passwd|пароль)[\w.-]*)["']?\s*[:=]\s*["']?([^\s"'`,;]+)/giu,
+  },
+  {
+    kind: "secret assignment",
+    name: assignmentKeyName,
+    group: 2,
+    review: true,
+    re: /([\w.-]*(?:pwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key)[\w.-]*)["']?\s*[:=]\s*["']?([^\s"'`,;]+)/giu,
+  },
+];
+
+/** Shannon entropy in bits per character */
+function shannonEntropy(text) {
+  const counts = {};
+  for (const ch of text) counts[ch] = (counts[ch] || 0) + 1;
+  return Object.values(counts).reduce((sum, n) => sum - (n / text.length) * Math.log2(n / text.length), 0);
+}
+
+/** Assigned values that are a reference, a mask, a placeholder or a path */
+function isPlaceholderSecret(value) {
+  return /^\{\{cred:/.test(value) || /^[*•x.]+$/i.test(value) || /^<.*>$/.test(value)
+    || /^\$\{?\w+\}?$/.test(value) || /^[/~.]/.test(value);
+}
+
+/** Code identifiers (CamelCase, snake_case) are made of word-length parts; random strings switch case every char or two */
+function looksLikeIdentifier(value) {
+  const parts = value.match(/[A-Z]?[a-z]+|[A-Z]+(?![a-z])|\d+|[^A-Za-z\d]+/g) || [];
+  return value.length / parts.length >= SECRET_IDENTIFIER_PART_LENGTH;
+}
+
+/**
+ * Secrets in a text as non-overlapping spans, in order: { start, end, value, name, kind, review }.
+ * By default only what is certain: known token formats, private keys, URL passwords and
+ * password= / passwd= / пароль= assignments. With review, also guesses for a person to
+ * check: other secret-like assignments and long random-looking strings (mixed case and
+ * digits, high entropy, not an identifier — hex hashes and UUIDs don't qualify).
+ */
+function findSecrets(text, { review = false } = {}) {
+  const found = [];
+  const overlaps = (start, end) => found.some((s) => start < s.end && end > s.start);
+  const add = (start, value, name, kind, guess = false) => {
+    const end = start + value.length;
+    if (!overlaps(start, end)) found.push({ start, end, value, name, kind, review: guess });
+  };
+  for (const pattern of SECRET_PATTERNS) {
+    if (pattern.review && !review) continue;
+    for (const m of text.matchAll(pattern.re)) {
+      const value = pattern.group ? m[pattern.group] : m[0];
+      if (pattern.group && isPlaceholderSecret(value)) continue;
+      // Guessed assignments need something password-like: a non-letter or some length
+      if (pattern.review && (/^\d+$/.test(value) || value.length < 6 || (/^\p{L}+$/u.test(value) && value.length < 12))) continue;
+      const start = m.index + (pattern.group ? m[0].lastIndexOf(value) : 0);
+      add(start, value, typeof pattern.name === "function" ? pattern.name(m) : pattern.name, pattern.kind, pattern.review === true);
+    }
+  }
+  if (!review) return found.sort((a, b) => a.start - b.start);
+  for (const m of text.matchAll(/[A-Za-z0-9+=_-]{24,}/g)) {
+    const value = m[0];
+    if (value.length < SECRET_MIN_RANDOM_LENGTH || !/[a-z]/.test(value) || !/[A-Z]/.test(value) || !/\d.*\d/.test(value)) continue;
+    if (shannonEntropy(value) < SECRET_MIN_ENTROPY || looksLikeIdentifier(value)) continue;
+    add(m.index, value, "SECRET", "high-entropy string", true);
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/** Where a session's note secrets are stored: its project when linked, present and writable, otherwise STATE_DIR */
+function noteSecretsStore(sessionId) {
+  const project = getSessionProject(sessionId);
+  if (project && fs.existsSync(project.path)) {
+    try {
+      checkWritePath(path.join(project.path, CREDENTIALS_ENC_FILENAME), "credentials", project.path);
+      return project.path;
+    } catch {
+      // Policy keeps the project off limits — the state dir still takes the secret out of the note
+    }
+  }
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  return STATE_DIR;
+}
+
+/**
+ * Move the secrets in a text into the session's credential store and replace each
+ * with a {{cred:notes.KEY}} reference. A value already stored there keeps its key.
+ * Returns { text, moved: [{ ref, kind }], store } — store is null when nothing was found.
+ */
+async function vaultSecrets(text, sessionId) {
+  const secrets = findSecrets(text);
+  if (secrets.length === 0) return { text, moved: [], store: null };
+  const storePath = noteSecretsStore(sessionId);
+  const refs = [];
+  await updateCredentials(storePath, (creds) => {
+    const section = (creds[NOTE_SECRETS_SECTION] = { ...(creds[NOTE_SECRETS_SECTION] || {}) });
+    for (const secret of secrets) {
+      let key = Object.keys(section).find((k) => section[k] === secret.value);
+      if (!key) {
+        key = secret.name;
+        for (let n = 2; key in section; n++) key = `${secret.name}_${n}`;
+        section[key] = secret.value;
+      }
+      refs.push(`${NOTE_SECRETS_SECTION}.${key}`);
+    }
+  });
+  let result = text;
+  for (let i = secrets.length - 1; i >= 0; i--) {
+    result = result.slice(0, secrets[i].start) + `{{cred:${refs[i]}}}` + result.slice(secrets[i].end);
+  }
+  return { text: result, moved: secrets.map((s, i) => ({ ref: refs[i], kind: s.kind })), store: storePath };
+}
+
+/** One line for tool output: which secrets moved where */
+/** Text with each secret replaced by its masked form — for showing notes in a result */
+function maskSecrets(text) {
+  const secrets = findSecrets(text);
+  let result = text;
+  for (let i = secrets.length - 1; i >= 0; i--) {
+    result = result.slice(0, secrets[i].start) + maskValue(secrets[i].value) + result.slice(secrets[i].end);
+  }
+  return result;
+}
+
+function formatMovedSecrets(moved, storePath) {
+  const refs = [...new Set(moved.map((m) => `\`${m.ref}\``))].join(", ");
+  return `🔐 ${moved.length} secret(s) moved to the encrypted credentials in ${storePath} (${refs}) — the note keeps {{cred:…}} references`;
+}
+
+/**
+ * Find secrets in existing notes files and their backups (scan_notes). With redact,
+ * the certain ones move into each session's credential store; notes are rewritten (the
+ * rewrite's own backup is then redacted too) and backups are redacted in place.
+ * Guesses (review) are reported either way and never moved.
+ * Returns [{ sessionId, store, notes: [{ id, found }], backups: [{ name, found }] }]
+ * for sessions with findings; found lists { kind, masked, review }.
+ */
+async function scanNoteSecrets({ projectPath = null, sessionId = null, redact = false } = {}) {
+  let folders = getAllBrainFolders();
+  if (sessionId) {
+    validateSessionId(sessionId);
+    folders = folders.filter((f) => f.name === sessionId);
+    if (folders.length === 0) throw codedError("SESSION_NOT_FOUND", `Session not found: ${sessionId}`);
+  }
+  if (projectPath) folders = folders.filter((f) => matchesProject(f.full, projectPath));
+  const describe = (secrets) => secrets.map((s) => ({ kind: s.kind, masked: maskValue(s.value), review: s.review }));
+  const certain = (found) => found.some((f) => !f.review);
+
+  const results = [];
+  for (const folder of folders) {
+    const notesPath = path.join(folder.full, NOTES_FILENAME);
+    let store = null;
+    const notes = readNotes(folder.full).entries
+      .map((e) => ({ id: e.id, found: describe(findSecrets(e.body, { review: true })) }))
+      .filter((n) => n.found.length);
+    if (redact && notes.some((n) => certain(n.found))) {
+      await rewriteNotes(folder.full, async (entries) => {
+        for (const entry of entries) {
+          const vaulted = await vaultSecrets(entry.body, folder.name);
+          entry.body = vaulted.text;
+          store = vaulted.store || store;
+        }
+      });
+    }
+    // Backups are whole files; list them after the rewrite so its fresh backup is included
+    const backups = [];
+    for (const backup of listBackups(notesPath)) {
+      const content = readFileSafe(backup.path);
+      const found = describe(findSecrets(content, { review: true }));
+      if (!found.length) continue;
+      backups.push({ name: backup.name, found });
+      if (!redact || !certain(found)) continue;
+      const { mtime } = fs.statSync(backup.path);
+      const vaulted = await vaultSecrets(content, folder.name);
+      writeFileAtomic(backup.path, vaulted.text);
+      fs.utimesSync(backup.path, mtime, mtime);
+      store = vaulted.store || store;
+    }
+    if (notes.length || backups.length) results.push({ sessionId: folder.name, store, notes, backups });
+  }
+  return results;
+}
+
+// ─── Activity timeline ────────────────────────────────────────────────────────
+
+const TIMELINE_GROUPS = ["day", "week"];
+const TIMELINE_DEFAULT_DAYS = { day: 7, week: 28 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_LINK_RE = /\]\(file:\/\/\/?([^)\s]+)\)/g;
+const CODE_SPAN_RE = /`([^`\s]+)`/g;
+const FILE_PATH_RE = /^(?:~|\.{1,2})?\/?[\w@.-]+(?:\/[\w@.-]+)*\.[A-Za-z][A-Za-z0-9]{0,7}$/;
+
+/** Files a session mentions: file:// links and `path/like.ext` code spans, relative to the project when possible */
+function extractFileReferences(text, projectPath) {
+  const root = projectPath ? path.resolve(projectPath) + path.sep : null;
+  const files = new Set();
+  const add = (ref) => {
+    let file = ref.replace(/[#?].*$/, "");
+    if (root && path.isAbsolute(file) && file.startsWith(root)) file = file.slice(root.length);
+    files.add(file.replace(/\\/g, "/"));
+  };
+  for (const m of text.matchAll(FILE_LINK_RE)) {
+    let ref = m[1];
+    try { ref = decodeURIComponent(ref); } catch { /* keep as is */ }
+    // file:///C:/x on Windows, file:///home/x elsewhere
+    add(/^[A-Za-z]:\//.test(ref) ? ref : `/${ref.replace(/^\/+/, "")}`);
+  }
+  for (const m of text.matchAll(CODE_SPAN_RE)) {
+    if (FILE_PATH_RE.test(m[1])) add(m[1]);
+  }
+  return [...files];
+}
+
+/** ISO week key ("2026-W42") and the Monday it starts on */
+function isoWeek(date) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const weekday = d.getUTCDay() || 7;
+  const monday = new Date(d.getTime() - (weekday - 1) * DAY_MS);
+  d.setUTCDate(d.getUTCDate() + 4 - weekday);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / DAY_MS + 1) / 7);
+  return { key: `${d.getUTCFullYear()}-W${String(week).padStart(2, "0")}`, monday };
+}
+
+/** Timeline entry for one session: completed items, decisions and files touched */
+function describeSessionActivity(folder, projectPath) {
+  const { first, last } = folder;
+  const artifacts = readAllArtifacts(folder.full);
+  const tasks = parseTaskChecklist(artifacts["task.md"] || "");
+  const notes = readNotes(folder.full).entries;
+  const project = getSessionProject(folder.name);
+  return {
+    id: folder.name,
+    title: folder.title,
+    project: project?.name || null,
+    started: new Date(first).toISOString(),
+    last_active: new Date(last).toISOString(),
+    progress: summarizeTasks(tasks),
+    completed: flattenTasks(tasks).filter((t) => t.state === "done").map((t) => t.text),
+    decisions: notes.filter((n) => n.tag === DECISION_TAG).map((n) => ({ id: n.id, timestamp: n.timestamp, text: parseDecision(n).title })),
+    files: extractFileReferences(
+      ["task.md", "implementation_plan.md", "walkthrough.md"].map((f) => artifacts[f] || "").join("\n"),
+      projectPath || project?.path
+    ),
+  };
+}
+
+/**
+ * Sessions active between since and until (inclusive, YYYY-MM-DD), grouped by day or ISO week,
+ * newest group first.
+ */
+function buildTimeline({ projectPath, since, until, groupBy }) {
+  const groups = new Map();
+  for (const folder of getBrainFoldersSorted()) {
+    const day = new Date(folder.last).toISOString().slice(0, 10);
+    if (day < since || day > until) continue;
+    if (projectPath && !matchesProject(folder.full, projectPath)) continue;
+
+    let key = day;
+    let label = day;
+    if (groupBy === "week") {
+      const { key: weekKey, monday } = isoWeek(new Date(day));
+      const sunday = new Date(monday.getTime() + 6 * DAY_MS);
+      key = weekKey;
+      label = `${weekKey} (${monday.toISOString().slice(0, 10)} – ${sunday.toISOString().slice(0, 10)})`;
+    } else {
+      label = `${day} (${new Date(day).toLocaleDateString("en-US", { weekday: "long", timeZone: "UTC" })})`;
+    }
+    if (!groups.has(key)) groups.set(key, { key, label, sessions: [] });
+    groups.get(key).sessions.push(describeSessionActivity(folder, projectPath));
+  }
+  const sorted = [...groups.values()].sort((a, b) => b.key.localeCompare(a.key));
+  for (const group of sorted) group.sessions.sort((a, b) => b.last_active.localeCompare(a.last_active));
+  return sorted;
+}
+
+/**
+ * Timeline data serialized within max_response_chars. Instead of cutting the text
+ * (which would break the JSON), the oldest groups are dropped and counted in omitted_groups.
+ */
+function fitTimelineJson(data) {
+  const groups = [...data.groups];
+  for (;;) {
+    const fitted = { ...data, groups, omitted_groups: data.groups.length - groups.length };
+    const json = JSON.stringify(fitted, null, 2);
+    if (json.length <= cfg("max_response_chars") || groups.length === 0) return { json, data: fitted };
+    groups.pop();
+  }
+}
+
+function renderTimeline(groups, heading) {
+  const sessions = groups.flatMap((g) => g.sessions);
+  let text = `# ${heading}\n\n`;
+  text += `_${sessions.length} session(s) · ${sessions.reduce((n, s) => n + s.completed.length, 0)} completed item(s) · `;
+  text += `${sessions.reduce((n, s) => n + s.decisions.length, 0)} decision(s)_\n\n`;
+  for (const group of groups) {
+    text += `## ${group.label}\n\n`;
+    for (const s of group.sessions) {
+      const progress = formatTaskProgress(s.progress);
+      text += `### ${s.title}\n\`${s.id}\`${s.project ? ` · ${s.project}` : ""}${progress ? ` · ${progress}` : ""}\n\n`;
+      if (s.completed.length) text += `**Completed**\n${s.completed.map((t) => `- ${t}`).join("\n")}\n\n`;
+      if (s.decisions.length) text += `**Decisions**\n${s.decisions.map((d) => `- ${d.text.replace(/\n/g, "\n  ")}`).join("\n")}\n\n`;
+      if (s.files.length) text += `**Files:** ${s.files.map((f) => `\`${f}\``).join(", ")}\n\n`;
+      if (!s.completed.length && !s.decisions.length && !s.files.length) text += `_No completed items, decisions or file references._\n\n`;
+    }
+  }
+  return text.trimEnd();
+}
+
+// ─── Generated AGENT_CONTEXT.md (managed sections) ───────────────────────────
+
+const CONTEXT_FILENAME = "AGENT_CONTEXT.md";
+const CONTEXT_SECTIONS = {
+  "open-tasks": "Open tasks",
+  walkthroughs: "Recent walkthroughs",
+  decisions: "Decisions",
+  "pinned-notes": "Pinned notes",
+};
+const MANAGED_SECTION_RE = /<!-- antigravity:begin ([a-z-]+) -->\n?[\s\S]*?<!-- antigravity:end \1 -->/g;
+const SUMMARY_MAX_CHARS = 400;
+const CONTEXT_MAX_DECISIONS = 20;
+
+/** Prose paragraphs of a markdown document, each joined into one line (headings, fences and lists skipped) */
+function proseParagraphs(text) {
+  const paragraphs = [];
+  for (const block of text.replace(/```[\s\S]*?```/g, "").split(/\n\s*\n/)) {
+    const lines = block.split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !/^(#|[-*+] |\d+\. |>|\|)/.test(l));
+    if (lines.length) paragraphs.push(lines.join(" "));
+  }
+  return paragraphs;
+}
+
+/** Shorten text to maxChars at a word boundary, marking the cut with … */
+function clipText(text, maxChars) {
+  return text.length > maxChars ? `${text.slice(0, maxChars).replace(/\s+\S*$/, "")}…` : text;
+}
+
+/** First prose paragraph of a markdown document */
+function firstParagraph(text, maxChars = SUMMARY_MAX_CHARS) {
+  const [paragraph] = proseParagraphs(text);
+  return paragraph ? clipText(paragraph, maxChars) : "";
+}
+
+/** Markdown body of each managed section, built from the project's sessions */
+function buildContextSections(projectPath, sectionIds, lastN) {
+  const folders = getBrainFoldersSorted().filter((f) => matchesProject(f.full, projectPath));
+  const dateOf = (folder) => new Date(folder.mtime).toISOString().slice(0, 10);
+  const sections = {};
+
+  if (sectionIds.includes("open-tasks")) {
+    let body = "";
+    for (const folder of folders.slice(0, lastN)) {
+      const { summary, groups } = collectOpenTasks(folder.full);
+      if (groups.size === 0) continue;
+      body += `### ${folder.title} (${dateOf(folder)})\n_${formatTaskProgress(summary)}_\n\n`;
+      for (const [heading, items] of groups) {
+        if (heading) body += `**${heading}**\n`;
+        body += renderOpenTasks(items) + "\n";
+      }
+    }
+    sections["open-tasks"] = body.trim();
+  }
+
+  if (sectionIds.includes("walkthroughs")) {
+    let body = "";
+    let count = 0;
+    for (const folder of folders) {
+      if (count >= lastN) break;
+      const walkthrough = readFileSafe(path.join(folder.full, "walkthrough.md"));
+      if (!walkthrough.trim()) continue;
+      body += `### ${folder.title} (${dateOf(folder)})\n${firstParagraph(walkthrough) || "_No summary paragraph._"}\n\n`;
+      count++;
     }
-    const eqIdx = trimmed.indexOf("=");
-    if (eqIdx > 0) {
-      const key = trimmed.slice(0, eqIdx).trim();
-      const value = trimmed.slice(eqIdx + 1).trim();
-      if (!creds[currentSection]) creds[currentSection] = {};
-      creds[currentSection][key] = value;
+    sections.walkthroughs = body.trim();
+  }
+
+  if (sectionIds.includes("decisions")) {
+    sections.decisions = collectDecisions({ projectPath })
+      .slice(0, CONTEXT_MAX_DECISIONS)
+      .map((d) => {
+        const status = d.status === "accepted" ? "" : ` _(${d.status})_`;
+        const detail = d.decision && d.decision !== d.title ? `: ${d.decision.replace(/\n/g, "\n  ")}` : "";
+        return `- **${d.note.timestamp.slice(0, 10)}** — ${d.title}${status}${detail}`;
+      })
+      .join("\n");
+  }
+
+  if (sectionIds.includes("pinned-notes")) {
+    sections["pinned-notes"] = collectPinnedNotes((folder) => matchesProject(folder.full, projectPath))
+      .map(({ note }) => `- ${note.tag ? `#${note.tag} ` : ""}${note.body.replace(/\n/g, "\n  ")}`)
+      .join("\n");
+  }
+
+  return sections;
+}
+
+function renderManagedSection(id, body) {
+  return `<!-- antigravity:begin ${id} -->\n## ${CONTEXT_SECTIONS[id]}\n\n${body || "_None._"}\n<!-- antigravity:end ${id} -->`;
+}
+
+/**
+ * Replace managed sections in place; sections missing from the file are appended.
+ * Text outside the markers is never touched. Returns { content, updated, added }.
+ */
+function applyManagedSections(existing, sections, projectName) {
+  const updated = [];
+  let content = existing;
+  if (!content.trim()) {
+    content = `# Agent Context — ${projectName}\n\n`;
+    content += `_Sections between \`antigravity:begin\` / \`antigravity:end\` markers are regenerated by generate_context_file. Write your own notes outside them._\n`;
+  }
+  content = content.replace(MANAGED_SECTION_RE, (block, id) => {
+    if (!(id in sections)) return block;
+    updated.push(id);
+    return renderManagedSection(id, sections[id]);
+  });
+  const added = Object.keys(sections).filter((id) => !updated.includes(id));
+  for (const id of added) {
+    content = `${content.replace(/\s*$/, "")}\n\n${renderManagedSection(id, sections[id])}\n`;
+  }
+  return { content, updated, added };
+}
+
+// ─── Session digests (budgeted recall_session, cursors) ───────────────────────
+
+// When a session doesn't fit the budget, recall_session returns a digest instead
+// of a cut-off dump; every part it shortens carries a cursor that pages through
+// the original text ("walkthrough.md:3:0:1a2b3c" = file, section, offset, content tag).
+
+const DIGEST_ARTIFACTS = [
+  { file: "task.md", label: "Tasks" },
+  { file: "session_notes.md", label: "Notes" },
+  { file: "walkthrough.md", label: "Walkthrough" },
+  { file: "implementation_plan.md", label: "Implementation Plan" },
+];
+// Progressively tighter settings, tried in order until the digest fits
+const DIGEST_LEVELS = [
+  { paragraphChars: 600, lastParagraph: true, notes: 10, noteChars: 800 },
+  { paragraphChars: 300, lastParagraph: true, notes: 5, noteChars: 400 },
+  { paragraphChars: 150, lastParagraph: false, notes: 3, noteChars: 200 },
+  { paragraphChars: 0, lastParagraph: false, notes: 1, noteChars: 120 },
+];
+const DIGEST_MIN_CHARS = 500;
+const CURSOR_RE = /^([\w.]+):(all|\d+):(\d+):([a-f0-9]{6})$/;
+
+/** Short content fingerprint — a cursor stops working once its file changes */
+function contentTag(text) {
+  return crypto.createHash("sha1").update(text).digest("hex").slice(0, 6);
+}
+
+/** Split markdown into heading-delimited sections with character ranges (fenced code is not split) */
+function splitMarkdownSections(text) {
+  const sections = [];
+  let current = { heading: null, start: 0 };
+  let offset = 0;
+  let inFence = false;
+  for (const line of text.split("\n")) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const m = !inFence && line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*$/);
+    if (m) {
+      sections.push({ ...current, end: offset });
+      current = { heading: m[1], start: offset };
     }
+    offset += line.length + 1;
   }
-  return creds;
+  sections.push({ ...current, end: text.length });
+  // A blank preamble before the first heading is not a section
+  return sections.filter((s, i) => i > 0 || text.slice(s.start, s.end).trim());
 }
 
-function serializeCredentials(entries) {
-  let content = "# Credentials — managed by Antigravity Context MCP\n";
-  content += "# DO NOT commit this file to Git!\n\n";
-  for (const [section, pairs] of Object.entries(entries)) {
-    content += `# ${section}\n`;
-    for (const [key, value] of Object.entries(pairs)) {
-      content += `${key}=${value}\n`;
+function makeCursor(file, section, offset, tag) {
+  return `${file}:${section}:${offset}:${tag}`;
+}
+
+/** Digest of a checklist: its title, progress and every unfinished item under its heading */
+function digestTasks(content) {
+  const items = parseTaskChecklist(content);
+  const summary = summarizeTasks(items);
+  const title = content.split("\n").find((l) => /^\s{0,3}#\s/.test(l));
+  let text = title ? `${title.trim()}\n` : "";
+  const progress = formatTaskProgress(summary);
+  if (progress) text += `_Progress: ${progress}_\n`;
+  let heading;
+  for (const item of items) {
+    if (!hasOpenTasks(item)) continue;
+    if (item.heading !== heading) {
+      heading = item.heading;
+      if (heading) text += `### ${heading}\n`;
     }
-    content += "\n";
+    text += renderOpenTasks([item]);
   }
-  return content;
+  if (summary.done) text += `_${summary.done} completed item(s) hidden_\n`;
+  return text;
 }
 
-function readCredentials(projectPath) {
-  // Try encrypted file first
-  const encPath = path.join(projectPath, CREDENTIALS_ENC_FILENAME);
-  if (fs.existsSync(encPath)) {
+/** Digest of session notes: pinned ones and the most recent, newest first, bodies clipped */
+function digestNotes(content, level) {
+  const { entries } = parseNotes(content);
+  const recent = entries.slice(-level.notes);
+  const shown = [...entries.filter((e) => e.pinned && !recent.includes(e)), ...recent.reverse()];
+  let text = shown
+    .map((e) => formatNote({ ...e, body: clipText(e.body, level.noteChars) }))
+    .join("\n\n");
+  const older = entries.length - shown.length;
+  if (older > 0) text += `\n\n_${older} older note(s) not shown_`;
+  return `${text}\n`;
+}
+
+/** Digest of a prose document: each heading with its first (and last) paragraph */
+function digestProse(file, content, tag, level) {
+  let text = "";
+  splitMarkdownSections(content).forEach((section, i) => {
+    const body = content.slice(section.start, section.end);
+    const paragraphs = proseParagraphs(section.heading ? body.slice(body.indexOf("\n") + 1) : body);
+    let shown = "";
+    if (level.paragraphChars && paragraphs.length) {
+      shown = clipText(paragraphs[0], level.paragraphChars);
+      if (level.lastParagraph && paragraphs.length > 1) {
+        shown += `\n\n${paragraphs.length > 2 ? "… " : ""}${clipText(paragraphs[paragraphs.length - 1], level.paragraphChars)}`;
+      }
+    }
+    if (section.heading) text += `${body.split("\n")[0].trim()}\n`;
+    if (shown) text += `${shown}\n`;
+    const omitted = body.trim().length - (section.heading ? body.split("\n")[0].trim().length : 0) - shown.length;
+    if (omitted > 40) {
+      text += `_… ~${omitted.toLocaleString()} more chars — cursor \`${makeCursor(file, i, 0, tag)}\`_\n`;
+    }
+    text += "\n";
+  });
+  return text;
+}
+
+/** recall_session output with every artifact in full */
+function renderFullSession(sessionId, artifacts) {
+  let text = `# Session: ${sessionId}\n\n`;
+  for (const { file, label } of DIGEST_ARTIFACTS) {
+    if (artifacts[file]) text += `## ${label}\n${artifacts[file]}\n\n`;
+  }
+  return text;
+}
+
+/**
+ * Structured digest of a session that fits in budget characters: open tasks,
+ * recent notes, headings with first/last paragraphs, and cursors for the rest.
+ */
+function buildSessionDigest(sessionId, artifacts, budget) {
+  const fullLength = renderFullSession(sessionId, artifacts).length;
+  let text = "";
+  for (const level of DIGEST_LEVELS) {
+    text = `# Session: ${sessionId} (digest)\n\n`;
+    text += `_The full session is ${fullLength.toLocaleString()} chars, over the ${budget.toLocaleString()}-char budget. `;
+    text += `Showing headings, open tasks, recent notes and first/last paragraphs; pass a cursor to recall_session to read any part in full._\n\n`;
+    for (const { file, label } of DIGEST_ARTIFACTS) {
+      const content = artifacts[file];
+      if (!content) continue;
+      const tag = contentTag(content);
+      text += `## ${label}\n`;
+      if (file === "task.md") text += digestTasks(content);
+      else if (file === NOTES_FILENAME) text += digestNotes(content, level);
+      else text += digestProse(file, content, tag, level);
+      text += `_Whole file: cursor \`${makeCursor(file, "all", 0, tag)}\`_\n\n`;
+    }
+    if (text.length <= budget) return text;
+  }
+  const notice = `\n\n⚠️ [Digest cut at ${budget.toLocaleString()} chars — even the shortest digest is over budget; use the cursors above or a larger max_chars]`;
+  return text.slice(0, Math.max(0, budget - notice.length)) + notice;
+}
+
+/**
+ * One page of an artifact (or one of its sections) addressed by a cursor.
+ * Returns { file, heading, text, from, to, total, next } — next is null on the last page.
+ */
+function readSessionPage(folderPath, cursor, maxChars) {
+  const m = typeof cursor === "string" && cursor.match(CURSOR_RE);
+  if (!m) throw codedError("INVALID_ARGUMENT", `Invalid cursor: ${cursor}`);
+  const [, file, sectionRef, offsetStr, tag] = m;
+  if (!DIGEST_ARTIFACTS.some((a) => a.file === file)) throw codedError("INVALID_ARGUMENT", `Invalid cursor: unknown file ${file}`);
+  const content = readFileSafe(path.join(folderPath, file));
+  if (!content) throw codedError("NOT_FOUND", `${file} not found in this session`);
+  if (contentTag(content) !== tag) {
+    throw codedError("CURSOR_EXPIRED", `${file} changed since this cursor was issued — call recall_session again for fresh cursors`);
+  }
+
+  let range = { heading: null, start: 0, end: content.length };
+  if (sectionRef !== "all") {
+    range = splitMarkdownSections(content)[Number(sectionRef)];
+    if (!range) throw codedError("INVALID_ARGUMENT", `Invalid cursor: ${file} has no section ${sectionRef}`);
+  }
+  const offset = Number(offsetStr);
+  const start = range.start + offset;
+  if (start > range.end) throw codedError("INVALID_ARGUMENT", "Invalid cursor: offset is past the end of the section");
+
+  let end = Math.min(range.end, start + maxChars);
+  if (end < range.end) {
+    // Prefer to break at a line end, unless that would waste more than half the page
+    const lineEnd = content.lastIndexOf("\n", end - 1);
+    if (lineEnd > start + maxChars / 2) end = lineEnd + 1;
+  }
+  const to = end - range.start;
+  return {
+    file,
+    heading: range.heading,
+    text: content.slice(start, end),
+    from: offset,
+    to,
+    total: range.end - range.start,
+    next: end < range.end ? makeCursor(file, sectionRef, to, tag) : null,
+  };
+}
+
+// ─── Export formats (JSON archive, markdown tarball, Obsidian vault) ─────────
+
+const EXPORT_FORMATS = ["encrypted", "json", "markdown", "obsidian"];
+const ARCHIVE_FORMAT = "antigravity-context-archive";
+const ARCHIVE_VERSION = 1;
+const SESSION_ARTIFACTS = [
+  ["task.md", "Task"],
+  ["implementation_plan.md", "Implementation Plan"],
+  ["walkthrough.md", "Walkthrough"],
+];
+
+/** Validate a YYYY-MM-DD date filter (null when not given) */
+function parseDateFilter(value, name) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw codedError("INVALID_ARGUMENT", `${name} must be a date in YYYY-MM-DD format`);
+  }
+  return value;
+}
+
+/**
+ * Sessions selected for export, oldest first.
+ * Filters: projectPath (same matching as recall), since/until (inclusive, YYYY-MM-DD of the session's last change).
+ */
+function collectExportSessions({ projectPath, since, until, notesOnly = false } = {}) {
+  const sessions = [];
+  for (const folder of getBrainFoldersSorted()) {
+    const date = new Date(folder.mtime).toISOString().slice(0, 10);
+    if ((since && date < since) || (until && date > until)) continue;
+    if (projectPath && !matchesProject(folder.full, projectPath)) continue;
+    const notes = readFileSafe(path.join(folder.full, NOTES_FILENAME));
+    if (notesOnly && !notes.trim()) continue;
+    sessions.push({
+      id: folder.name,
+      full: folder.full,
+      title: folder.title,
+      date,
+      mtime: folder.mtime,
+      project: getSessionProject(folder.name)?.name || (projectPath ? path.basename(path.resolve(projectPath)) : null),
+    });
+  }
+  return sessions.reverse();
+}
+
+/**
+ * Credentials for an export, keyed by project name.
+ * With an export secret the plaintext travels inside the (encrypted) export; otherwise the
+ * .credentials.enc payload is copied as is. Either way the result must only ever be written encrypted.
+ */
+function collectExportCredentials(exportSecret, projectPath) {
+  const paths = new Set(listCredentialsProjects());
+  // Older installs only know credentials through code_tracker files
+  for (const p of listKnownProjects()) {
+    const trackerDir = path.join(CODE_TRACKER_DIR, p.tracker_key);
     try {
-      const payload = fs.readFileSync(encPath, "utf8").trim();
-      const decrypted = decryptText(payload);
-      return parseCredentialsText(decrypted);
-    } catch (err) {
-      throw new Error(`Failed to decrypt credentials: ${err.message}. File may be corrupted or created on a different machine.`);
+      for (const f of fs.readdirSync(trackerDir)) {
+        const content = readFileSafe(path.join(trackerDir, f));
+        if (content.includes(CREDENTIALS_ENC_FILENAME)) paths.add(path.resolve(content.trim().split("\n")[0]));
+      }
+    } catch { /* skip */ }
+  }
+
+  const wanted = projectPath ? canonicalProjectPath(projectPath) : null;
+  const credentials = {};
+  for (const projPath of paths) {
+    if (wanted && canonicalProjectPath(projPath) !== wanted) continue;
+    if (!fs.existsSync(path.join(projPath, CREDENTIALS_ENC_FILENAME))) continue;
+    let key = path.basename(projPath);
+    if (credentials[key]) key = projPath;
+    try {
+      if (exportSecret) {
+        const creds = readCredentials(projPath);
+        if (creds) credentials[key] = { path: projPath, text: serializeCredentials(creds) };
+      } else {
+        credentials[key] = readFileSafe(path.join(projPath, CREDENTIALS_ENC_FILENAME));
+      }
+    } catch { /* undecryptable with the current key — leave it out */ }
+  }
+  return credentials;
+}
+
+/**
+ * Credentials as a standalone encrypted export (same envelope as context_export, no sessions),
+ * so plaintext formats can ship them and context_import can restore them.
+ */
+function buildCredentialsEnvelope(credentials, exportSecret) {
+  return encryptExport(JSON.stringify({
+    version: VERSION,
+    exported_at: new Date().toISOString(),
+    machine: os.hostname(),
+    sessions: [],
+    credentials,
+  }, null, 2), exportSecret);
+}
+
+/** Plain JSON archive: full artifacts and parsed notes of every session */
+function buildJsonArchive(sessions, filters) {
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    server_version: VERSION,
+    exported_at: new Date().toISOString(),
+    machine: os.hostname(),
+    filters,
+    sessions: sessions.map((s) => {
+      const artifacts = readAllArtifacts(s.full);
+      return {
+        id: s.id,
+        title: s.title,
+        date: s.date,
+        project: s.project,
+        progress: summarizeTasks(parseTaskChecklist(artifacts["task.md"] || "")),
+        artifacts,
+        notes: readNotes(s.full).entries.map(({ id, timestamp, tag, pinned, body }) => ({ id, timestamp, tag, pinned, body })),
+      };
+    }),
+  };
+}
+
+/** One ustar entry (header + padded content) */
+function tarEntry(name, content, mtimeMs) {
+  const data = Buffer.isBuffer(content) ? content : Buffer.from(content, "utf8");
+  let prefix = "";
+  let entryName = name;
+  if (Buffer.byteLength(entryName) > 100) {
+    // ustar splits long paths at a "/" into prefix (155) + name (100)
+    const split = [...name.matchAll(/\//g)].map((m) => m.index).find((i) => Buffer.byteLength(name.slice(i + 1)) <= 100);
+    if (split === undefined || Buffer.byteLength(name.slice(0, split)) > 155) throw new Error(`Path too long for tar: ${name}`);
+    prefix = name.slice(0, split);
+    entryName = name.slice(split + 1);
+  }
+  const header = Buffer.alloc(512);
+  const put = (value, offset, length) => header.write(value, offset, length, "utf8");
+  const octal = (value, length) => value.toString(8).padStart(length - 1, "0") + "\0";
+  put(entryName, 0, 100);
+  put(octal(0o644, 8), 100, 8);
+  put(octal(0, 8), 108, 8);
+  put(octal(0, 8), 116, 8);
+  put(octal(data.length, 12), 124, 12);
+  put(octal(Math.floor(mtimeMs / 1000), 12), 136, 12);
+  put("        ", 148, 8);
+  put("0", 156, 1);
+  put("ustar\0", 257, 6);
+  put("00", 263, 2);
+  put(prefix, 345, 155);
+  let sum = 0;
+  for (const byte of header) sum += byte;
+  put(sum.toString(8).padStart(6, "0") + "\0 ", 148, 8);
+  const padding = Buffer.alloc((512 - (data.length % 512)) % 512);
+  return Buffer.concat([header, data, padding]);
+}
+
+/** Gzipped tar of { name, content, mtime } files */
+function buildTarGz(files) {
+  const blocks = files.map((f) => tarEntry(f.name, f.content, f.mtime ?? Date.now()));
+  return zlib.gzipSync(Buffer.concat([...blocks, Buffer.alloc(1024)]));
+}
+
+/** Markdown tarball entries: README index + sessions/<date>_<id>/*.md */
+function buildMarkdownFiles(sessions, root) {
+  const files = [];
+  let index = `# Antigravity memory export\n\nExported ${new Date().toISOString()} from ${os.hostname()}.\n\n`;
+  index += `| Date | Title | Project | Session |\n|------|-------|---------|---------|\n`;
+  for (const s of sessions) {
+    const dir = `sessions/${s.date}_${s.id}`;
+    index += `| ${s.date} | ${s.title.replace(/\|/g, "\\|")} | ${s.project || "—"} | [${s.id.slice(0, 8)}](${dir}/) |\n`;
+    for (const [file, content] of Object.entries(readAllArtifacts(s.full))) {
+      let mtime = s.mtime;
+      try { mtime = fs.statSync(path.join(s.full, file)).mtimeMs; } catch { /* folder mtime */ }
+      files.push({ name: `${root}/${dir}/${file}`, content, mtime });
     }
   }
+  files.unshift({ name: `${root}/README.md`, content: index, mtime: Date.now() });
+  return files;
+}
 
-  // Fallback to plaintext + auto-migrate
-  const plainPath = path.join(projectPath, CREDENTIALS_FILENAME);
-  const content = readFileSafe(plainPath);
-  if (!content.trim()) return null;
+/** File name usable as an Obsidian note title (no link-breaking characters) */
+function obsidianFileName(text) {
+  return text.replace(/[\\/:*?"<>|#^[\]]/g, " ").replace(/\s+/g, " ").trim().slice(0, 80).trim() || "Untitled";
+}
 
-  const creds = parseCredentialsText(content);
+/** Obsidian tag: letters, digits, _, -, / only */
+function obsidianTag(tag) {
+  return tag.replace(/[^\p{L}\p{N}_/-]+/gu, "-").replace(/^-+|-+$/g, "");
+}
 
-  // Auto-migrate: encrypt and remove plaintext
-  try {
-    const encrypted = encryptText(content);
-    fs.writeFileSync(encPath, encrypted, "utf8");
-    fs.unlinkSync(plainPath);
-    // Update .gitignore
-    ensureGitignore(projectPath, CREDENTIALS_ENC_FILENAME);
-  } catch {
-    // Migration failed — still return creds from plaintext
+/** Shift markdown headings down so artifacts nest under the session note's own headings */
+function demoteHeadings(text, levels) {
+  let inFence = false;
+  return text.split(/\r?\n/).map((line) => {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    if (inFence) return line;
+    return line.replace(/^(#{1,6})(\s)/, (m, hashes, space) => "#".repeat(Math.min(6, hashes.length + levels)) + space);
+  }).join("\n");
+}
+
+/**
+ * Obsidian vault: Sessions/<date> <title> (<id>).md with YAML front matter, one note per
+ * project under Projects/, and wiki-links between consecutive sessions of the same project.
+ */
+function buildObsidianVault(sessions) {
+  const noteNames = new Map(sessions.map((s) => [s.id, obsidianFileName(`${s.date} ${s.title} (${s.id.slice(0, 8)})`)]));
+  const byProject = new Map();
+  for (const s of sessions) {
+    if (!s.project) continue;
+    if (!byProject.has(s.project)) byProject.set(s.project, []);
+    byProject.get(s.project).push(s);
   }
+  const projectNote = (project) => obsidianFileName(project);
 
-  return creds;
+  const files = [];
+  for (const s of sessions) {
+    const artifacts = readAllArtifacts(s.full);
+    const notes = readNotes(s.full).entries;
+    const tags = new Set(["antigravity/session"]);
+    for (const n of notes) if (n.tag) tags.add(obsidianTag(n.tag));
+    const progress = formatTaskProgress(summarizeTasks(parseTaskChecklist(artifacts["task.md"] || "")));
+
+    let text = "---\n";
+    text += `date: ${s.date}\n`;
+    text += `title: ${JSON.stringify(s.title)}\n`;
+    text += `project: ${s.project ? JSON.stringify(s.project) : "null"}\n`;
+    text += `session_id: ${s.id}\n`;
+    if (progress) text += `progress: ${JSON.stringify(progress)}\n`;
+    text += `tags:\n${[...tags].filter(Boolean).map((t) => `  - ${t}`).join("\n")}\n`;
+    text += "---\n\n";
+    text += `# ${s.title}\n\n`;
+
+    const links = [];
+    if (s.project) {
+      const siblings = byProject.get(s.project);
+      const i = siblings.indexOf(s);
+      links.push(`Project: [[${projectNote(s.project)}]]`);
+      if (i > 0) links.push(`Previous: [[${noteNames.get(siblings[i - 1].id)}]]`);
+      if (i < siblings.length - 1) links.push(`Next: [[${noteNames.get(siblings[i + 1].id)}]]`);
+    }
+    if (links.length) text += `${links.join(" · ")}\n\n`;
+
+    for (const [file, heading] of SESSION_ARTIFACTS) {
+      if (!artifacts[file]) continue;
+      text += `## ${heading}\n\n${demoteHeadings(artifacts[file].trim(), 2)}\n\n`;
+    }
+    if (notes.length) {
+      text += `## Notes\n\n`;
+      for (const n of notes) {
+        text += `### ${n.timestamp}${n.tag ? ` #${obsidianTag(n.tag)}` : ""}${n.pinned ? " 📌" : ""}\n${n.body}\n\n`;
+      }
+    }
+    files.push({ name: `Sessions/${noteNames.get(s.id)}.md`, content: text.trimEnd() + "\n" });
+  }
+
+  for (const [project, list] of byProject) {
+    let text = `---\ntitle: ${JSON.stringify(project)}\ntags:\n  - antigravity/project\n---\n\n# ${project}\n\n`;
+    for (const s of list.slice().reverse()) text += `- ${s.date} — [[${noteNames.get(s.id)}]]\n`;
+    files.push({ name: `Projects/${projectNote(project)}.md`, content: text });
+  }
+  return files;
 }
 
-function writeCredentials(projectPath, entries) {
-  const content = serializeCredentials(entries);
-  const encPath = path.join(projectPath, CREDENTIALS_ENC_FILENAME);
-  const encrypted = encryptText(content);
-  fs.writeFileSync(encPath, encrypted, "utf8");
-  ensureGitignore(projectPath, CREDENTIALS_ENC_FILENAME);
-  ensureGitignore(projectPath, CREDENTIALS_FILENAME);
-  return encPath;
+// ─── Export and import runs (tools and CLI) ───────────────────────────────────
+
+/**
+ * Write an export in any format (context_export and the CLI).
+ * Returns { text, data }: the report shown to the user and a summary of what was written.
+ */
+function runExport(args) {
+  const outputDir = args?.output_path || os.homedir();
+  if (!fs.existsSync(outputDir)) throw codedError("NOT_FOUND", `Output directory not found: ${outputDir}`);
+  const format = args?.format || "encrypted";
+  if (!EXPORT_FORMATS.includes(format)) throw codedError("INVALID_ARGUMENT", `Unknown format "${format}" (use ${EXPORT_FORMATS.join(", ")})`);
+  const exportSecret = resolveExportSecret(args?.passphrase, args?.key_file);
+  const filters = {
+    project_path: args?.project_path || null,
+    since: parseDateFilter(args?.since, "since"),
+    until: parseDateFilter(args?.until, "until"),
+  };
+  if (filters.since && filters.until && filters.since > filters.until) throw codedError("INVALID_ARGUMENT", "since must not be after until");
+
+  const sessions = collectExportSessions({
+    projectPath: filters.project_path,
+    since: filters.since,
+    until: filters.until,
+    notesOnly: format === "encrypted",
+  });
+  const credentials = args?.include_credentials ? collectExportCredentials(exportSecret, filters.project_path) : null;
+  const ts = new Date().toISOString().slice(0, 10);
+
+  const filterText = [
+    filters.project_path && `project ${filters.project_path}`,
+    (filters.since || filters.until) && `${filters.since || "…"} → ${filters.until || "…"}`,
+  ].filter(Boolean).join(", ") || "none";
+  let keyText;
+  if (exportSecret) {
+    keyText = `🔑 Portable — import it on any machine with the same ${exportSecret.source === "key_file" ? "key file" : "passphrase"}.`;
+  } else if (getActiveKey().source === "machine") {
+    keyText = `⚠️ Can only be decrypted on this machine (${os.hostname()}). Pass a passphrase or key_file for a portable export.`;
+  } else {
+    keyText = `🔑 Encrypted with your ${getActiveKey().label} — any machine with the same key can import it.`;
+  }
+
+  if (format !== "encrypted") {
+    const credsName = "credentials.json.enc";
+    const credsEnvelope = credentials && Object.keys(credentials).length
+      ? buildCredentialsEnvelope(credentials, exportSecret)
+      : null;
+    let target;
+    let size = 0;
+    let credsLocation = null;
+
+    if (format === "json") {
+      target = path.join(outputDir, `antigravity-memory-${ts}.json`);
+      checkWritePath(target, "export", outputDir);
+      const json = JSON.stringify(buildJsonArchive(sessions, filters), null, 2);
+      fs.writeFileSync(target, json, { encoding: "utf8", mode: 0o600 });
+      size = Buffer.byteLength(json);
+      if (credsEnvelope) {
+        credsLocation = path.join(outputDir, `antigravity-memory-${ts}.${credsName}`);
+        checkWritePath(credsLocation, "export", outputDir);
+        fs.writeFileSync(credsLocation, credsEnvelope, { encoding: "utf8", mode: 0o600 });
+      }
+    } else if (format === "markdown") {
+      const root = `antigravity-memory-${ts}`;
+      target = path.join(outputDir, `${root}.tar.gz`);
+      checkWritePath(target, "export", outputDir);
+      const files = buildMarkdownFiles(sessions, root);
+      if (credsEnvelope) {
+        files.push({ name: `${root}/${credsName}`, content: credsEnvelope, mtime: Date.now() });
+        credsLocation = `${credsName} (inside the archive)`;
+      }
+      const archive = buildTarGz(files);
+      fs.writeFileSync(target, archive, { mode: 0o600 });
+      size = archive.length;
+    } else {
+      target = path.join(outputDir, `antigravity-vault-${ts}`);
+      const files = buildObsidianVault(sessions);
+      if (credsEnvelope) {
+        files.push({ name: credsName, content: credsEnvelope });
+        credsLocation = path.join(target, credsName);
+      }
+      for (const file of files) {
+        const filePath = path.join(target, file.name);
+        checkWritePath(filePath, "export", outputDir);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+        fs.writeFileSync(filePath, file.content, { encoding: "utf8", mode: 0o600 });
+        try { fs.chmodSync(filePath, 0o600); } catch { /* not supported on this FS */ }
+        size += Buffer.byteLength(file.content);
+      }
+    }
+
+    let text = `✅ Memory exported to: ${target}\n\n`;
+    text += `| Metric | Value |\n`;
+    text += `|--------|-------|\n`;
+    text += `| **Format** | ${format} |\n`;
+    text += `| **Sessions** | ${sessions.length} |\n`;
+    text += `| **Filters** | ${filterText} |\n`;
+    text += `| **Credentials** | ${credsLocation ? `🔐 ${Object.keys(credentials).length} project(s) in ${credsLocation}` : credentials ? "None found" : "Not included"} |\n`;
+    text += `| **Size** | ${formatBytes(size)} |\n`;
+    text += `\n⚠️ Notes and artifacts are plain text in this format — store the export accordingly.`;
+    if (credsLocation) text += `\n🔐 Credentials stay encrypted — restore them by running context_import on ${credsName}. ${keyText}`;
+    return {
+      text,
+      data: {
+        path: target,
+        format,
+        sessions: sessions.length,
+        filters,
+        credentials: credsLocation ? { projects: Object.keys(credentials).length, location: credsLocation } : null,
+        bytes: size,
+      },
+    };
+  }
+
+  const exportData = {
+    version: VERSION,
+    exported_at: new Date().toISOString(),
+    machine: os.hostname(),
+    filters,
+    sessions: sessions.map((s) => ({
+      id: s.id,
+      title: s.title,
+      date: s.date,
+      notes: readFileSafe(path.join(s.full, NOTES_FILENAME)),
+    })),
+  };
+  if (credentials) exportData.credentials = credentials;
+
+  const json = JSON.stringify(exportData, null, 2);
+  const encrypted = encryptExport(json, exportSecret);
+  const fileName = `antigravity-memory-${ts}.json.enc`;
+  const filePath = path.join(outputDir, fileName);
+  checkWritePath(filePath, "export", outputDir);
+  fs.writeFileSync(filePath, encrypted, "utf8");
+
+  let text = `✅ Memory exported to: ${filePath}\n\n`;
+  text += `| Metric | Value |\n`;
+  text += `|--------|-------|\n`;
+  text += `| **Sessions with notes** | ${exportData.sessions.length} |\n`;
+  text += `| **Filters** | ${filterText} |\n`;
+  text += `| **Credentials included** | ${credentials ? `Yes (${Object.keys(credentials).length})` : "No"} |\n`;
+  text += `| **File size** | ${(Buffer.byteLength(encrypted) / 1024).toFixed(1)} KB |\n`;
+  text += `| **Encrypted** | 🔐 AES-256-GCM |\n`;
+  if (exportSecret) {
+    text += `| **Key** | ${exportSecret.source === "key_file" ? "Key file" : "Passphrase"} (scrypt) |\n`;
+  }
+  text += `\n${keyText}`;
+
+  return {
+    text,
+    data: {
+      path: filePath,
+      format,
+      sessions: exportData.sessions.length,
+      filters,
+      credentials: credentials ? { projects: Object.keys(credentials).length, location: filePath } : null,
+      bytes: Buffer.byteLength(encrypted),
+    },
+  };
 }
 
-function ensureGitignore(projectPath, filename) {
-  const gitignorePath = path.join(projectPath, ".gitignore");
-  if (fs.existsSync(gitignorePath)) {
-    const gitignore = fs.readFileSync(gitignorePath, "utf8");
-    if (!gitignore.includes(filename)) {
-      fs.appendFileSync(
-        gitignorePath,
-        `\n# Credentials (auto-added)\n${filename}\n`,
-        "utf8"
-      );
+/** Merge an export file into local memory (context_import and the CLI). Returns { text, data }. */
+async function runImport(args) {
+  validatePath(args?.file_path, "file_path");
+  const restorePaths = args?.restore_credentials ?? [];
+  if (!Array.isArray(restorePaths) || restorePaths.some((p) => typeof p !== "string" || !path.isAbsolute(p))) {
+    throw codedError("INVALID_ARGUMENT", "restore_credentials must be an array of absolute project paths");
+  }
+  const payload = fs.readFileSync(args.file_path, "utf8").trim();
+  const exportSecret = resolveExportSecret(args?.passphrase, args?.key_file);
+  const json = decryptExport(payload, exportSecret);
+  const data = JSON.parse(json);
+
+  if (!data.sessions || !Array.isArray(data.sessions)) {
+    throw codedError("INVALID_EXPORT", "Invalid export file: missing sessions array");
+  }
+
+  const dryRun = args?.dry_run === true;
+  const totals = { sessions: 0, newSessions: 0, added: 0, skipped: 0, conflicts: 0, invalid: 0, secrets: 0 };
+  const conflictList = [];
+  const secretsMoved = [];
+  const scanSecrets = cfg("scan_secrets");
+
+  for (const session of data.sessions) {
+    if (!session.id || !session.notes || !/^[a-f0-9-]+$/i.test(session.id)) { totals.invalid++; continue; }
+    const folderPath = path.join(BRAIN_DIR, session.id);
+    const incoming = parseNotes(session.notes).entries;
+    // Imported notes pass the secret scanner like saved ones. Vaulting before the merge
+    // also lets a note match its local copy whose secrets were moved already.
+    const vaultedBy = new Map();
+    if (scanSecrets) {
+      for (const entry of incoming) {
+        if (dryRun) {
+          const found = findSecrets(entry.body);
+          if (found.length) vaultedBy.set(entry, { moved: found, store: null });
+          continue;
+        }
+        const vaulted = await vaultSecrets(entry.body, session.id);
+        if (!vaulted.moved.length) continue;
+        entry.body = vaulted.text;
+        vaultedBy.set(entry, vaulted);
+      }
+    }
+    const isNew = !fs.existsSync(folderPath);
+    const local = isNew ? [] : readNotes(folderPath).entries;
+    const { added, skipped, conflicts } = mergeNoteEntries(local, incoming);
+    // Skipped notes were already here; their secrets were already in the store
+    for (const entry of [...added, ...conflicts.map((c) => c.incoming)]) {
+      const vaulted = vaultedBy.get(entry);
+      if (!vaulted) continue;
+      totals.secrets += vaulted.moved.length;
+      if (dryRun) continue;
+      for (const m of vaulted.moved) secretsMoved.push({ sessionId: session.id, ref: m.ref, kind: m.kind, store: vaulted.store });
+    }
+
+    totals.added += added.length;
+    totals.skipped += skipped.length;
+    totals.conflicts += conflicts.length;
+    for (const c of conflicts) conflictList.push({ sessionId: session.id, ...c });
+    if (added.length === 0) continue;
+    totals.sessions++;
+    if (isNew) totals.newSessions++;
+    if (dryRun) continue;
+
+    if (isNew) fs.mkdirSync(folderPath, { recursive: true });
+    await rewriteNotes(folderPath, (entries) => {
+      // Re-merge against the file as it is now, then replace in place
+      const { merged } = mergeNoteEntries(entries.slice(), incoming);
+      entries.splice(0, entries.length, ...merged);
+    });
+  }
+
+  // Portable exports carry plaintext credentials. The paths inside come from the file, so
+  // only the projects the caller names in restore_credentials are written to.
+  const confirmed = new Set(restorePaths.map((p) => path.resolve(p)));
+  let credsRestored = 0;
+  const credsDenied = [];
+  const credsAvailable = [];
+  for (const entry of Object.values(data.credentials || {})) {
+    if (!entry || typeof entry !== "object" || typeof entry.path !== "string" || !entry.text) continue;
+    if (!path.isAbsolute(entry.path) || !confirmed.has(path.resolve(entry.path))) {
+      credsAvailable.push(entry.path);
+      continue;
+    }
+    if (dryRun || !fs.existsSync(entry.path)) continue;
+    const encPath = path.join(entry.path, CREDENTIALS_ENC_FILENAME);
+    try {
+      checkWritePath(encPath, "credentials", entry.path);
+    } catch (err) {
+      credsDenied.push(err.message);
+      continue;
+    }
+    const restored = await withFileLock(encPath, () => {
+      if (fs.existsSync(encPath)) return false;
+      writeCredentials(entry.path, parseCredentialsText(entry.text));
+      return true;
+    });
+    if (restored) credsRestored++;
+  }
+
+  let text = dryRun ? `🔍 Import preview (dry run — nothing was written)\n\n` : `✅ Import complete\n\n`;
+  text += `| Metric | Value |\n`;
+  text += `|--------|-------|\n`;
+  text += `| **Source** | ${data.machine || "unknown"} |\n`;
+  text += `| **Exported at** | ${data.exported_at || "unknown"} |\n`;
+  text += `| **Sessions ${dryRun ? "to update" : "updated"}** | ${totals.sessions} (${totals.newSessions} new) |\n`;
+  text += `| **Notes ${dryRun ? "to add" : "added"}** | ${totals.added} |\n`;
+  text += `| **Duplicates skipped** | ${totals.skipped} |\n`;
+  text += `| **Conflicts (local kept)** | ${totals.conflicts} |\n`;
+  if (totals.invalid) text += `| **Invalid sessions ignored** | ${totals.invalid} |\n`;
+  if (totals.secrets) text += `| **Secrets ${dryRun ? "to move" : "moved"} to credentials** | ${totals.secrets} |\n`;
+  if (credsRestored) text += `| **Credentials restored** | ${credsRestored} project(s) |\n`;
+  for (const store of new Set(secretsMoved.map((m) => m.store))) {
+    text += `\n${formatMovedSecrets(secretsMoved.filter((m) => m.store === store), store)}\n`;
+  }
+  if (credsDenied.length) text += `\n## Credentials not restored\n\n${credsDenied.map((reason) => `- ${reason}`).join("\n")}\n`;
+  if (credsAvailable.length) {
+    text += `\n🔐 The export holds credentials for: ${credsAvailable.join(", ")}. `;
+    text += `They were not restored — pass the project paths you want in restore_credentials.\n`;
+  }
+  if (conflictList.length) {
+    text += `\n## Conflicts\n\nSame note ID, different text. The local version was kept.\n\n`;
+    for (const c of conflictList) {
+      text += `- \`${c.sessionId}\` note \`${c.local.id}\`\n`;
+      text += `  - local: ${maskSecrets(c.local.body).split("\n")[0].slice(0, 100)}\n`;
+      text += `  - incoming: ${maskSecrets(c.incoming.body).split("\n")[0].slice(0, 100)}\n`;
     }
   }
+  if (!dryRun && totals.sessions) text += `\nPrevious notes files were backed up to .backups/.`;
+
+  return {
+    text,
+    data: {
+      dry_run: dryRun,
+      source: data.machine || null,
+      exported_at: data.exported_at || null,
+      totals,
+      credentials_restored: credsRestored,
+      credentials_denied: credsDenied,
+      credentials_available: credsAvailable,
+      secrets_moved: secretsMoved.map((m) => ({ session_id: m.sessionId, ref: m.ref, kind: m.kind, store: m.store })),
+      conflicts: conflictList.map((c) => ({
+        session_id: c.sessionId,
+        note_id: c.local.id,
+        local: maskSecrets(c.local.body),
+        incoming: maskSecrets(c.incoming.body),
+      })),
+    },
+  };
 }
 
 // ─── Diagnostics ──────────────────────────────────────────────────────────────
@@ -344,43 +4027,26 @@ function getContextStatus() {
     totalNotes: 0,
     knowledgeItems: 0,
     diskUsageMB: 0,
+    indexRefresh: null,
   };
 
   if (status.brainExists) {
     try {
-      const allDirs = fs.readdirSync(BRAIN_DIR).filter((name) => {
-        try { return fs.statSync(path.join(BRAIN_DIR, name)).isDirectory() && name !== "tempmediaStorage"; }
-        catch { return false; }
-      });
-      status.totalSessions = allDirs.length;
-
-      const withArtifacts = getBrainFoldersSorted();
-      status.sessionsWithArtifacts = withArtifacts.length;
+      const allFolders = getAllBrainFolders();
+      status.totalSessions = allFolders.length;
+      status.sessionsWithArtifacts = allFolders.filter((f) => f.hasArtifacts).length;
 
-      // Count notes
-      for (const folder of withArtifacts) {
-        const notesPath = path.join(folder.full, "session_notes.md");
-        const content = readFileSafe(notesPath);
-        if (content.trim()) {
+      // Count notes and estimate disk usage from the brain index
+      let totalBytes = 0;
+      for (const folder of allFolders) {
+        if (folder.hasArtifacts && folder.notes.count) {
           status.notesFiles++;
-          const entries = content.split(/^---$/m).filter((e) => e.trim() && !e.trim().startsWith("# Session Notes"));
-          status.totalNotes += entries.length;
+          status.totalNotes += folder.notes.count;
         }
-      }
-
-      // Estimate disk usage
-      let totalBytes = 0;
-      for (const dir of allDirs) {
-        const dirPath = path.join(BRAIN_DIR, dir);
-        try {
-          const files = fs.readdirSync(dirPath);
-          for (const f of files) {
-            try { totalBytes += fs.statSync(path.join(dirPath, f)).size; }
-            catch { /* skip */ }
-          }
-        } catch { /* skip */ }
+        totalBytes += folder.bytes;
       }
       status.diskUsageMB = (totalBytes / 1024 / 1024).toFixed(1);
+      status.indexRefresh = brainWatcher ? "fs.watch" : "mtime checks";
     } catch { /* leave defaults */ }
   }
 
@@ -397,14 +4063,408 @@ function getContextStatus() {
   return status;
 }
 
+// ─── Structured results (output schemas, error codes) ─────────────────────────
+
+// Every tool returns markdown for the model plus structuredContent for programs,
+// described by an outputSchema. Failures set isError and carry { error: { code,
+// message } }; codes are stable, messages are for people.
+
+const ERROR_CODES = {
+  INVALID_ARGUMENT: "An argument is missing, malformed or not allowed",
+  NOT_FOUND: "A file or directory does not exist",
+  SESSION_NOT_FOUND: "No brain folder with that session ID",
+  NOTE_NOT_FOUND: "No note with that ID",
+  PROJECT_NOT_FOUND: "No registered project with that name",
+  KNOWLEDGE_NOT_FOUND: "No knowledge item with that ID",
+  BACKUP_NOT_FOUND: "No such notes backup",
+  CREDENTIAL_NOT_FOUND: "No credentials, section or key with that name",
+  CURSOR_EXPIRED: "The file changed since the cursor was issued",
+  DECRYPT_FAILED: "Encrypted data could not be decrypted with the available keys",
+  INVALID_EXPORT: "The file is not an export this server can read",
+  LOCK_TIMEOUT: "Another process holds the file lock — retry shortly",
+  PERMISSION_DENIED: "The operating system refused access",
+  POLICY_DENIED: "read_only, allowed_roots, disabled_tools or a path safety rule refused the call",
+  UNKNOWN_TOOL: "No tool with that name",
+  TOOL_FAILED: "Any other failure",
+};
+
+const nullable = (schema) => ({ ...schema, type: [schema.type, "null"] });
+const arrayOf = (items) => ({ type: "array", items });
+const objectOf = (properties, required) => ({ type: "object", properties, ...(required && { required }) });
+const STRING = { type: "string" };
+const NUMBER = { type: "number" };
+const BOOLEAN = { type: "boolean" };
+const ANY_OBJECT = { type: "object" };
+
+const PROGRESS_SCHEMA = objectOf({ total: NUMBER, done: NUMBER, inProgress: NUMBER, todo: NUMBER });
+const SESSION_SCHEMA = objectOf({
+  id: STRING,
+  date: STRING,
+  title: STRING,
+  progress: PROGRESS_SCHEMA,
+  notes: NUMBER,
+  project: nullable(STRING),
+}, ["id"]);
+const NOTE_SCHEMA = objectOf({
+  id: STRING,
+  timestamp: STRING,
+  tag: nullable(STRING),
+  pinned: BOOLEAN,
+  body: STRING,
+  meta: ANY_OBJECT,
+}, ["id", "body"]);
+const SESSION_NOTE_SCHEMA = objectOf({ session_id: STRING, note: NOTE_SCHEMA }, ["session_id", "note"]);
+const TODO_SCHEMA = objectOf({
+  id: STRING,
+  session_id: STRING,
+  text: STRING,
+  due: nullable(STRING),
+  priority: STRING,
+  status: STRING,
+  completed: nullable(STRING),
+  urgency: nullable(STRING),
+}, ["id", "session_id"]);
+const DECISION_SCHEMA = objectOf({
+  id: STRING,
+  session_id: STRING,
+  timestamp: STRING,
+  title: STRING,
+  context: STRING,
+  decision: STRING,
+  consequences: STRING,
+  status: STRING,
+  supersedes: arrayOf(STRING),
+  superseded_by: nullable(STRING),
+}, ["id", "session_id"]);
+const MOVED_SECRET_SCHEMA = objectOf({ ref: STRING, kind: STRING });
+const SECRET_FINDING_SCHEMA = objectOf({ kind: STRING, masked: STRING, review: BOOLEAN });
+const CREDENTIAL_DIFF_SCHEMA = objectOf({ added: arrayOf(STRING), changed: arrayOf(STRING), removed: arrayOf(STRING) });
+const ERROR_SCHEMA = objectOf({ code: { type: "string", enum: Object.keys(ERROR_CODES) }, message: STRING }, ["code", "message"]);
+
+// Top-level properties per tool. None are required, so an error result
+// ({ error }) validates against the same schema.
+const TOOL_OUTPUT_PROPERTIES = {
+  recall: {
+    session: nullable(SESSION_SCHEMA),
+    task: nullable(STRING),
+    notes: arrayOf(NOTE_SCHEMA),
+    pinned: arrayOf(SESSION_NOTE_SCHEMA),
+    due_todos: arrayOf(TODO_SCHEMA),
+  },
+  recall_sessions: { sessions: arrayOf(SESSION_SCHEMA) },
+  recall_session: {
+    session_id: STRING,
+    mode: { type: "string", enum: ["full", "digest", "page", "empty"] },
+    budget: NUMBER,
+    artifacts: arrayOf(STRING),
+    page: objectOf({ file: STRING, heading: nullable(STRING), from: NUMBER, to: NUMBER, total: NUMBER, next: nullable(STRING) }),
+  },
+  recall_open_tasks: {
+    open: NUMBER,
+    sessions: arrayOf(objectOf({
+      id: STRING,
+      title: STRING,
+      date: STRING,
+      progress: PROGRESS_SCHEMA,
+      tasks: arrayOf(objectOf({ heading: nullable(STRING), text: STRING, state: STRING })),
+    })),
+  },
+  recall_timeline: {
+    project_path: nullable(STRING),
+    since: STRING,
+    until: STRING,
+    group_by: STRING,
+    groups: arrayOf(objectOf({ key: STRING, label: STRING, sessions: arrayOf(ANY_OBJECT) })),
+    omitted_groups: NUMBER,
+  },
+  list_projects: {
+    registered: arrayOf(objectOf({
+      name: STRING,
+      path: STRING,
+      aliases: arrayOf(STRING),
+      git_remote: nullable(STRING),
+      linked_sessions: NUMBER,
+    })),
+    tracked: arrayOf(objectOf({ name: STRING, file_count: NUMBER })),
+  },
+  link_session: {
+    session_id: STRING,
+    project: objectOf({ name: STRING, path: STRING, aliases: arrayOf(STRING), git_remote: nullable(STRING) }),
+    previous: nullable(STRING),
+  },
+  unlink_session: { session_id: STRING, previous: nullable(STRING), excluded_from: nullable(STRING) },
+  get_credentials: {
+    project_path: STRING,
+    masked: BOOLEAN,
+    sections: { type: "object", additionalProperties: { type: "object", additionalProperties: STRING } },
+  },
+  materialize_credentials: { path: STRING, mode: STRING, keys: arrayOf(STRING), gitignored: BOOLEAN },
+  save_credentials: { path: STRING, changed: BOOLEAN, diff: CREDENTIAL_DIFF_SCHEMA },
+  delete_credential: { path: STRING, changed: BOOLEAN, diff: CREDENTIAL_DIFF_SCHEMA },
+  rename_credential_section: { path: STRING, changed: BOOLEAN, diff: CREDENTIAL_DIFF_SCHEMA },
+  rotate_key: {
+    key: objectOf({ label: STRING, source: STRING, id: STRING }),
+    generated_key_file: nullable(STRING),
+    results: arrayOf(objectOf({ project_path: STRING, status: STRING, detail: STRING })),
+    counts: objectOf({ rotated: NUMBER, current: NUMBER, missing: NUMBER, failed: NUMBER }),
+  },
+  save_context_file: { path: STRING, linked_project: nullable(STRING) },
+  generate_context_file: {
+    path: STRING,
+    written: BOOLEAN,
+    up_to_date: BOOLEAN,
+    updated: arrayOf(STRING),
+    added: arrayOf(STRING),
+    backup: nullable(STRING),
+    diff: STRING,
+  },
+  save_note: {
+    session_id: STRING,
+    path: STRING,
+    project: nullable(STRING),
+    note: NOTE_SCHEMA,
+    secrets_moved: arrayOf(MOVED_SECRET_SCHEMA),
+    secrets_store: nullable(STRING),
+  },
+  update_note: { session_id: STRING, note: NOTE_SCHEMA, secrets_moved: arrayOf(MOVED_SECRET_SCHEMA), secrets_store: nullable(STRING) },
+  delete_note: { session_id: STRING, note: NOTE_SCHEMA },
+  pin_note: { session_id: STRING, note_id: STRING, pinned: BOOLEAN },
+  record_decision: {
+    decision: DECISION_SCHEMA,
+    project: nullable(STRING),
+    superseded: arrayOf(objectOf({ id: STRING, title: STRING })),
+  },
+  recall_decisions: { decisions: arrayOf(DECISION_SCHEMA), hidden_superseded: NUMBER },
+  complete_todo: { todo: TODO_SCHEMA },
+  list_todos: { today: STRING, todos: arrayOf(TODO_SCHEMA) },
+  list_backups: {
+    session_id: STRING,
+    backups: arrayOf(objectOf({ number: NUMBER, name: STRING, created: STRING, size: NUMBER })),
+    current_size: NUMBER,
+    retention: NUMBER,
+  },
+  diff_backup: { session_id: STRING, backup: STRING, identical: BOOLEAN, diff: STRING },
+  restore_backup: { session_id: STRING, restored_from: STRING, undo_backup: nullable(STRING) },
+  scan_notes: {
+    redacted: BOOLEAN,
+    sessions: arrayOf(objectOf({
+      session_id: STRING,
+      store: nullable(STRING),
+      notes: arrayOf(objectOf({ id: STRING, found: arrayOf(SECRET_FINDING_SCHEMA) })),
+      backups: arrayOf(objectOf({ name: STRING, found: arrayOf(SECRET_FINDING_SCHEMA) })),
+    })),
+  },
+  recall_notes: {
+    notes: arrayOf(objectOf({ session_id: STRING, session_title: STRING, date: STRING, note: NOTE_SCHEMA })),
+  },
+  search_sessions: {
+    query: STRING,
+    total: NUMBER,
+    results: arrayOf(objectOf({ session_id: STRING, title: STRING, date: STRING, file: STRING, score: NUMBER, snippet: STRING })),
+  },
+  list_knowledge: {
+    items: arrayOf(objectOf({
+      id: STRING,
+      title: STRING,
+      summary: STRING,
+      tags: arrayOf(STRING),
+      updated: nullable(STRING),
+      artifacts: arrayOf(STRING),
+    })),
+  },
+  recall_knowledge: {
+    id: STRING,
+    title: STRING,
+    summary: STRING,
+    metadata: ANY_OBJECT,
+    artifacts: arrayOf(STRING),
+  },
+  context_status: {
+    version: STRING,
+    brain_dir: STRING,
+    brain_exists: BOOLEAN,
+    total_sessions: NUMBER,
+    sessions_with_artifacts: NUMBER,
+    notes_files: NUMBER,
+    total_notes: NUMBER,
+    knowledge_items: NUMBER,
+    disk_usage_mb: NUMBER,
+    index_refresh: nullable(STRING),
+    key: nullable(objectOf({ label: STRING, source: STRING, id: STRING })),
+    key_error: nullable(STRING),
+    max_response_chars: NUMBER,
+  },
+  context_config: {
+    settings: { type: "object", additionalProperties: objectOf({ value: {}, source: STRING }) },
+    files: arrayOf(objectOf({ label: STRING, path: STRING, exists: BOOLEAN })),
+    pending_restart: arrayOf(STRING),
+    warnings: arrayOf(STRING),
+  },
+  context_export: {
+    path: STRING,
+    format: STRING,
+    sessions: NUMBER,
+    filters: ANY_OBJECT,
+    credentials: nullable(objectOf({ projects: NUMBER, location: STRING })),
+    bytes: NUMBER,
+  },
+  context_import: {
+    dry_run: BOOLEAN,
+    source: nullable(STRING),
+    exported_at: nullable(STRING),
+    totals: objectOf({ sessions: NUMBER, newSessions: NUMBER, added: NUMBER, skipped: NUMBER, conflicts: NUMBER, invalid: NUMBER, secrets: NUMBER }),
+    credentials_restored: NUMBER,
+    credentials_denied: arrayOf(STRING),
+    credentials_available: arrayOf(STRING),
+    secrets_moved: arrayOf(objectOf({ session_id: STRING, ref: STRING, kind: STRING, store: STRING })),
+    conflicts: arrayOf(objectOf({ session_id: STRING, note_id: STRING, local: STRING, incoming: STRING })),
+  },
+};
+
+/** outputSchema of a tool: its result properties plus the shared error object */
+function toolOutputSchema(name) {
+  return objectOf({ ...TOOL_OUTPUT_PROPERTIES[name], error: ERROR_SCHEMA });
+}
+
+/** A successful tool result: markdown for the model, data for programs */
+function toolResult(text, data) {
+  return { content: [{ type: "text", text }], structuredContent: data };
+}
+
+/** Stable code of an error: its own, Node's ENOENT / EACCES mapped, otherwise TOOL_FAILED */
+function errorCode(err) {
+  if (err.code in ERROR_CODES) return err.code;
+  if (err.code === "ENOENT") return "NOT_FOUND";
+  if (err.code === "EACCES" || err.code === "EPERM") return "PERMISSION_DENIED";
+  return "TOOL_FAILED";
+}
+
+/** A failed tool result: isError plus { error: { code, message } } */
+function toolError(tool, err) {
+  const code = errorCode(err);
+  return {
+    content: [{ type: "text", text: tool ? `❌ ${tool} failed: ${err.message}` : `❌ ${err.message}` }],
+    structuredContent: { error: { code, message: err.message } },
+    isError: true,
+  };
+}
+
+/** Text of a tool result (CLI, resources, prompts); rethrows the tool's coded error on failure */
+async function toolText(name, args) {
+  const result = await callTool(name, args);
+  if (result.isError) {
+    const { code, message } = result.structuredContent.error;
+    throw codedError(code, message);
+  }
+  return result.content.map((c) => c.text).join("\n");
+}
+
+/** Session summary as returned by recall_sessions and the CLI */
+function sessionData(folder) {
+  return {
+    id: folder.name,
+    date: new Date(folder.mtime).toISOString().slice(0, 10),
+    title: folder.title,
+    progress: folder.progress,
+    notes: folder.notes.count,
+    project: getSessionProject(folder.name)?.name || null,
+  };
+}
+
+function noteData(note) {
+  const { id, timestamp, tag, pinned, body, meta } = note;
+  return { id, timestamp, tag: tag || null, pinned: pinned === true, body, meta: meta || {} };
+}
+
+function todoData(todo) {
+  return {
+    id: todo.note.id,
+    session_id: todo.sessionId,
+    text: todo.note.body,
+    due: todo.due || null,
+    priority: todo.priority,
+    status: todo.status,
+    completed: todo.completed || null,
+    urgency: todo.urgency || null,
+  };
+}
+
+function decisionData(record) {
+  return {
+    id: record.note.id,
+    session_id: record.sessionId,
+    timestamp: record.note.timestamp,
+    title: record.title,
+    context: record.context,
+    decision: record.decision,
+    consequences: record.consequences,
+    status: record.status,
+    supersedes: record.supersedes,
+    superseded_by: record.supersededBy,
+  };
+}
+
+/** Credential diff as key names only — values never leave the encrypted file this way */
+function credentialDiffData(diff) {
+  const names = (list) => list.map((d) => `${d.section}.${d.key}`);
+  return { added: names(diff.added), changed: names(diff.changed), removed: names(diff.removed) };
+}
+
 // ─── MCP Server ───────────────────────────────────────────────────────────────
 
-const server = new Server(
-  { name: "antigravity-context", version: VERSION },
-  { capabilities: { tools: {} } }
-);
+const SERVER_INFO = { name: "antigravity-context", version: VERSION };
+const SERVER_OPTIONS = {
+  capabilities: {
+    tools: {},
+    resources: { subscribe: true, listChanged: true },
+    prompts: {},
+  },
+};
+
+// Connected servers (one for stdio, one per HTTP client session) → their resource subscriptions
+const liveServers = new Map();
+
+/** A Server with every handler registered */
+function createServer() {
+  const server = new Server(SERVER_INFO, SERVER_OPTIONS);
+  const subscriptions = new Set();
+
+  server.setRequestHandler(ListToolsRequestSchema, listTools);
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    return callTool(name, args);
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({ resources: listResources() }));
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: RESOURCE_TEMPLATES }));
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    currentConfig = resolveConfig(null);
+    return { contents: [{ uri, mimeType: "text/markdown", text: await readResource(uri) }] };
+  });
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    parseResourceUri(request.params.uri);
+    subscriptions.add(request.params.uri);
+    return {};
+  });
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: PROMPTS }));
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    return getPrompt(name, args);
+  });
+
+  liveServers.set(server, subscriptions);
+  server.onclose = () => liveServers.delete(server);
+  return server;
+}
 
-server.setRequestHandler(ListToolsRequestSchema, async () => ({
+/** Tool definitions (built per request: descriptions show the current global config) */
+const listTools = async () => ({
   tools: [
     {
       name: "recall",
@@ -421,31 +4481,53 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
       },
     },
     {
-      name: "recall_sessions",
+      name: "recall_sessions",
+      description:
+        "List recent sessions with dates and titles. Returns a compact index so you can pick which session to drill into. Use when user wants a broader view: 'what have we been working on', 'покажи сессии'. By default filters to current project if project_path is provided. Use all_projects=true to see everything.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          count: {
+            type: "number",
+            description: `How many sessions to list (default: 10, max: ${globalCfg("max_sessions")})`,
+          },
+          project_path: {
+            type: "string",
+            description: "Optional. Absolute path to the current project directory. When provided, only sessions mentioning this project are returned.",
+          },
+          all_projects: {
+            type: "boolean",
+            description: "Optional. If true, show sessions from ALL projects regardless of project_path. Use when user explicitly asks about other projects.",
+          },
+        },
+      },
+    },
+    {
+      name: "recall_timeline",
       description:
-        "List recent sessions with dates and titles. Returns a compact index so you can pick which session to drill into. Use when user wants a broader view: 'what have we been working on', 'покажи сессии'. By default filters to current project if project_path is provided. Use all_projects=true to see everything.",
+        "Activity timeline grouped by day or week: for each session its title, completed checklist items, decisions and files touched. Use for standups and reviews: 'what did we do this week', 'что сделали за неделю', 'standup'. Defaults to the last 7 days (28 for week grouping).",
       inputSchema: {
         type: "object",
         properties: {
-          count: {
-            type: "number",
-            description: "How many sessions to list (default: 10, max: 20)",
-          },
           project_path: {
             type: "string",
-            description: "Optional. Absolute path to the current project directory. When provided, only sessions mentioning this project are returned.",
+            description: "Optional. Absolute path to the current project directory. Only this project's sessions are included.",
           },
           all_projects: {
             type: "boolean",
-            description: "Optional. If true, show sessions from ALL projects regardless of project_path. Use when user explicitly asks about other projects.",
+            description: "Optional. If true, include sessions from all projects even when project_path is given.",
           },
+          since: { type: "string", description: "Optional. First day to include (YYYY-MM-DD)." },
+          until: { type: "string", description: "Optional. Last day to include (YYYY-MM-DD). Default: today." },
+          group_by: { type: "string", enum: TIMELINE_GROUPS, description: "Optional. day (default) or week." },
+          format: { type: "string", enum: ["markdown", "json"], description: "Optional. markdown (default) or json." },
         },
       },
     },
     {
       name: "recall_session",
       description:
-        "Get FULL details of a specific session by its ID (from recall_sessions). Returns task.md, walkthrough.md, and implementation_plan.md without truncation.",
+        "Get FULL details of a specific session by its ID (from recall_sessions): task.md, notes, walkthrough.md and implementation_plan.md. If the session is larger than max_chars it returns a structured digest instead (headings, open tasks, recent notes, first/last paragraphs) with cursors — pass a cursor back to read that part in full, page by page.",
       inputSchema: {
         type: "object",
         properties: {
@@ -453,31 +4535,119 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
             type: "string",
             description: "Session ID from recall_sessions list",
           },
+          max_chars: {
+            type: "number",
+            description: `Optional. Character budget for the response (default and max: the max_response_chars setting, ${globalCfg("max_response_chars")}; min ${DIGEST_MIN_CHARS}).`,
+          },
+          cursor: {
+            type: "string",
+            description: "Optional. Cursor from a digest or a previous page — returns that file or section in full, up to max_chars per page.",
+          },
         },
         required: ["session_id"],
       },
     },
+    {
+      name: "recall_open_tasks",
+      description:
+        "Collect every unfinished checklist item ([ ] todo and [/] in progress) across sessions, grouped by session and heading. Use when user asks 'what's left', 'что осталось сделать', or after a crash to make sure nothing was lost. By default filters to current project if project_path is provided.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          project_path: {
+            type: "string",
+            description: "Optional. Absolute path to the current project directory. When provided, only sessions mentioning this project are scanned.",
+          },
+          all_projects: {
+            type: "boolean",
+            description: "Optional. If true, scan sessions from ALL projects regardless of project_path.",
+          },
+          last_n: {
+            type: "number",
+            description: "Optional. Only scan the N most recent sessions (default: all).",
+          },
+        },
+      },
+    },
     {
       name: "list_projects",
-      description: "List all known projects tracked by Antigravity.",
+      description: "List all known projects: registered projects (path, aliases, git remote, linked sessions) and projects tracked by Antigravity.",
       inputSchema: { type: "object", properties: {} },
     },
+    {
+      name: "link_session",
+      description:
+        "Explicitly attribute a session to a project, overriding the text-based guess. Use when recall shows sessions from the wrong project or misses one. Registers the project (reads its git remote) if needed.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          session_id: { type: "string", description: "Session ID from recall_sessions" },
+          project_path: { type: "string", description: "Absolute path to the project directory" },
+          aliases: {
+            type: "array",
+            items: { type: "string" },
+            description: "Optional. Other names this project goes by in task descriptions (added to the registry).",
+          },
+        },
+        required: ["session_id", "project_path"],
+      },
+    },
+    {
+      name: "unlink_session",
+      description:
+        "Remove a session's explicit project link. With project_path, the session is also excluded from that project so it is never attributed to it again.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          session_id: { type: "string", description: "Session ID from recall_sessions" },
+          project_path: { type: "string", description: "Optional. Absolute path of the project the session does NOT belong to." },
+        },
+        required: ["session_id"],
+      },
+    },
     {
       name: "get_credentials",
       description:
-        "Read saved credentials (.credentials file) from the project directory.",
+        "Read saved credentials (.credentials file) from the project directory. Prefer masked=true: it lists section and key names only, and materialize_credentials can then put the secrets where they are needed without showing them in the conversation.",
       inputSchema: {
         type: "object",
         properties: {
           project_path: { type: "string", description: "Absolute path to the project directory" },
+          masked: {
+            type: "boolean",
+            description: "Optional. If true, return only section and key names with masked values. Default: false.",
+          },
         },
         required: ["project_path"],
       },
     },
+    {
+      name: "materialize_credentials",
+      description:
+        "Write secrets to where they are needed WITHOUT returning them: render a template file with {{cred:Section.KEY}} placeholders into a target file, or write a section as KEY=value lines into a .env file. Output files are created with owner-only permissions and auto-added to .gitignore. Use for deploys and configs so passwords never enter the conversation.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          project_path: { type: "string", description: "Absolute path to the project directory holding the credentials" },
+          mode: {
+            type: "string",
+            enum: ["template", "env"],
+            description: "template: render template_path into output_path. env: write one section into a .env file.",
+          },
+          template_path: { type: "string", description: "For mode=template. Absolute path to the template file." },
+          section: { type: "string", description: "For mode=env. Credentials section to write." },
+          output_path: {
+            type: "string",
+            description: "Absolute path of the file to write. Required for mode=template; defaults to <project_path>/.env for mode=env (existing keys are updated, other lines kept).",
+          },
+        },
+        required: ["project_path", "mode"],
+      },
+    },
     {
       name: "save_credentials",
       description:
-        "Save credentials to .credentials file in the project directory. Auto-adds to .gitignore.",
+        "Save credentials to .credentials file in the project directory. Merges into existing sections by default (other sections and keys are kept). Auto-adds to .gitignore. Returns a masked diff of added/changed/removed keys.",
       inputSchema: {
         type: "object",
         properties: {
@@ -486,53 +4656,348 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
             type: "object",
             description: 'Sections with key-value pairs. Example: {"Hosting": {"LOGIN": "user", "PASSWORD": "pass"}}',
           },
+          replace: {
+            type: "boolean",
+            description: "Optional. If true, replace ALL stored credentials with the given ones instead of merging. Default: false.",
+          },
         },
         required: ["project_path", "credentials"],
       },
     },
+    {
+      name: "delete_credential",
+      description:
+        "Delete one key from a credentials section, or the whole section if key is omitted. The previous encrypted file is backed up.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          project_path: { type: "string", description: "Absolute path to the project directory" },
+          section: { type: "string", description: "Section name, e.g. Hosting" },
+          key: { type: "string", description: "Optional. Key to delete. If omitted, the whole section is deleted." },
+        },
+        required: ["project_path", "section"],
+      },
+    },
+    {
+      name: "rename_credential_section",
+      description:
+        "Rename a credentials section, keeping its keys. The previous encrypted file is backed up.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          project_path: { type: "string", description: "Absolute path to the project directory" },
+          section: { type: "string", description: "Current section name" },
+          new_name: { type: "string", description: "New section name (must not exist yet)" },
+        },
+        required: ["project_path", "section", "new_name"],
+      },
+    },
+    {
+      name: "rotate_key",
+      description:
+        `Re-encrypt every known .credentials.enc with the current key and report files that could not be decrypted. The current key is the master passphrase (${PASSPHRASE_ENV}), else the key file (${KEY_FILE_ENV} or ~/.gemini/antigravity/context_mcp/master.key), else the machine key. Use after setting a passphrase, creating a key file, or renaming the machine (pass old_hostname).`,
+      inputSchema: {
+        type: "object",
+        properties: {
+          generate_key_file: {
+            type: "boolean",
+            description: "Optional. Create a new random master key file first (fails if one exists), making it the current key.",
+          },
+          project_paths: {
+            type: "array",
+            items: { type: "string" },
+            description: "Optional. Extra absolute project paths to include besides the ones already known.",
+          },
+          old_passphrase: { type: "string", description: "Optional. Previous master passphrase, to decrypt files encrypted with it." },
+          old_key_file: { type: "string", description: "Optional. Absolute path to a previous key file." },
+          old_hostname: {
+            type: "string",
+            description: "Optional. Previous hostname of this machine, to recover files encrypted before a rename.",
+          },
+          old_username: { type: "string", description: "Optional. Previous OS username (with old_hostname). Defaults to the current one." },
+        },
+      },
+    },
     {
       name: "save_context_file",
-      description: "Write AGENT_CONTEXT.md into the project directory.",
+      description: "Write AGENT_CONTEXT.md into the project directory, replacing the whole file (the previous version is backed up). To keep hand-written sections, use generate_context_file instead.",
       inputSchema: {
         type: "object",
         properties: {
           project_path: { type: "string", description: "Absolute path to the project directory" },
           context_text: { type: "string", description: "Markdown content to write" },
+          session_id: { type: "string", description: "Optional. Current session ID — links this session to the project." },
         },
         required: ["project_path", "context_text"],
       },
     },
+    {
+      name: "generate_context_file",
+      description:
+        "Build AGENT_CONTEXT.md from the project's sessions: open tasks, recent walkthrough summaries, decisions and pinned notes. Only the managed sections (between antigravity:begin/end markers) are rewritten — anything written by hand outside them is kept. Shows a diff preview by default; pass write: true to apply (the previous file is backed up).",
+      inputSchema: {
+        type: "object",
+        properties: {
+          project_path: { type: "string", description: "Absolute path to the project directory" },
+          sections: {
+            type: "array",
+            items: { type: "string", enum: Object.keys(CONTEXT_SECTIONS) },
+            description: "Optional. Sections to regenerate. Default: all.",
+          },
+          last_n: { type: "number", description: "Optional. How many recent sessions to take open tasks and walkthroughs from. Default: 5." },
+          write: { type: "boolean", description: "Optional. Apply the changes. Default: false (preview diff only)." },
+        },
+        required: ["project_path"],
+      },
+    },
     {
       name: "save_note",
       description:
-        "Save an important note from the conversation (code words, instructions, decisions, credentials). Use this WHENEVER the user says 'запомни', 'remember', or shares something important that should persist across sessions. Notes are stored in session_notes.md in the brain folder.",
+        "Save an important note from the conversation (code words, instructions, decisions, todos). Use this WHENEVER the user says 'запомни', 'remember', or shares something important that should persist across sessions. For reminders ('напомни', 'remind me to … on Friday') pass due and/or priority — the note becomes a #todo that recall surfaces when it is due. Notes are stored in plaintext in session_notes.md in the brain folder; passwords, tokens and keys in the text are moved to the encrypted credentials automatically and the note keeps a {{cred:notes.KEY}} reference (prefer save_credentials for secrets).",
       inputSchema: {
         type: "object",
         properties: {
           note: { type: "string", description: "The note text to save" },
           tag: {
             type: "string",
-            description: "Optional tag: codeword, instruction, decision, credential, todo",
+            description: `Optional tag: ${globalCfg("note_tags").join(", ")}`,
           },
           session_id: {
             type: "string",
-            description: "Optional session ID. If omitted, saves to the most recent session.",
+            description: "Optional ID of an existing session. If omitted, saves to the most recent session.",
+          },
+          project_path: {
+            type: "string",
+            description: "Optional. Absolute path to the current project directory. Links the session to this project so recall finds it reliably.",
+          },
+          due: {
+            type: "string",
+            description: "Optional. Due date for a todo: YYYY-MM-DD, 'today', 'tomorrow', a weekday ('friday' = the next Friday) or 'in N days'. Implies tag todo.",
+          },
+          priority: {
+            type: "string",
+            enum: TODO_PRIORITIES,
+            description: "Optional. Todo priority (default: normal). Implies tag todo.",
           },
         },
         required: ["note"],
       },
     },
+    {
+      name: "update_note",
+      description:
+        "Edit an existing note by its ID (shown by recall_notes and recall). Use when a saved note is wrong or outdated. The previous file is backed up automatically.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          note_id: { type: "string", description: "Note ID from recall_notes" },
+          note: { type: "string", description: "Optional. New note text (replaces the old text)" },
+          tag: { type: "string", description: `Optional. New tag: ${globalCfg("note_tags").join(", ")}. Empty string removes the tag.` },
+          due: { type: "string", description: "Optional. New due date for a todo (same formats as save_note). Empty string removes it." },
+          priority: { type: "string", enum: TODO_PRIORITIES, description: "Optional. New todo priority." },
+          session_id: { type: "string", description: "Optional. Session the note belongs to (speeds up lookup)" },
+        },
+        required: ["note_id"],
+      },
+    },
+    {
+      name: "delete_note",
+      description:
+        "Delete a note by its ID. Use when the user asks to forget something ('забудь'). The previous file is backed up automatically.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          note_id: { type: "string", description: "Note ID from recall_notes" },
+          session_id: { type: "string", description: "Optional. Session the note belongs to (speeds up lookup)" },
+        },
+        required: ["note_id"],
+      },
+    },
+    {
+      name: "pin_note",
+      description:
+        "Pin (or unpin) a note by its ID. Pinned notes are shown first in recall, whichever session they were saved in. Use for rules that must never be forgotten.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          note_id: { type: "string", description: "Note ID from recall_notes" },
+          pinned: { type: "boolean", description: "Optional. false to unpin (default: true)" },
+          session_id: { type: "string", description: "Optional. Session the note belongs to (speeds up lookup)" },
+        },
+        required: ["note_id"],
+      },
+    },
+    {
+      name: "record_decision",
+      description:
+        "Record an architectural decision (ADR): title, context, the decision and its consequences. Use when the user settles on an approach: 'решили', 'we'll go with', 'let's use X instead of Y'. Pass supersedes with the ID of an earlier decision this one replaces — it is then hidden from recall_decisions. The record links to the session and its implementation_plan.md.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          title: { type: "string", description: "Short title, e.g. 'Use JWT with 15 minute expiry'" },
+          decision: { type: "string", description: "What was decided" },
+          context: { type: "string", description: "Optional. The problem and forces that led to the decision" },
+          consequences: { type: "string", description: "Optional. Trade-offs, follow-ups, what becomes easier or harder" },
+          status: { type: "string", enum: ["proposed", "accepted", "deprecated"], description: "Optional. Default: accepted" },
+          supersedes: {
+            type: "array",
+            items: { type: "string" },
+            description: "Optional. IDs of earlier decisions this one replaces (from recall_decisions)",
+          },
+          session_id: { type: "string", description: "Optional. Session to record it in (default: the most recent one)" },
+          project_path: { type: "string", description: "Optional. Absolute path to the current project directory. Links the session to this project." },
+        },
+        required: ["title", "decision"],
+      },
+    },
+    {
+      name: "recall_decisions",
+      description:
+        "List the decision log (ADR records) for a project across ALL its sessions, newest first. Superseded decisions are hidden unless include_superseded is true. Use before changing architecture or when asked 'почему мы так решили', 'what did we decide about auth'.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          project_path: { type: "string", description: "Optional. Absolute path to a project — only its sessions' decisions." },
+          query: { type: "string", description: "Optional. Only decisions whose text contains this" },
+          include_superseded: { type: "boolean", description: "Optional. Also show superseded decisions (default: false)" },
+        },
+      },
+    },
+    {
+      name: "complete_todo",
+      description:
+        "Mark a todo note as done (or reopen it) by its ID. Use when the user says a reminder is handled: 'сделано', 'done with the staging key'. Done todos stop appearing in recall.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          note_id: { type: "string", description: "Todo note ID from list_todos, recall or recall_notes" },
+          reopen: { type: "boolean", description: "Optional. true to mark a done todo as open again" },
+          session_id: { type: "string", description: "Optional. Session the note belongs to (speeds up lookup)" },
+        },
+        required: ["note_id"],
+      },
+    },
+    {
+      name: "list_todos",
+      description:
+        "List todo notes with due dates, priorities and status — overdue first, then due soon, later and undated. Use when user asks 'что у меня в планах', 'what's on my list', 'any reminders'.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          project_path: { type: "string", description: "Optional. Absolute path to a project — only its sessions' todos." },
+          status: { type: "string", enum: ["open", "done", "all"], description: "Optional. Which todos to list (default: open)." },
+        },
+      },
+    },
+    {
+      name: "list_backups",
+      description:
+        "List the automatic backups of a session's notes (session_notes.md) with timestamps and sizes. Use when a note was lost or edited by mistake ('верни как было').",
+      inputSchema: {
+        type: "object",
+        properties: {
+          session_id: { type: "string", description: "Session ID whose notes backups to list" },
+        },
+        required: ["session_id"],
+      },
+    },
+    {
+      name: "diff_backup",
+      description:
+        "Show a unified diff between a notes backup and the current session_notes.md (- lines exist only in the backup, + lines only in the current file).",
+      inputSchema: {
+        type: "object",
+        properties: {
+          session_id: { type: "string", description: "Session ID" },
+          backup: { type: "string", description: "Backup number from list_backups (1 = newest) or its file name" },
+        },
+        required: ["session_id", "backup"],
+      },
+    },
+    {
+      name: "restore_backup",
+      description:
+        "Restore session_notes.md from a backup. The current file is backed up first, so the restore itself can be undone.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          session_id: { type: "string", description: "Session ID" },
+          backup: { type: "string", description: "Backup number from list_backups (1 = newest) or its file name" },
+        },
+        required: ["session_id", "backup"],
+      },
+    },
     {
       name: "recall_notes",
       description:
-        "Search saved notes across sessions. Use when user asks about code words, past instructions, or saved information. Returns matching notes with dates and session context.",
+        "Search saved notes across sessions. Use when user asks about code words, past instructions, or saved information. Returns matching notes with dates, session context and note IDs.",
       inputSchema: {
         type: "object",
         properties: {
           query: { type: "string", description: "Text to search for in notes" },
-          tag: { type: "string", description: "Filter by tag: codeword, instruction, decision, credential, todo" },
-          last_n: { type: "number", description: "How many recent sessions to search (default: 5, max: 20)" },
+          tag: { type: "string", description: `Filter by tag: ${globalCfg("note_tags").join(", ")}` },
+          last_n: { type: "number", description: `How many recent sessions to search (default: 5, max: ${globalCfg("max_sessions")})` },
+        },
+      },
+    },
+    {
+      name: "scan_notes",
+      description:
+        "Find passwords, tokens and keys sitting in plaintext in saved notes and their backups. By default only reports what was found (masked), including guesses such as token=… settings and random-looking strings, marked for checking by hand. With redact: true, moves each certain secret (known token formats, URL passwords, password= assignments) into the encrypted credentials (the session's project, or the server's own store when it has none), replaces it with a {{cred:notes.KEY}} reference and redacts the backups too.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          project_path: { type: "string", description: "Optional. Only scan sessions of this project." },
+          session_id: { type: "string", description: "Optional. Only scan this session." },
+          redact: { type: "boolean", description: "Optional. If true, move the secrets and rewrite notes and backups. Default: false (report only)." },
+        },
+      },
+    },
+    {
+      name: "search_sessions",
+      description:
+        "Ranked full-text search across ALL session artifacts (task checklists, walkthroughs, implementation plans, notes). Use when you need to find where something was discussed or done: 'when did we set up nginx', 'найди где мы обсуждали миграцию'. Supports \"exact phrases\" and prefix* queries; all terms must match. Returns the best-matching files with highlighted snippets.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          query: {
+            type: "string",
+            description: 'Search query. Words are ANDed; use "quoted phrase" for exact phrases and word* for prefixes.',
+          },
+          project_path: {
+            type: "string",
+            description: "Optional. Absolute path to the current project directory. When provided, only sessions mentioning this project are searched.",
+          },
+          limit: { type: "number", description: "How many results to return (default: 10, max: 50)" },
+        },
+        required: ["query"],
+      },
+    },
+    {
+      name: "list_knowledge",
+      description:
+        "List Antigravity knowledge items (long-lived conventions, guides, project facts) with their metadata and artifacts. Use when user asks about team conventions or 'what do we know about X', 'что мы знаем про'. By default filters to current project if project_path is provided.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          project_path: {
+            type: "string",
+            description: "Optional. Absolute path to the current project directory. When provided, only knowledge items mentioning this project are returned.",
+          },
+          query: { type: "string", description: "Optional. Text to search for in knowledge metadata and artifacts (same matching as recall_notes)" },
+        },
+      },
+    },
+    {
+      name: "recall_knowledge",
+      description:
+        "Get the FULL content of one knowledge item by its ID (from list_knowledge): metadata and every artifact.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          knowledge_id: { type: "string", description: "Knowledge item ID from list_knowledge" },
         },
+        required: ["knowledge_id"],
       },
     },
     {
@@ -541,20 +5006,59 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
         "Health check and diagnostics for the Context MCP Server. Shows version, brain directory stats, session count, notes count, knowledge items, disk usage, and credentials encryption status. Use when user asks 'is context server working', 'статус сервера', or for debugging.",
       inputSchema: { type: "object", properties: {} },
     },
+    {
+      name: "context_config",
+      description:
+        "Show the effective configuration (paths, response limit, backup retention, session caps, note tags) and where each value comes from: default, global config file, the project's .antigravity-context.json or an environment variable. Also lists config problems. Use when user asks 'какие настройки', 'why is the output truncated', or to check a config change.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          project_path: {
+            type: "string",
+            description: "Optional. Absolute path to a project — includes its .antigravity-context.json overrides.",
+          },
+        },
+      },
+    },
     {
       name: "context_export",
       description:
-        "Export all memory (session notes, credentials) to an encrypted JSON file for backup or transfer to another machine. Returns the path to the exported file.",
+        "Export memory for backup, transfer or reading elsewhere. Formats: 'encrypted' (default — session notes in an encrypted file that context_import restores; without passphrase/key_file it is bound to this machine), 'json' (plain JSON archive with full task/plan/walkthrough artifacts and notes), 'markdown' (.tar.gz of the markdown files) and 'obsidian' (vault folder, one note per session with YAML front matter and wiki-links). Filter by project and date range. Credentials are always written encrypted. Returns the path to the export.",
       inputSchema: {
         type: "object",
         properties: {
           output_path: {
             type: "string",
-            description: "Optional. Directory to save the export file. Defaults to user's home directory.",
+            description: "Optional. Directory to save the export file. Defaults to user's home directory. Must be inside allowed_roots when that is set.",
+          },
+          format: {
+            type: "string",
+            enum: EXPORT_FORMATS,
+            description: "Optional. encrypted (default), json, markdown or obsidian.",
+          },
+          project_path: {
+            type: "string",
+            description: "Optional. Only export sessions (and credentials) of this project.",
+          },
+          since: {
+            type: "string",
+            description: "Optional. Only sessions last changed on or after this date (YYYY-MM-DD).",
+          },
+          until: {
+            type: "string",
+            description: "Optional. Only sessions last changed on or before this date (YYYY-MM-DD).",
           },
           include_credentials: {
             type: "boolean",
-            description: "Optional. Include encrypted credentials from all projects. Default: false.",
+            description: "Optional. Include credentials from all projects (or project_path). They stay encrypted: inside the export, or in a separate credentials.json.enc for plain formats. Default: false.",
+          },
+          passphrase: {
+            type: "string",
+            description: `Optional. Passphrase (min ${MIN_PASSPHRASE_LENGTH} chars) to encrypt a portable export that can be imported on any machine.`,
+          },
+          key_file: {
+            type: "string",
+            description: "Optional. Absolute path to a key file whose contents are used as the secret for a portable export. Alternative to passphrase.",
           },
         },
       },
@@ -562,7 +5066,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
     {
       name: "context_import",
       description:
-        "Import memory from a previously exported file. Merges notes into existing sessions without overwriting.",
+        "Import memory from a previously exported file. Merges individual notes into existing sessions: duplicates are skipped, new notes are interleaved chronologically, and notes whose ID exists locally with different text are reported as conflicts (local version kept). Secrets in imported notes are moved into the encrypted credentials like in saved notes (scan_secrets). Use dry_run first to preview. The export format is detected automatically; portable exports need the same passphrase or key_file used to create them.",
       inputSchema: {
         type: "object",
         properties: {
@@ -570,17 +5074,42 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
             type: "string",
             description: "Absolute path to the exported .json.enc file",
           },
+          passphrase: {
+            type: "string",
+            description: "Optional. Passphrase for a portable export.",
+          },
+          key_file: {
+            type: "string",
+            description: "Optional. Absolute path to the key file for a portable export.",
+          },
+          dry_run: {
+            type: "boolean",
+            description: "Optional. If true, only report what would be added, skipped or conflicting — nothing is written.",
+          },
+          restore_credentials: {
+            type: "array",
+            items: { type: "string" },
+            description: "Optional. Absolute project paths whose credentials from the export should be restored (only into projects without a .credentials.enc). Credentials for other paths are listed but not written.",
+          },
         },
         required: ["file_path"],
       },
     },
-  ],
-}));
+  ]
+    .filter((tool) => !globalCfg("disabled_tools").includes(tool.name))
+    .map((tool) => ({ ...tool, outputSchema: toolOutputSchema(tool.name) })),
+});
 
 // ─── Tool Handlers ────────────────────────────────────────────────────────────
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+/** Run one tool by name — shared by the MCP server and the CLI */
+async function callTool(name, args) {
+  currentConfig = resolveConfig(args?.project_path);
+  try {
+    checkToolPolicy(name, args);
+  } catch (err) {
+    return toolError(name, err);
+  }
 
   // ── recall (task.md only from last session) ────────────────────────────────
   if (name === "recall") {
@@ -591,218 +5120,1012 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         folders = folders.filter((f) => matchesProject(f.full, projectPath));
       }
       if (folders.length === 0) {
-        return { content: [{ type: "text", text: projectPath ? `No recent sessions found for project: ${projectPath}` : "No recent sessions found." }] };
+        const text = projectPath ? `No recent sessions found for project: ${projectPath}` : "No recent sessions found.";
+        return toolResult(text, { session: null, task: null, notes: [], pinned: [], due_todos: [] });
       }
 
       const last = folders[0];
       const task = readTaskOnly(last.full);
-      const notes = readFileSafe(path.join(last.full, "session_notes.md"));
+      const notes = readNotes(last.full).entries.filter((n) => !n.pinned);
+      const pinned = collectPinnedNotes(projectPath ? (f) => matchesProject(f.full, projectPath) : null);
+      const dueTodos = collectTodos({ projectPath }).filter((t) => t.urgency);
       const date = new Date(last.mtime).toISOString().slice(0, 10);
 
-      let text = `# Last Session (${date})\n**ID:** ${last.name}\n\n`;
+      let text = "";
+      if (dueTodos.length) {
+        text += `## ⏰ Overdue / due soon\n\n${dueTodos.map((t) => formatTodoLine(t)).join("\n")}\n\n`;
+        text += "_Mention these to the user. complete_todo(note_id) marks one done._\n\n---\n\n";
+      }
+      text += `# Last Session (${date})\n**ID:** ${last.name}\n`;
+      const progress = formatTaskProgress(summarizeTasks(parseTaskChecklist(task)));
+      if (progress) text += `**Progress:** ${progress}\n`;
+      text += "\n";
+      if (pinned.length) {
+        text += `## 📌 Pinned Notes\n\n`;
+        for (const p of pinned) text += `${formatNote(p.note)}\n_Session: \`${p.sessionId}\`_\n\n`;
+        text += "---\n\n";
+      }
       if (task) {
         text += task;
       } else {
         text += "_No task.md found. Use recall_session to get other artifacts._";
       }
-      if (notes.trim()) {
-        text += `\n\n## Notes\n${notes}`;
+      if (notes.length) {
+        text += `\n\n## Notes\n\n${notes.map(formatNote).join("\n\n")}`;
       }
       text += `\n\n_Need more detail? Call recall_session with ID: ${last.name}_`;
 
-      return { content: [{ type: "text", text: truncateResponse(text) }] };
+      return toolResult(truncateResponse(text), {
+        session: sessionData(last),
+        task: task || null,
+        notes: notes.map(noteData),
+        pinned: pinned.map((p) => ({ session_id: p.sessionId, note: noteData(p.note) })),
+        due_todos: dueTodos.map(todoData),
+      });
+    } catch (err) {
+      return toolError("recall", err);
+    }
+  }
+
+  // ── recall_sessions (compact index) ────────────────────────────────────────
+  if (name === "recall_sessions") {
+    try {
+      const folders = listRecentSessions({
+        count: args?.count,
+        projectPath: args?.project_path,
+        allProjects: args?.all_projects === true,
+      });
+
+      if (folders.length === 0) {
+        return toolResult("No sessions with artifacts found.", { sessions: [] });
+      }
+
+      let text = "# Recent Sessions\n\n";
+      text += "| # | Date | Title | Progress | ID |\n";
+      text += "|---|------|-------|----------|----|\n";
+
+      folders.forEach((f, i) => {
+        const date = new Date(f.mtime).toISOString().slice(0, 10);
+        const title = f.title;
+        const progress = formatTaskProgress(f.progress) || "—";
+        text += `| ${i + 1} | ${date} | ${title} | ${progress} | \`${f.name}\` |\n`;
+      });
+
+      text += "\n_Use recall_session(session_id) to get full details of any session._";
+
+      return toolResult(text, { sessions: folders.map(sessionData) });
+    } catch (err) {
+      return toolError("recall_sessions", err);
+    }
+  }
+
+  // ── recall_session (full details of one session) ───────────────────────────
+  if (name === "recall_session") {
+    try {
+      validateSessionId(args?.session_id);
+      const sessionId = args.session_id;
+      const folderPath = path.join(BRAIN_DIR, sessionId);
+
+      if (!fs.existsSync(folderPath) || !fs.statSync(folderPath).isDirectory()) {
+        throw codedError("SESSION_NOT_FOUND", `Session not found: ${sessionId}`);
+      }
+
+      const limit = cfg("max_response_chars");
+      if (args.max_chars !== undefined && (typeof args.max_chars !== "number" || !(args.max_chars > 0))) {
+        throw codedError("INVALID_ARGUMENT", "max_chars must be a positive number");
+      }
+      const budget = Math.min(limit, Math.max(DIGEST_MIN_CHARS, Math.floor(args.max_chars ?? limit)));
+
+      if (args.cursor) {
+        // Leave room for the page header and footer
+        const page = readSessionPage(folderPath, args.cursor, Math.max(DIGEST_MIN_CHARS, budget - 400));
+        const where = page.heading ? `${page.file} › ${page.heading}` : page.file;
+        let text = `# Session: ${sessionId} · ${where}\n`;
+        text += `_Chars ${page.from.toLocaleString()}–${page.to.toLocaleString()} of ${page.total.toLocaleString()}_\n\n`;
+        text += page.text.trimEnd();
+        text += page.next
+          ? `\n\n_More: recall_session with cursor \`${page.next}\`_`
+          : `\n\n_End of ${page.heading ? "section" : "file"}._`;
+        const { file, heading, from, to, total, next } = page;
+        return toolResult(text, { session_id: sessionId, mode: "page", budget, page: { file, heading, from, to, total, next } });
+      }
+
+      const artifacts = readAllArtifacts(folderPath);
+      const files = Object.keys(artifacts);
+      if (files.length === 0) {
+        return toolResult(`No artifacts in session: ${sessionId}`, { session_id: sessionId, mode: "empty", budget, artifacts: [] });
+      }
+
+      const full = renderFullSession(sessionId, artifacts);
+      const mode = full.length <= budget ? "full" : "digest";
+      const text = mode === "full" ? full : buildSessionDigest(sessionId, artifacts, budget);
+      return toolResult(text, { session_id: sessionId, mode, budget, artifacts: files });
+    } catch (err) {
+      return toolError("recall_session", err);
+    }
+  }
+
+  // ── recall_open_tasks (unfinished items across sessions) ───────────────────
+  if (name === "recall_open_tasks") {
+    try {
+      const projectPath = args?.project_path || null;
+      const allProjects = args?.all_projects === true;
+      let folders = getBrainFoldersSorted();
+      if (projectPath && !allProjects) {
+        folders = folders.filter((f) => matchesProject(f.full, projectPath));
+      }
+      if (args?.last_n) folders = folders.slice(0, args.last_n);
+
+      let body = "";
+      let openCount = 0;
+      const sessions = [];
+      for (const folder of folders) {
+        const { summary, groups } = collectOpenTasks(folder.full);
+        if (groups.size === 0) continue;
+        openCount += summary.total - summary.done;
+        const date = new Date(folder.mtime).toISOString().slice(0, 10);
+        const tasks = [];
+        body += `## ${folder.title} (${date})\n`;
+        body += `\`${folder.name}\` · ${formatTaskProgress(summary)}\n\n`;
+        for (const [heading, items] of groups) {
+          if (heading) body += `### ${heading}\n`;
+          body += renderOpenTasks(items) + "\n";
+          for (const item of flattenTasks(items).filter((t) => t.state !== "done")) {
+            tasks.push({ heading: heading || null, text: item.text, state: item.state });
+          }
+        }
+        sessions.push({ id: folder.name, title: folder.title, date, progress: summary, tasks });
+      }
+
+      if (sessions.length === 0) {
+        return toolResult("✅ No open tasks found.", { open: 0, sessions });
+      }
+      const text = `# Open Tasks\n\n_${openCount} unfinished item(s) in ${sessions.length} session(s)_\n\n${body}`;
+      return toolResult(truncateResponse(text), { open: openCount, sessions });
+    } catch (err) {
+      return toolError("recall_open_tasks", err);
+    }
+  }
+
+  // ── recall_timeline ────────────────────────────────────────────────────────
+  if (name === "recall_timeline") {
+    try {
+      const groupBy = args?.group_by || "day";
+      if (!TIMELINE_GROUPS.includes(groupBy)) throw codedError("INVALID_ARGUMENT", `group_by must be one of: ${TIMELINE_GROUPS.join(", ")}`);
+      const format = args?.format || "markdown";
+      if (!["markdown", "json"].includes(format)) throw codedError("INVALID_ARGUMENT", "format must be markdown or json");
+      const until = parseDateFilter(args?.until, "until") || new Date().toISOString().slice(0, 10);
+      const since = parseDateFilter(args?.since, "since")
+        || new Date(Date.parse(until) - (TIMELINE_DEFAULT_DAYS[groupBy] - 1) * DAY_MS).toISOString().slice(0, 10);
+      if (since > until) throw codedError("INVALID_ARGUMENT", "since must not be after until");
+      const projectPath = args?.all_projects === true ? null : args?.project_path || null;
+
+      const groups = buildTimeline({ projectPath, since, until, groupBy });
+      const data = { project_path: projectPath, since, until, group_by: groupBy, groups, omitted_groups: 0 };
+      if (format === "json") {
+        const fitted = fitTimelineJson(data);
+        return toolResult(fitted.json, fitted.data);
+      }
+      const scope = projectPath ? path.basename(path.resolve(projectPath)) : "all projects";
+      if (groups.length === 0) {
+        return toolResult(`📭 No sessions for ${scope} between ${since} and ${until}`, data);
+      }
+      const text = renderTimeline(groups, `Timeline: ${scope} · ${since} → ${until}`);
+      return toolResult(truncateResponse(text), data);
+    } catch (err) {
+      return toolError("recall_timeline", err);
+    }
+  }
+
+  // ── list_projects ──────────────────────────────────────────────────────────
+  if (name === "list_projects") {
+    try {
+      const registry = loadProjectRegistry();
+      const registered = Object.values(registry.projects);
+      const linkCounts = {};
+      for (const key of Object.values(registry.sessions)) linkCounts[key] = (linkCounts[key] || 0) + 1;
+
+      let text = "# Known Projects\n\n";
+      if (registered.length) {
+        text += "## Registered\n";
+        for (const p of registered) {
+          text += `- **${p.name}** — ${p.path}`;
+          if (p.aliases?.length) text += ` · aliases: ${p.aliases.join(", ")}`;
+          if (p.git_remote) text += ` · remote: ${p.git_remote}`;
+          text += ` · ${linkCounts[p.path] || 0} linked session(s)\n`;
+        }
+        text += "\n";
+      }
+      const registeredNames = new Set(registered.map((p) => p.name.toLowerCase()));
+      const tracked = listKnownProjects().filter((p) => !registeredNames.has(p.project.toLowerCase()));
+      if (tracked.length) {
+        text += registered.length ? "## Tracked by Antigravity\n" : "";
+        text += tracked.map((p) => `- **${p.project}** (${p.file_count} tracked files)`).join("\n") + "\n";
+      }
+      if (!registered.length && !tracked.length) text += "_None found_";
+      return toolResult(text.trimEnd(), {
+        registered: registered.map((p) => ({
+          name: p.name,
+          path: p.path,
+          aliases: p.aliases || [],
+          git_remote: p.git_remote || null,
+          linked_sessions: linkCounts[p.path] || 0,
+        })),
+        tracked: tracked.map((p) => ({ name: p.project, file_count: p.file_count })),
+      });
+    } catch (err) {
+      return toolError("list_projects", err);
+    }
+  }
+
+  // ── link_session ───────────────────────────────────────────────────────────
+  if (name === "link_session") {
+    try {
+      if (args?.aliases !== undefined && !Array.isArray(args.aliases)) throw codedError("INVALID_ARGUMENT", "aliases must be an array of strings");
+      const { entry, previous } = linkSession(args?.session_id, args?.project_path, { aliases: args?.aliases });
+      let text = `🔗 Session \`${args.session_id}\` linked to **${entry.name}** (${entry.path})`;
+      if (previous && previous !== entry.path) text += `\nPreviously linked to: ${previous}`;
+      if (entry.aliases.length) text += `\nAliases: ${entry.aliases.join(", ")}`;
+      if (entry.git_remote) text += `\nGit remote: ${entry.git_remote}`;
+      const { name: projectName, path: projectPath, aliases, git_remote } = entry;
+      return toolResult(text, {
+        session_id: args.session_id,
+        project: { name: projectName, path: projectPath, aliases, git_remote: git_remote || null },
+        previous: previous || null,
+      });
+    } catch (err) {
+      return toolError("link_session", err);
+    }
+  }
+
+  // ── unlink_session ─────────────────────────────────────────────────────────
+  if (name === "unlink_session") {
+    try {
+      const { previous, excludedFrom } = unlinkSession(args?.session_id, args?.project_path);
+      let text = previous
+        ? `✅ Session \`${args.session_id}\` unlinked from ${previous}`
+        : `✅ Session \`${args.session_id}\` had no explicit link`;
+      if (excludedFrom) text += `\n🚫 It will no longer be attributed to ${excludedFrom}`;
+      return toolResult(text, { session_id: args.session_id, previous, excluded_from: excludedFrom });
+    } catch (err) {
+      return toolError("unlink_session", err);
+    }
+  }
+
+  // ── get_credentials ────────────────────────────────────────────────────────
+  if (name === "get_credentials") {
+    try {
+      validatePath(args?.project_path, "project_path");
+      const creds = readCredentials(args.project_path);
+      const masked = args.masked === true;
+      if (!creds) {
+        return toolResult(`📭 No credentials found in ${args.project_path}`, { project_path: args.project_path, masked, sections: {} });
+      }
+      const sections = {};
+      let text = `# Credentials (🔐 encrypted${masked ? ", values masked" : ""})\n\n`;
+      for (const [section, pairs] of Object.entries(creds)) {
+        sections[section] = {};
+        text += `## ${section}\n`;
+        for (const [key, value] of Object.entries(pairs)) {
+          sections[section][key] = masked ? maskValue(value) : value;
+          text += `- **${key}**: ${sections[section][key]}\n`;
+        }
+        text += "\n";
+      }
+      if (masked) text += "_Use materialize_credentials with {{cred:Section.KEY}} placeholders to use these values without revealing them._";
+      return toolResult(text, { project_path: args.project_path, masked, sections });
+    } catch (err) {
+      return toolError("get_credentials", err);
+    }
+  }
+
+  // ── materialize_credentials ────────────────────────────────────────────────
+  if (name === "materialize_credentials") {
+    try {
+      validatePath(args?.project_path, "project_path");
+      const creds = readCredentials(args.project_path);
+      if (!creds) throw codedError("CREDENTIAL_NOT_FOUND", `No credentials found in ${args.project_path}`);
+
+      let outputPath;
+      let content;
+      let used;
+      if (args.mode === "template") {
+        validatePath(args.template_path, "template_path");
+        if (!args.output_path || !path.isAbsolute(args.output_path)) {
+          throw codedError("INVALID_ARGUMENT", "output_path is required and must be an absolute path");
+        }
+        outputPath = args.output_path;
+        if (path.resolve(outputPath) === path.resolve(args.template_path)) {
+          throw codedError("INVALID_ARGUMENT", "output_path must differ from template_path");
+        }
+        ({ output: content, used } = renderCredentialTemplate(fs.readFileSync(args.template_path, "utf8"), creds));
+      } else if (args.mode === "env") {
+        if (!args.section || !creds[args.section]) throw codedError("CREDENTIAL_NOT_FOUND", `Section not found: ${args.section}`);
+        outputPath = args.output_path || path.join(args.project_path, ".env");
+        if (!path.isAbsolute(outputPath)) throw codedError("INVALID_ARGUMENT", `output_path must be an absolute path: ${outputPath}`);
+        content = mergeEnvFile(readFileSafe(outputPath), creds[args.section]);
+        used = Object.keys(creds[args.section]).map((key) => `${args.section}.${key}`);
+      } else {
+        throw codedError("INVALID_ARGUMENT", 'mode must be "template" or "env"');
+      }
+
+      if (!fs.existsSync(path.dirname(outputPath))) throw codedError("NOT_FOUND", `Output directory not found: ${path.dirname(outputPath)}`);
+      checkWritePath(outputPath, "output_path");
+      const ignored = writeSecretFile(args.project_path, outputPath, content);
+
+      let text = `✅ Wrote ${used.length} secret(s) to: ${outputPath}\n\n`;
+      text += used.map((u) => `- ${u}`).join("\n") + "\n\n";
+      text += ignored
+        ? "🔒 Permissions 600, listed in .gitignore. Values were not included in this response."
+        : "⚠️ Permissions 600, but the file is NOT in .gitignore (outside the project, or no .gitignore). Values were not included in this response.";
+      return toolResult(text, { path: outputPath, mode: args.mode, keys: used, gitignored: Boolean(ignored) });
+    } catch (err) {
+      return toolError("materialize_credentials", err);
+    }
+  }
+
+  // ── save_credentials ───────────────────────────────────────────────────────
+  if (name === "save_credentials") {
+    try {
+      validatePath(args?.project_path, "project_path");
+      checkWritePath(path.join(args.project_path, CREDENTIALS_ENC_FILENAME), "credentials", args.project_path);
+      if (!args?.credentials || typeof args.credentials !== "object" || Array.isArray(args.credentials)) {
+        throw codedError("INVALID_ARGUMENT", "credentials must be an object with sections");
+      }
+      for (const [section, pairs] of Object.entries(args.credentials)) {
+        if (!pairs || typeof pairs !== "object" || Array.isArray(pairs)) {
+          throw codedError("INVALID_ARGUMENT", `Section "${section}" must be an object of key-value pairs`);
+        }
+      }
+      const replace = args.replace === true;
+      const { filePath, diff, unchanged } = await updateCredentials(args.project_path, (creds) => {
+        if (replace) for (const section of Object.keys(creds)) delete creds[section];
+        for (const [section, pairs] of Object.entries(args.credentials)) {
+          creds[section] = { ...(creds[section] || {}) };
+          for (const [key, value] of Object.entries(pairs)) creds[section][key] = String(value);
+        }
+      });
+      const status = unchanged ? "✅ Nothing changed" : `✅ Saved (🔐 encrypted${replace ? ", replaced" : ", merged"}) to: ${filePath}`;
+      return toolResult(`${status}\n\n${formatCredentialDiff(diff)}`, {
+        path: filePath,
+        changed: !unchanged,
+        diff: credentialDiffData(diff),
+      });
+    } catch (err) {
+      return toolError("save_credentials", err);
+    }
+  }
+
+  // ── delete_credential ──────────────────────────────────────────────────────
+  if (name === "delete_credential") {
+    try {
+      validatePath(args?.project_path, "project_path");
+      checkWritePath(path.join(args.project_path, CREDENTIALS_ENC_FILENAME), "credentials", args.project_path);
+      if (!args?.section || typeof args.section !== "string") throw codedError("INVALID_ARGUMENT", "section is required");
+      const { filePath, diff } = await updateCredentials(args.project_path, (creds) => {
+        if (!creds[args.section]) throw codedError("CREDENTIAL_NOT_FOUND", `Section not found: ${args.section}`);
+        if (args.key) {
+          if (!(args.key in creds[args.section])) throw codedError("CREDENTIAL_NOT_FOUND", `Key not found: ${args.section}.${args.key}`);
+          delete creds[args.section][args.key];
+        } else {
+          delete creds[args.section];
+        }
+      });
+      const what = args.key ? `${args.section}.${args.key}` : `section ${args.section}`;
+      return toolResult(
+        `🗑️ Deleted ${what} (🔐 ${filePath}). Previous file backed up in .backups/.\n\n${formatCredentialDiff(diff)}`,
+        { path: filePath, changed: true, diff: credentialDiffData(diff) }
+      );
+    } catch (err) {
+      return toolError("delete_credential", err);
+    }
+  }
+
+  // ── rename_credential_section ──────────────────────────────────────────────
+  if (name === "rename_credential_section") {
+    try {
+      validatePath(args?.project_path, "project_path");
+      checkWritePath(path.join(args.project_path, CREDENTIALS_ENC_FILENAME), "credentials", args.project_path);
+      if (!args?.section || typeof args.section !== "string") throw codedError("INVALID_ARGUMENT", "section is required");
+      if (!args?.new_name || typeof args.new_name !== "string") throw codedError("INVALID_ARGUMENT", "new_name is required");
+      const { filePath, diff } = await updateCredentials(args.project_path, (creds) => {
+        if (!creds[args.section]) throw codedError("CREDENTIAL_NOT_FOUND", `Section not found: ${args.section}`);
+        if (creds[args.new_name]) throw codedError("INVALID_ARGUMENT", `Section already exists: ${args.new_name}`);
+        creds[args.new_name] = creds[args.section];
+        delete creds[args.section];
+      });
+      return toolResult(
+        `✅ Renamed ${args.section} → ${args.new_name} (🔐 ${filePath})\n\n${formatCredentialDiff(diff)}`,
+        { path: filePath, changed: true, diff: credentialDiffData(diff) }
+      );
+    } catch (err) {
+      return toolError("rename_credential_section", err);
+    }
+  }
+
+  // ── rotate_key ─────────────────────────────────────────────────────────────
+  if (name === "rotate_key") {
+    try {
+      const extraKeys = [];
+      if (args?.old_passphrase) extraKeys.push(passphraseKey(args.old_passphrase));
+      if (args?.old_key_file) {
+        validatePath(args.old_key_file, "old_key_file");
+        extraKeys.push(keyFileKey(args.old_key_file));
+      }
+      if (args?.old_hostname || args?.old_username) {
+        extraKeys.push(machineKey(args.old_hostname || os.hostname(), args.old_username || os.userInfo().username));
+      }
+
+      const notices = [];
+      let generatedKeyFile = null;
+      if (args?.generate_key_file) {
+        const keyFile = getKeyFilePath();
+        if (fs.existsSync(keyFile)) throw codedError("INVALID_ARGUMENT", `Key file already exists: ${keyFile}`);
+        fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+        fs.writeFileSync(keyFile, crypto.randomBytes(32).toString("hex") + "\n", { encoding: "utf8", mode: 0o600 });
+        generatedKeyFile = keyFile;
+        notices.push(`🔑 Generated key file: ${keyFile} — back it up, files encrypted with it are unreadable without it.`);
+        if (process.env[PASSPHRASE_ENV]) notices.push(`⚠️ ${PASSPHRASE_ENV} is set and takes precedence over the key file.`);
+      }
+
+      const activeKey = getActiveKey();
+      const extraPaths = Array.isArray(args?.project_paths) ? args.project_paths : [];
+      for (const p of extraPaths) validatePath(p, "project_paths entry");
+      const targets = [...new Set([...listCredentialsProjects(), ...extraPaths.map((p) => path.resolve(p))])];
+
+      const icons = { rotated: "✅", current: "⏺️", missing: "➖", failed: "❌" };
+      const counts = { rotated: 0, current: 0, missing: 0, failed: 0 };
+      const results = [];
+      let rows = "";
+      for (const projectPath of targets) {
+        const result = await rotateCredentialsFile(projectPath, activeKey, extraKeys);
+        if (result.status !== "missing") rememberCredentialsFile(projectPath);
+        counts[result.status]++;
+        results.push({ project_path: projectPath, status: result.status, detail: result.detail });
+        rows += `| ${projectPath} | ${icons[result.status]} ${result.status} | ${result.detail} |\n`;
+      }
+
+      let text = `# Key Rotation\n\n`;
+      if (notices.length) text += notices.join("\n") + "\n\n";
+      text += `**Current key:** ${activeKey.label} (${describeKey(activeKey.source, activeKey.id)})\n\n`;
+      if (targets.length === 0) {
+        text += "_No known credentials files. Pass project_paths to include some._";
+      } else {
+        text += `| Project | Result | Details |\n|---------|--------|---------|\n${rows}\n`;
+        text += `Rotated: ${counts.rotated} · Up to date: ${counts.current} · Failed: ${counts.failed} · Missing: ${counts.missing}`;
+        if (counts.rotated) text += "\n\nPrevious encrypted files were backed up to each project's .backups/.";
+      }
+      return toolResult(text, {
+        key: { label: activeKey.label, source: activeKey.source, id: activeKey.id },
+        generated_key_file: generatedKeyFile,
+        results,
+        counts,
+      });
+    } catch (err) {
+      return toolError("rotate_key", err);
+    }
+  }
+
+  // ── save_context_file ──────────────────────────────────────────────────────
+  if (name === "save_context_file") {
+    try {
+      validatePath(args?.project_path, "project_path");
+      if (!args?.context_text || typeof args.context_text !== "string") {
+        throw codedError("INVALID_ARGUMENT", "context_text is required and must be a string");
+      }
+      const filePath = path.join(args.project_path, CONTEXT_FILENAME);
+      checkWritePath(filePath, CONTEXT_FILENAME, args.project_path);
+      if (backupFile(filePath)) ensureGitignore(args.project_path, ".backups/");
+      fs.writeFileSync(filePath, args.context_text, "utf8");
+      let text = `✅ Saved to: ${filePath}`;
+      let linkedProject = null;
+      if (args.session_id) {
+        const { entry } = linkSession(args.session_id, args.project_path);
+        linkedProject = entry.name;
+        text += `\n🔗 Session \`${args.session_id}\` linked to project **${entry.name}**`;
+      }
+      return toolResult(text, { path: filePath, linked_project: linkedProject });
+    } catch (err) {
+      return toolError("save_context_file", err);
+    }
+  }
+
+  // ── generate_context_file ──────────────────────────────────────────────────
+  if (name === "generate_context_file") {
+    try {
+      validatePath(args?.project_path, "project_path");
+      const sectionIds = args?.sections?.length ? args.sections : Object.keys(CONTEXT_SECTIONS);
+      const unknown = sectionIds.filter((id) => !(id in CONTEXT_SECTIONS));
+      if (unknown.length) throw codedError("INVALID_ARGUMENT", `Unknown section(s): ${unknown.join(", ")} (use ${Object.keys(CONTEXT_SECTIONS).join(", ")})`);
+      const lastN = Number.isInteger(args?.last_n) && args.last_n > 0 ? args.last_n : 5;
+
+      const filePath = path.join(args.project_path, CONTEXT_FILENAME);
+      const current = readFileSafe(filePath);
+      const sections = buildContextSections(args.project_path, sectionIds, lastN);
+      const projectName = loadProjectRegistry().projects[canonicalProjectPath(args.project_path)]?.name
+        || path.basename(path.resolve(args.project_path));
+      const { content, updated, added } = applyManagedSections(current, sections, projectName);
+
+      const diff = unifiedDiff(current, content, `${CONTEXT_FILENAME} (current)`, `${CONTEXT_FILENAME} (generated)`);
+      const data = { path: filePath, written: false, up_to_date: !diff, updated, added, backup: null, diff };
+      if (!diff) {
+        return toolResult(`✅ ${filePath} is up to date`, { ...data, updated: [], added: [] });
+      }
+      const summary = [
+        updated.length && `updated: ${updated.join(", ")}`,
+        added.length && `added: ${added.join(", ")}`,
+      ].filter(Boolean).join(" · ");
+
+      if (args?.write !== true) {
+        let text = `🔍 Preview of ${filePath} (nothing written — call again with write: true)\n`;
+        text += `Sections ${summary}\n\n\`\`\`diff\n${diff}\`\`\``;
+        return toolResult(truncateResponse(text), data);
+      }
+
+      checkWritePath(filePath, CONTEXT_FILENAME, args.project_path);
+      const backupPath = backupFile(filePath);
+      if (backupPath) ensureGitignore(args.project_path, ".backups/");
+      writeFileAtomic(filePath, content);
+      let text = `✅ Saved to: ${filePath}\nSections ${summary}`;
+      if (backupPath) text += `\n💾 Previous version: .backups/${path.basename(backupPath)}`;
+      text += `\n\n\`\`\`diff\n${diff}\`\`\``;
+      return toolResult(truncateResponse(text), { ...data, written: true, backup: backupPath || null });
+    } catch (err) {
+      return toolError("generate_context_file", err);
+    }
+  }
+
+  // ── save_note ──────────────────────────────────────────────────────────────
+  if (name === "save_note") {
+    try {
+      const saved = await saveNote({
+        note: args?.note,
+        tag: args?.tag,
+        sessionId: args?.session_id,
+        projectPath: args?.project_path,
+        due: args?.due,
+        priority: args?.priority,
+      });
+      const { filePath, id, project } = saved;
+      const tag = saved.tag ? ` [#${saved.tag}]` : "";
+      let text = `✅ Note saved${tag} (ID: \`${id}\`): ${filePath}`;
+      if (saved.meta.due) {
+        text += `\n⏰ Due ${saved.meta.due} (${describeDue(saved.meta.due)})`;
+        if (daysBetween(localDate(), saved.meta.due) > cfg("due_soon_days")) {
+          text += ` — recall starts showing it ${cfg("due_soon_days")} day(s) before`;
+        }
+      }
+      if (project) {
+        text += `\n🔗 Session linked to project **${project}**`;
+      }
+      if (saved.secrets.moved.length) text += `\n${formatMovedSecrets(saved.secrets.moved, saved.secrets.store)}`;
+      return toolResult(text, {
+        session_id: saved.sessionId,
+        path: filePath,
+        project: project || null,
+        note: noteData(saved.entry),
+        secrets_moved: saved.secrets.moved,
+        secrets_store: saved.secrets.store,
+      });
+    } catch (err) {
+      return toolError("save_note", err);
+    }
+  }
+
+  // ── update_note ────────────────────────────────────────────────────────────
+  if (name === "update_note") {
+    try {
+      const todoFields = args?.due !== undefined || args?.priority !== undefined;
+      if (args?.note === undefined && args?.tag === undefined && !todoFields) {
+        throw codedError("INVALID_ARGUMENT", "Nothing to update: pass note, tag, due and/or priority");
+      }
+      if (args.note !== undefined && (typeof args.note !== "string" || !args.note.trim())) {
+        throw codedError("INVALID_ARGUMENT", "note must be a non-empty string");
+      }
+      validateNoteTag(args.tag);
+      const due = args.due ? parseDueDate(args.due) : args.due;
+      if (args.priority !== undefined) validateTodoPriority(args.priority);
+      const { folder, entry: current } = findNote(args.note_id, args.session_id);
+      const newTag = args.tag !== undefined ? args.tag || null : current.tag;
+      if (todoFields && newTag !== TODO_TAG) {
+        throw codedError("INVALID_ARGUMENT", `due and priority only apply to #${TODO_TAG} notes`);
+      }
+      const secrets = args.note !== undefined && cfg("scan_secrets")
+        ? await vaultSecrets(args.note.trim(), folder.name)
+        : { text: args.note?.trim(), moved: [], store: null };
+      const updated = await rewriteNotes(folder.full, (entries) => {
+        const entry = entries.find((e) => e.id === args.note_id);
+        if (args.note !== undefined) entry.body = secrets.text;
+        if (args.tag !== undefined) entry.tag = args.tag || null;
+        if (due !== undefined) entry.meta.due = due || undefined;
+        if (args.priority !== undefined) entry.meta.priority = args.priority === "normal" ? undefined : args.priority;
+        return entry;
+      });
+      let text = `✅ Note updated (\`${updated.id}\`) in session \`${folder.name}\``;
+      if (secrets.moved.length) text += `\n${formatMovedSecrets(secrets.moved, secrets.store)}`;
+      return toolResult(`${text}\n\n${formatNote(updated)}`, {
+        session_id: folder.name,
+        note: noteData(updated),
+        secrets_moved: secrets.moved,
+        secrets_store: secrets.store,
+      });
+    } catch (err) {
+      return toolError("update_note", err);
+    }
+  }
+
+  // ── delete_note ────────────────────────────────────────────────────────────
+  if (name === "delete_note") {
+    try {
+      const { folder } = findNote(args?.note_id, args?.session_id);
+      const removed = await rewriteNotes(folder.full, (entries) => {
+        const idx = entries.findIndex((e) => e.id === args.note_id);
+        return entries.splice(idx, 1)[0];
+      });
+      return toolResult(
+        `🗑️ Note deleted (\`${removed.id}\`) from session \`${folder.name}\`. A backup was kept in .backups/.`,
+        { session_id: folder.name, note: noteData(removed) }
+      );
+    } catch (err) {
+      return toolError("delete_note", err);
+    }
+  }
+
+  // ── pin_note ───────────────────────────────────────────────────────────────
+  if (name === "pin_note") {
+    try {
+      const pinned = args?.pinned !== false;
+      const { folder } = findNote(args?.note_id, args?.session_id);
+      await rewriteNotes(folder.full, (entries) => {
+        entries.find((e) => e.id === args.note_id).pinned = pinned;
+      });
+      return toolResult(
+        `${pinned ? "📌 Note pinned" : "✅ Note unpinned"} (\`${args.note_id}\`)`,
+        { session_id: folder.name, note_id: args.note_id, pinned }
+      );
+    } catch (err) {
+      return toolError("pin_note", err);
+    }
+  }
+
+  // ── record_decision ────────────────────────────────────────────────────────
+  if (name === "record_decision") {
+    try {
+      const saved = await recordDecision({
+        title: args?.title,
+        decision: args?.decision,
+        context: args?.context,
+        consequences: args?.consequences,
+        status: args?.status,
+        supersedes: args?.supersedes,
+        sessionId: args?.session_id,
+        projectPath: args?.project_path,
+      });
+      let text = `✅ Decision recorded (ID: \`${saved.id}\`) in session \`${saved.sessionId}\`: ${args.title.trim()}`;
+      for (const old of saved.superseded) text += `\n↪️ Supersedes \`${old.id}\` (${old.title}) — now hidden from recall_decisions`;
+      if (saved.project) text += `\n🔗 Session linked to project **${saved.project}**`;
+      const record = { sessionId: saved.sessionId, note: saved.entry, ...parseDecision(saved.entry) };
+      return toolResult(text, { decision: decisionData(record), project: saved.project, superseded: saved.superseded });
     } catch (err) {
-      return { content: [{ type: "text", text: `❌ recall failed: ${err.message}` }] };
+      return toolError("record_decision", err);
     }
   }
 
-  // ── recall_sessions (compact index) ────────────────────────────────────────
-  if (name === "recall_sessions") {
+  // ── recall_decisions ───────────────────────────────────────────────────────
+  if (name === "recall_decisions") {
     try {
-      const count = Math.min(args?.count ?? 10, 20);
       const projectPath = args?.project_path || null;
-      const allProjects = args?.all_projects === true;
-      let allFolders = getBrainFoldersSorted();
-      if (projectPath && !allProjects) {
-        allFolders = allFolders.filter((f) => matchesProject(f.full, projectPath));
-      }
-      const folders = allFolders.slice(0, count);
-
-      if (folders.length === 0) {
-        return { content: [{ type: "text", text: "No sessions with artifacts found." }] };
+      const includeSuperseded = args?.include_superseded === true;
+      const matching = collectDecisions({ projectPath, includeSuperseded: true })
+        .filter((d) => matchesNoteQuery([d.title, d.context, d.decision, d.consequences].join("\n"), args?.query));
+      const decisions = matching.filter((d) => includeSuperseded || d.status !== "superseded");
+      const hidden = matching.length - decisions.length;
+      const scope = projectPath ? `: ${path.basename(projectPath)}` : "";
+      if (decisions.length === 0) {
+        const more = hidden ? ` (${hidden} superseded hidden)` : "";
+        const text = `📭 No decisions found${scope}${args?.query ? ` matching "${args.query}"` : ""}${more}.`;
+        return toolResult(text, { decisions: [], hidden_superseded: hidden });
       }
 
-      let text = "# Recent Sessions\n\n";
-      text += "| # | Date | Title | ID |\n";
-      text += "|---|------|-------|----|\\n";
+      let text = `# Decision Log${scope} (${decisions.length})\n\n`;
+      text += decisions.map(formatDecision).join("\n---\n\n");
+      if (hidden) text += `\n_${hidden} superseded decision(s) hidden — pass include_superseded: true to see them._`;
+      return toolResult(truncateResponse(text), { decisions: decisions.map(decisionData), hidden_superseded: hidden });
+    } catch (err) {
+      return toolError("recall_decisions", err);
+    }
+  }
 
-      folders.forEach((f, i) => {
-        const date = new Date(f.mtime).toISOString().slice(0, 10);
-        const title = extractTitle(f.full);
-        text += `| ${i + 1} | ${date} | ${title} | \`${f.name}\` |\n`;
+  // ── complete_todo ──────────────────────────────────────────────────────────
+  if (name === "complete_todo") {
+    try {
+      const reopen = args?.reopen === true;
+      const { folder, entry } = findNote(args?.note_id, args?.session_id);
+      if (entry.tag !== TODO_TAG) {
+        throw codedError("INVALID_ARGUMENT", `Note ${entry.id} is not a todo (tag: ${entry.tag ? `#${entry.tag}` : "none"})`);
+      }
+      const updated = await rewriteNotes(folder.full, (entries) => {
+        const target = entries.find((e) => e.id === entry.id);
+        target.meta.status = reopen ? undefined : "done";
+        target.meta.completed = reopen ? undefined : localDate();
+        return target;
       });
-
-      text += "\n_Use recall_session(session_id) to get full details of any session._";
-
-      return { content: [{ type: "text", text }] };
+      const text = reopen
+        ? `🔄 Todo reopened (\`${updated.id}\`)\n\n${formatNote(updated)}`
+        : `✅ Todo done (\`${updated.id}\`): ${updated.body.split("\n")[0]}`;
+      const state = todoState(updated);
+      return toolResult(text, { todo: todoData({ sessionId: folder.name, note: updated, ...state, urgency: dueUrgency(state) }) });
     } catch (err) {
-      return { content: [{ type: "text", text: `❌ recall_sessions failed: ${err.message}` }] };
+      return toolError("complete_todo", err);
     }
   }
 
-  // ── recall_session (full details of one session) ───────────────────────────
-  if (name === "recall_session") {
+  // ── list_todos ─────────────────────────────────────────────────────────────
+  if (name === "list_todos") {
     try {
-      validateSessionId(args?.session_id);
-      const sessionId = args.session_id;
-      const folderPath = path.join(BRAIN_DIR, sessionId);
-
-      if (!fs.existsSync(folderPath) || !fs.statSync(folderPath).isDirectory()) {
-        return { content: [{ type: "text", text: `Session not found: ${sessionId}` }] };
+      const status = args?.status || "open";
+      if (![...TODO_STATUSES, "all"].includes(status)) {
+        throw codedError("INVALID_ARGUMENT", `status must be one of: ${[...TODO_STATUSES, "all"].join(", ")}`);
       }
-
-      const artifacts = readAllArtifacts(folderPath);
-      if (Object.keys(artifacts).length === 0) {
-        return { content: [{ type: "text", text: `No artifacts in session: ${sessionId}` }] };
+      const projectPath = args?.project_path || null;
+      const todos = collectTodos({ projectPath, status });
+      const today = localDate();
+      if (todos.length === 0) {
+        const scope = projectPath ? ` for ${path.basename(projectPath)}` : "";
+        return toolResult(`📭 No ${status === "all" ? "" : `${status} `}todos${scope}.`, { today, todos: [] });
       }
 
-      let text = `# Session: ${sessionId}\n\n`;
-      if (artifacts["task.md"]) {
-        text += `## Tasks\n${artifacts["task.md"]}\n\n`;
-      }
-      if (artifacts["session_notes.md"]) {
-        text += `## Notes\n${artifacts["session_notes.md"]}\n\n`;
-      }
-      if (artifacts["walkthrough.md"]) {
-        text += `## Walkthrough\n${artifacts["walkthrough.md"]}\n\n`;
+      const groups = [
+        ["🔴 Overdue", (t) => t.urgency === "overdue"],
+        ["🟠 Due today", (t) => t.urgency === "today"],
+        [`🟡 Due soon (next ${cfg("due_soon_days")} days)`, (t) => t.urgency === "soon"],
+        ["📅 Later", (t) => t.status === "open" && t.due && !t.urgency],
+        ["📝 No due date", (t) => t.status === "open" && !t.due],
+        ["✅ Done", (t) => t.status === "done"],
+      ];
+      let text = `# Todos${projectPath ? `: ${path.basename(projectPath)}` : ""} (${todos.length})\n\n_Today: ${today}_\n`;
+      for (const [label, test] of groups) {
+        const items = todos.filter(test);
+        if (!items.length) continue;
+        text += `\n## ${label}\n\n${items.map((t) => formatTodoLine(t, today)).join("\n")}\n`;
       }
-      if (artifacts["implementation_plan.md"]) {
-        text += `## Implementation Plan\n${artifacts["implementation_plan.md"]}\n\n`;
+      text += `\n_Mark one done with complete_todo(note_id); change a date with update_note(note_id, due)._`;
+      return toolResult(truncateResponse(text), { today, todos: todos.map(todoData) });
+    } catch (err) {
+      return toolError("list_todos", err);
+    }
+  }
+
+  // ── list_backups ───────────────────────────────────────────────────────────
+  if (name === "list_backups") {
+    try {
+      const notesPath = sessionNotesPath(args?.session_id);
+      const backups = listBackups(notesPath);
+      let currentSize = 0;
+      try { currentSize = fs.statSync(notesPath).size; } catch { /* no current file */ }
+      const data = {
+        session_id: args.session_id,
+        backups: backups.map((b, i) => ({ number: i + 1, name: b.name, created: b.date.toISOString(), size: b.size })),
+        current_size: currentSize,
+        retention: cfg("backup_retention"),
+      };
+      if (backups.length === 0) {
+        return toolResult(`📭 No backups for session ${args.session_id}`, data);
       }
+      let text = `# Backups: ${args.session_id}\n\n`;
+      text += `| # | Created (UTC) | Size | File |\n|---|---------------|------|------|\n`;
+      backups.forEach((b, i) => {
+        text += `| ${i + 1} | ${b.date.toISOString().replace("T", " ").slice(0, 19)} | ${formatBytes(b.size)} | \`${b.name}\` |\n`;
+      });
+      text += `\nCurrent file: ${formatBytes(currentSize)} · keeping the newest ${cfg("backup_retention")} backups\n`;
+      text += "_Use diff_backup or restore_backup with the # or file name._";
+      return toolResult(text, data);
+    } catch (err) {
+      return toolError("list_backups", err);
+    }
+  }
 
-      return { content: [{ type: "text", text: truncateResponse(text) }] };
+  // ── diff_backup ────────────────────────────────────────────────────────────
+  if (name === "diff_backup") {
+    try {
+      const notesPath = sessionNotesPath(args?.session_id);
+      const backup = resolveBackup(notesPath, args?.backup);
+      const diff = unifiedDiff(readFileSafe(backup.path), readFileSafe(notesPath), `backup/${backup.name}`, `current/${NOTES_FILENAME}`);
+      const text = diff
+        ? `# Diff: ${backup.name} → current\n\n\`\`\`diff\n${diff}\`\`\``
+        : `✅ ${backup.name} is identical to the current ${NOTES_FILENAME}`;
+      return toolResult(truncateResponse(text), { session_id: args.session_id, backup: backup.name, identical: !diff, diff });
     } catch (err) {
-      return { content: [{ type: "text", text: `❌ recall_session failed: ${err.message}` }] };
+      return toolError("diff_backup", err);
     }
   }
 
-  // ── list_projects ──────────────────────────────────────────────────────────
-  if (name === "list_projects") {
+  // ── restore_backup ─────────────────────────────────────────────────────────
+  if (name === "restore_backup") {
     try {
-      const projects = listKnownProjects();
-      const text = projects
-        .map((p) => `- **${p.project}** (${p.file_count} tracked files)`)
-        .join("\n");
-      return {
-        content: [{ type: "text", text: `# Known Projects\n\n${text || "_None found_"}` }],
-      };
+      const notesPath = sessionNotesPath(args?.session_id);
+      const backup = resolveBackup(notesPath, args?.backup);
+      const content = fs.readFileSync(backup.path, "utf8");
+      const undoPath = await withFileLock(notesPath, () => preserveFolderMtime(path.dirname(notesPath), () => {
+        const saved = backupFile(notesPath);
+        writeFileAtomic(notesPath, content);
+        return saved;
+      }));
+      let text = `✅ Restored ${NOTES_FILENAME} from ${backup.name}`;
+      if (undoPath) text += `\n↩️ Previous version saved as \`${path.basename(undoPath)}\` — restore it to undo.`;
+      return toolResult(text, {
+        session_id: args.session_id,
+        restored_from: backup.name,
+        undo_backup: undoPath ? path.basename(undoPath) : null,
+      });
     } catch (err) {
-      return { content: [{ type: "text", text: `❌ list_projects failed: ${err.message}` }] };
+      return toolError("restore_backup", err);
     }
   }
 
-  // ── get_credentials ────────────────────────────────────────────────────────
-  if (name === "get_credentials") {
+  // ── recall_notes ───────────────────────────────────────────────────────────
+  if (name === "recall_notes") {
     try {
-      validatePath(args?.project_path, "project_path");
-      const creds = readCredentials(args.project_path);
-      if (!creds) {
-        return {
-          content: [{ type: "text", text: `📭 No credentials found in ${args.project_path}` }],
-        };
+      const lastN = Math.min(args?.last_n ?? 5, cfg("max_sessions"));
+      const results = searchNotes(args?.query, args?.tag, lastN);
+      if (results.length === 0) {
+        return toolResult("📭 No notes found." + (args?.query ? ` Query: "${args.query}"` : ""), { notes: [] });
       }
-      let text = `# Credentials (🔐 encrypted)\n\n`;
-      for (const [section, pairs] of Object.entries(creds)) {
-        text += `## ${section}\n`;
-        for (const [key, value] of Object.entries(pairs))
-          text += `- **${key}**: ${value}\n`;
-        text += "\n";
+      let text = `# Found ${results.length} note(s)\n\n_Use the ID after each heading with update_note, delete_note or pin_note._\n\n`;
+      for (const r of results) {
+        text += `**Session:** ${r.title} (${r.date}) \`${r.sessionId}\`\n`;
+        text += formatNote(r.note) + "\n\n---\n\n";
       }
-      return { content: [{ type: "text", text }] };
+      return toolResult(truncateResponse(text), {
+        notes: results.map((r) => ({ session_id: r.sessionId, session_title: r.title, date: r.date, note: noteData(r.note) })),
+      });
     } catch (err) {
-      return { content: [{ type: "text", text: `❌ get_credentials failed: ${err.message}` }] };
+      return toolError("recall_notes", err);
     }
   }
 
-  // ── save_credentials ───────────────────────────────────────────────────────
-  if (name === "save_credentials") {
+  // ── scan_notes (secrets in notes and backups) ──────────────────────────────
+  if (name === "scan_notes") {
     try {
-      validatePath(args?.project_path, "project_path");
-      if (!args?.credentials || typeof args.credentials !== "object") {
-        throw new Error("credentials must be an object with sections");
-      }
-      const filePath = writeCredentials(args.project_path, args.credentials);
-      return {
-        content: [{ type: "text", text: `✅ Saved (🔐 encrypted) to: ${filePath}` }],
+      const redact = args?.redact === true;
+      const results = await scanNoteSecrets({ projectPath: args?.project_path, sessionId: args?.session_id, redact });
+      const data = {
+        redacted: redact,
+        sessions: results.map((r) => ({ session_id: r.sessionId, store: r.store, notes: r.notes, backups: r.backups })),
       };
+      if (results.length === 0) {
+        return toolResult("✅ No secrets found in notes or backups.", data);
+      }
+
+      const count = (list) => list.reduce((n, item) => n + item.found.length, 0);
+      const summarize = (found) => found.map((f) => `${f.kind} ${f.masked}${f.review ? " (check by hand)" : ""}`).join(", ");
+      let text = redact ? `# Secrets redacted\n\n` : `# Secrets found in notes\n\n`;
+      for (const r of results) {
+        text += `## \`${r.sessionId}\`\n`;
+        for (const n of r.notes) text += `- note \`${n.id}\`: ${summarize(n.found)}\n`;
+        if (r.backups.length) text += `- ${r.backups.length} backup(s) with ${count(r.backups)} secret(s)\n`;
+        if (r.store) text += `- 🔐 moved to the encrypted credentials in ${r.store}\n`;
+        text += "\n";
+      }
+      text += redact
+        ? "_Notes keep {{cred:notes.KEY}} references; get_credentials or materialize_credentials on the store reads the values._"
+        : "_Nothing was changed. Call scan_notes with redact: true to move these into the encrypted credentials._";
+      if (results.some((r) => [...r.notes, ...r.backups].some((item) => item.found.some((f) => f.review)))) {
+        text += "\n_Findings marked (check by hand) are guesses and are never moved — edit the note with update_note if one is a real secret._";
+      }
+      return toolResult(truncateResponse(text), data);
     } catch (err) {
-      return { content: [{ type: "text", text: `❌ save_credentials failed: ${err.message}` }] };
+      return toolError("scan_notes", err);
     }
   }
 
-  // ── save_context_file ──────────────────────────────────────────────────────
-  if (name === "save_context_file") {
+  // ── search_sessions (ranked full-text search) ──────────────────────────────
+  if (name === "search_sessions") {
     try {
-      validatePath(args?.project_path, "project_path");
-      if (!args?.context_text || typeof args.context_text !== "string") {
-        throw new Error("context_text is required and must be a string");
+      if (!args?.query || typeof args.query !== "string") {
+        throw codedError("INVALID_ARGUMENT", "query is required and must be a string");
       }
-      const filePath = path.join(args.project_path, "AGENT_CONTEXT.md");
-      fs.writeFileSync(filePath, args.context_text, "utf8");
-      return { content: [{ type: "text", text: `✅ Saved to: ${filePath}` }] };
+      if (args.limit !== undefined && (!Number.isInteger(args.limit) || args.limit < 1)) {
+        throw codedError("INVALID_ARGUMENT", "limit must be a positive integer");
+      }
+      const limit = Math.min(args.limit ?? 10, 50);
+      const projectPath = args?.project_path || null;
+      const sessionFilter = projectPath
+        ? (sessionId) => matchesProject(path.join(BRAIN_DIR, sessionId), projectPath)
+        : null;
+      const { total, results } = searchSessions(args.query, { sessionFilter, limit });
+      if (results.length === 0) {
+        return toolResult(`📭 Nothing found for: ${args.query}`, { query: args.query, total, results: [] });
+      }
+
+      let text = `# Search: ${args.query}\n\n`;
+      text += `_${total} matching file(s)${total > results.length ? `, showing top ${results.length}` : ""}_\n\n`;
+      const hits = results.map((r, i) => {
+        const folderPath = path.join(BRAIN_DIR, r.sessionId);
+        let date = "";
+        try { date = new Date(fs.statSync(folderPath).mtimeMs).toISOString().slice(0, 10); } catch { /* gone */ }
+        const title = extractTitle(folderPath);
+        text += `### ${i + 1}. ${title} (${date})\n`;
+        text += `\`${r.sessionId}\` · ${r.file} · score ${r.score.toFixed(2)}\n\n`;
+        text += `> ${r.snippet}\n\n`;
+        return { session_id: r.sessionId, title, date, file: r.file, score: r.score, snippet: r.snippet };
+      });
+      text += "_Use recall_session(session_id) to open a session._";
+
+      return toolResult(truncateResponse(text), { query: args.query, total, results: hits });
     } catch (err) {
-      return { content: [{ type: "text", text: `❌ save_context_file failed: ${err.message}` }] };
+      return toolError("search_sessions", err);
     }
   }
 
-  // ── save_note ──────────────────────────────────────────────────────────────
-  if (name === "save_note") {
+  // ── list_knowledge ─────────────────────────────────────────────────────────
+  if (name === "list_knowledge") {
     try {
-      if (!args?.note || typeof args.note !== "string") {
-        throw new Error("note is required and must be a string");
-      }
-      let folderPath;
-      if (args.session_id) {
-        validateSessionId(args.session_id);
-        folderPath = path.join(BRAIN_DIR, args.session_id);
-      } else {
-        const folders = getBrainFoldersSorted();
-        if (folders.length === 0) {
-          throw new Error("No sessions found to save note to");
-        }
-        folderPath = folders[0].full;
+      const projectPath = args?.project_path || null;
+      const items = listKnowledgeItems()
+        .filter((item) => knowledgeMatchesProject(item, projectPath))
+        .filter((item) => !args?.query || matchesNoteQuery(readKnowledgeText(item), args.query));
+
+      const data = {
+        items: items.map((item) => ({
+          id: item.id,
+          title: item.title,
+          summary: item.summary,
+          tags: item.tags,
+          updated: item.mtime ? new Date(item.mtime).toISOString() : null,
+          artifacts: item.artifacts,
+        })),
+      };
+      if (items.length === 0) {
+        return toolResult("📭 No knowledge items found." + (args?.query ? ` Query: "${args.query}"` : ""), data);
       }
-      if (!fs.existsSync(folderPath)) {
-        fs.mkdirSync(folderPath, { recursive: true });
+
+      let text = `# Knowledge Items (${items.length})\n\n`;
+      for (const item of items) {
+        const date = item.mtime ? new Date(item.mtime).toISOString().slice(0, 10) : "—";
+        text += `## ${item.title}\n`;
+        text += `**ID:** \`${item.id}\` · updated ${date}`;
+        if (item.tags.length) text += ` · ${item.tags.map((t) => `#${t}`).join(" ")}`;
+        text += "\n";
+        if (item.summary) text += `${item.summary}\n`;
+        text += `**Artifacts:** ${item.artifacts.length ? item.artifacts.join(", ") : "_none_"}\n\n`;
       }
-      const filePath = appendNote(folderPath, args.note, args.tag);
-      const tag = args.tag ? ` [#${args.tag}]` : "";
-      return {
-        content: [{ type: "text", text: `✅ Note saved${tag}: ${filePath}` }],
-      };
+      text += "_Use recall_knowledge(knowledge_id) to read an item in full._";
+      return toolResult(truncateResponse(text), data);
     } catch (err) {
-      return { content: [{ type: "text", text: `❌ save_note failed: ${err.message}` }] };
+      return toolError("list_knowledge", err);
     }
   }
 
-  // ── recall_notes ───────────────────────────────────────────────────────────
-  if (name === "recall_notes") {
+  // ── recall_knowledge ───────────────────────────────────────────────────────
+  if (name === "recall_knowledge") {
     try {
-      const lastN = Math.min(args?.last_n ?? 5, 20);
-      const results = searchNotes(args?.query, args?.tag, lastN);
-      if (results.length === 0) {
-        return {
-          content: [{ type: "text", text: "📭 No notes found." + (args?.query ? ` Query: "${args.query}"` : "") }],
-        };
+      validateKnowledgeId(args?.knowledge_id);
+      const itemPath = path.join(KNOWLEDGE_DIR, args.knowledge_id);
+      if (!fs.existsSync(itemPath) || !fs.statSync(itemPath).isDirectory()) {
+        throw codedError("KNOWLEDGE_NOT_FOUND", `Knowledge item not found: ${args.knowledge_id}`);
       }
-      let text = `# Found ${results.length} note(s)\n\n`;
-      for (const r of results) {
-        text += `**Session:** ${r.title} (${r.date}) \`${r.sessionId}\`\n`;
-        text += r.entry + "\n\n---\n\n";
+
+      const item = describeKnowledgeItem(args.knowledge_id);
+      let text = `# Knowledge: ${item.title}\n**ID:** ${item.id}\n\n`;
+      if (item.summary) text += `${item.summary}\n\n`;
+      const extraMeta = Object.entries(item.metadata).filter(([k]) => !["title", "name", "summary", "description"].includes(k));
+      if (extraMeta.length) {
+        text += "## Metadata\n";
+        for (const [key, value] of extraMeta) {
+          text += `- **${key}**: ${typeof value === "string" ? value : JSON.stringify(value)}\n`;
+        }
+        text += "\n";
       }
-      return { content: [{ type: "text", text: truncateResponse(text) }] };
+      for (const artifact of item.artifacts) {
+        text += `## ${artifact}\n${readFileSafe(path.join(item.full, artifact))}\n\n`;
+      }
+      if (item.artifacts.length === 0) text += "_No artifacts in this knowledge item._";
+
+      const { id, title, summary, metadata, artifacts } = item;
+      return toolResult(truncateResponse(text), { id, title, summary, metadata, artifacts });
     } catch (err) {
-      return { content: [{ type: "text", text: `❌ recall_notes failed: ${err.message}` }] };
+      return toolError("recall_knowledge", err);
     }
   }
 
@@ -821,153 +6144,727 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       text += `| **Notes files** | ${s.notesFiles} (${s.totalNotes} total notes) |\n`;
       text += `| **Knowledge items** | ${s.knowledgeItems} |\n`;
       text += `| **Disk usage** | ~${s.diskUsageMB} MB |\n`;
+      if (s.indexRefresh) text += `| **Brain index** | ${s.totalSessions} cached, kept current by ${s.indexRefresh} |\n`;
       text += `| **Credentials** | 🔐 AES-256-GCM encrypted |\n`;
-      text += `| **Max response** | ${MAX_RESPONSE_CHARS.toLocaleString()} chars |\n`;
-      return { content: [{ type: "text", text }] };
+      let key = null;
+      let keyError = null;
+      try {
+        key = getActiveKey();
+        text += `| **Encryption key** | ${key.label} (\`${key.id}\`) |\n`;
+      } catch (err) {
+        keyError = err.message;
+        text += `| **Encryption key** | ❌ ${err.message} |\n`;
+      }
+      text += `| **Max response** | ${cfg("max_response_chars").toLocaleString()} chars |\n`;
+      return toolResult(text, {
+        version: s.version,
+        brain_dir: s.brainDir,
+        brain_exists: s.brainExists,
+        total_sessions: s.totalSessions,
+        sessions_with_artifacts: s.sessionsWithArtifacts,
+        notes_files: s.notesFiles,
+        total_notes: s.totalNotes,
+        knowledge_items: s.knowledgeItems,
+        disk_usage_mb: Number(s.diskUsageMB),
+        index_refresh: s.indexRefresh,
+        key: key && { label: key.label, source: key.source, id: key.id },
+        key_error: keyError,
+        max_response_chars: cfg("max_response_chars"),
+      });
+    } catch (err) {
+      return toolError("context_status", err);
+    }
+  }
+
+  // ── context_config ─────────────────────────────────────────────────────────
+  if (name === "context_config") {
+    try {
+      const config = resolveConfig(args?.project_path);
+      const formatValue = (value) => Array.isArray(value) ? value.join(", ") : String(value);
+      let text = `# Configuration\n\n`;
+      text += `| Setting | Value | Source |\n`;
+      text += `|---------|-------|--------|\n`;
+      const pending = [];
+      const settings = {};
+      for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        // Paths were fixed at startup; show those and flag edits that need a restart
+        const startup = spec.type === "path";
+        const value = startup ? STARTUP_CONFIG.values[key] : config.values[key];
+        const source = startup ? STARTUP_CONFIG.sources[key] : config.sources[key];
+        if (startup && config.values[key] !== value) pending.push(`${key} → ${config.values[key]}`);
+        settings[key] = { value, source };
+        text += `| \`${key}\` | ${formatValue(value)} | ${source} |\n`;
+      }
+
+      text += `\n## Files\n\n`;
+      for (const file of config.files) {
+        text += `- ${file.label}: \`${file.path}\` ${file.exists ? "✅" : "(not present)"}\n`;
+      }
+      if (pending.length) {
+        text += `\n⚠️ Restart the server to apply: ${pending.join("; ")}\n`;
+      }
+      if (config.warnings.length) {
+        text += `\n## Problems (ignored settings)\n\n${config.warnings.map((w) => `- ${w}`).join("\n")}\n`;
+      }
+      text += `\n_Precedence: default < global config < project config < environment. `;
+      text += `Project files may set: ${Object.keys(CONFIG_SCHEMA).filter((k) => CONFIG_SCHEMA[k].scope === "project").join(", ")}._`;
+      return toolResult(text, {
+        settings,
+        files: config.files.map(({ label, path: filePath, exists }) => ({ label, path: filePath, exists })),
+        pending_restart: pending,
+        warnings: config.warnings,
+      });
     } catch (err) {
-      return { content: [{ type: "text", text: `❌ context_status failed: ${err.message}` }] };
+      return toolError("context_config", err);
     }
   }
 
   // ── context_export ─────────────────────────────────────────────────────────
   if (name === "context_export") {
     try {
-      const outputDir = args?.output_path || os.homedir();
-      if (!fs.existsSync(outputDir)) throw new Error(`Output directory not found: ${outputDir}`);
+      const { text, data } = runExport(args);
+      return toolResult(text, data);
+    } catch (err) {
+      return toolError("context_export", err);
+    }
+  }
+
+  // ── context_import ─────────────────────────────────────────────────────────
+  if (name === "context_import") {
+    try {
+      const { text, data } = await runImport(args);
+      return toolResult(text, data);
+    } catch (err) {
+      return toolError("context_import", err);
+    }
+  }
 
-      const exportData = {
-        version: VERSION,
-        exported_at: new Date().toISOString(),
-        machine: os.hostname(),
-        sessions: [],
-      };
+  return toolError(null, codedError("UNKNOWN_TOOL", `Unknown tool: ${name}`));
+}
 
-      // Collect all notes from sessions
-      const folders = getBrainFoldersSorted();
-      for (const folder of folders) {
-        const notes = readFileSafe(path.join(folder.full, "session_notes.md"));
-        if (!notes.trim()) continue;
-        const title = extractTitle(folder.full);
-        const date = new Date(folder.mtime).toISOString().slice(0, 10);
-        exportData.sessions.push({
-          id: folder.name,
-          title,
-          date,
-          notes,
-        });
-      }
-
-      // Optionally include credentials
-      if (args?.include_credentials) {
-        exportData.credentials = {};
-        const projects = listKnownProjects();
-        for (const p of projects) {
-          // Try to find project path from tracker
-          const trackerDir = path.join(CODE_TRACKER_DIR, p.tracker_key);
-          try {
-            const files = fs.readdirSync(trackerDir);
-            for (const f of files) {
-              const content = readFileSafe(path.join(trackerDir, f));
-              if (content.includes(CREDENTIALS_ENC_FILENAME)) {
-                // Found a project with credentials
-                const projPath = content.trim().split("\n")[0]; // heuristic
-                if (fs.existsSync(path.join(projPath, CREDENTIALS_ENC_FILENAME))) {
-                  exportData.credentials[p.project] = readFileSafe(
-                    path.join(projPath, CREDENTIALS_ENC_FILENAME)
-                  );
-                }
-              }
-            }
-          } catch { /* skip */ }
-        }
+// ─── Resources and prompts ────────────────────────────────────────────────────
+
+// Sessions, project notes and knowledge items as MCP resources, so clients can
+// attach them without a tool call. Changes seen by the brain watcher become
+// list_changed / updated notifications; prompts wrap the recall tools.
+
+const RESOURCE_SCHEME = "antigravity://";
+const SESSION_RESOURCE_FILES = ["task.md", "walkthrough.md", "implementation_plan.md", NOTES_FILENAME];
+const SESSION_RESOURCE_RE = /^antigravity:\/\/session\/([^/]+)\/([^/]+)$/;
+const PROJECT_RESOURCE_RE = /^antigravity:\/\/project\/([^/]+)\/notes$/;
+const KNOWLEDGE_RESOURCE_RE = /^antigravity:\/\/knowledge\/([^/]+)$/;
+const RESOURCE_NOTIFY_DELAY_MS = 500;
+
+let resourceNotifications = false;
+let pendingResourceChanges = new Set();
+let resourceNotifyTimer = null;
+let knownSessionList = null;
+
+/** Registered project by name or alias (resource URIs use names, tools use paths) */
+function findProjectByName(name) {
+  const wanted = name.toLowerCase();
+  const entry = Object.values(loadProjectRegistry().projects).find((p) =>
+    p.name.toLowerCase() === wanted || (p.aliases || []).some((a) => a.toLowerCase() === wanted));
+  if (!entry) throw codedError("PROJECT_NOT_FOUND", `Unknown project: ${name} (link a session to it with save_note or link_session first)`);
+  return entry;
+}
+
+/** Parse an antigravity:// URI into { kind, … } (throws on anything else) */
+function parseResourceUri(uri) {
+  let m = uri.match(SESSION_RESOURCE_RE);
+  if (m) {
+    validateSessionId(m[1]);
+    if (!SESSION_RESOURCE_FILES.includes(m[2])) {
+      throw codedError("INVALID_ARGUMENT", `Unknown session file: ${m[2]} (use ${SESSION_RESOURCE_FILES.join(", ")})`);
+    }
+    return { kind: "session", sessionId: m[1], file: m[2] };
+  }
+  m = uri.match(PROJECT_RESOURCE_RE);
+  if (m) return { kind: "project", name: decodeURIComponent(m[1]) };
+  m = uri.match(KNOWLEDGE_RESOURCE_RE);
+  if (m) {
+    const id = decodeURIComponent(m[1]);
+    validateKnowledgeId(id);
+    return { kind: "knowledge", id };
+  }
+  throw codedError("INVALID_ARGUMENT", `Unknown resource URI: ${uri}`);
+}
+
+/** Every note from a project's sessions, newest session first */
+function renderProjectNotes(project) {
+  let text = `# Notes: ${project.name}\n\n`;
+  let count = 0;
+  for (const folder of getAllBrainFolders()) {
+    if (!folder.notes.count || !matchesProject(folder.full, project.path)) continue;
+    const { entries } = readNotes(folder.full);
+    text += `## ${folder.title} (${new Date(folder.mtime).toISOString().slice(0, 10)}) · \`${folder.name}\`\n\n`;
+    text += `${entries.map(formatNote).join("\n\n")}\n\n`;
+    count += entries.length;
+  }
+  return count ? text : `${text}_No notes saved for this project yet._\n`;
+}
+
+/** Text of one resource (session files are returned as stored) */
+async function readResource(uri) {
+  const target = parseResourceUri(uri);
+  if (target.kind === "session") {
+    const filePath = path.join(BRAIN_DIR, target.sessionId, target.file);
+    if (!fs.existsSync(filePath)) throw codedError("NOT_FOUND", `Not found: ${target.file} in session ${target.sessionId}`);
+    return readFileSafe(filePath);
+  }
+  if (target.kind === "project") return renderProjectNotes(findProjectByName(target.name));
+  return toolText("recall_knowledge", { knowledge_id: target.id });
+}
+
+/** Concrete resources: recent sessions' files, registered projects' notes, knowledge items */
+function listResources() {
+  const resources = [];
+  for (const folder of getAllBrainFolders().slice(0, cfg("max_sessions"))) {
+    const date = new Date(folder.mtime).toISOString().slice(0, 10);
+    const files = [...folder.artifacts, ...(folder.notes.count ? [NOTES_FILENAME] : [])];
+    for (const file of files) {
+      resources.push({
+        uri: `${RESOURCE_SCHEME}session/${folder.name}/${file}`,
+        name: `${folder.title} — ${file}`,
+        description: `Session ${folder.name} (${date})`,
+        mimeType: "text/markdown",
+      });
+    }
+  }
+  for (const project of Object.values(loadProjectRegistry().projects)) {
+    resources.push({
+      uri: `${RESOURCE_SCHEME}project/${encodeURIComponent(project.name)}/notes`,
+      name: `${project.name} — notes`,
+      description: `All saved notes for ${project.path}`,
+      mimeType: "text/markdown",
+    });
+  }
+  for (const item of listKnowledgeItems()) {
+    resources.push({
+      uri: `${RESOURCE_SCHEME}knowledge/${encodeURIComponent(item.id)}`,
+      name: item.title,
+      description: item.summary || `Knowledge item ${item.id}`,
+      mimeType: "text/markdown",
+    });
+  }
+  return resources;
+}
+
+/** Queue change notifications for a brain folder (null = unknown, treat everything as changed) */
+function scheduleResourceNotifications(sessionId) {
+  if (!resourceNotifications) return;
+  pendingResourceChanges.add(sessionId);
+  if (resourceNotifyTimer) return;
+  resourceNotifyTimer = setTimeout(flushResourceNotifications, RESOURCE_NOTIFY_DELAY_MS);
+  resourceNotifyTimer.unref();
+}
+
+function sessionFolderList() {
+  try { return fs.readdirSync(BRAIN_DIR).sort().join("\n"); } catch { return ""; }
+}
+
+/** Send list_changed when sessions appear or vanish, and updated for affected subscriptions */
+function flushResourceNotifications() {
+  const changed = pendingResourceChanges;
+  pendingResourceChanges = new Set();
+  resourceNotifyTimer = null;
+  const ignore = () => { /* client gone — nothing to notify */ };
+
+  const list = sessionFolderList();
+  if (list !== knownSessionList) {
+    knownSessionList = list;
+    for (const server of liveServers.keys()) server.sendResourceListChanged().catch(ignore);
+  }
+  const everything = changed.has(null);
+  const affectedUris = new Map();
+  const isAffected = (uri) => {
+    if (affectedUris.has(uri)) return affectedUris.get(uri);
+    let affected = false;
+    try {
+      const target = parseResourceUri(uri);
+      if (target.kind === "session") {
+        affected = everything || changed.has(target.sessionId);
+      } else if (target.kind === "project") {
+        const project = findProjectByName(target.name);
+        affected = everything || [...changed].some((id) => matchesProject(path.join(BRAIN_DIR, id), project.path));
       }
+    } catch { /* subscription to something that no longer resolves */ }
+    affectedUris.set(uri, affected);
+    return affected;
+  };
+  for (const [server, subscriptions] of liveServers) {
+    for (const uri of subscriptions) {
+      if (isAffected(uri)) server.sendResourceUpdated({ uri }).catch(ignore);
+    }
+  }
+}
 
-      const json = JSON.stringify(exportData, null, 2);
-      const encrypted = encryptText(json);
-      const ts = new Date().toISOString().slice(0, 10);
-      const fileName = `antigravity-memory-${ts}.json.enc`;
-      const filePath = path.join(outputDir, fileName);
-      fs.writeFileSync(filePath, encrypted, "utf8");
+/** Start sending resource notifications (MCP server mode only) */
+function enableResourceNotifications() {
+  resourceNotifications = true;
+  knownSessionList = sessionFolderList();
+  watchBrainDir();
+}
 
-      let text = `✅ Memory exported to: ${filePath}\n\n`;
-      text += `| Metric | Value |\n`;
-      text += `|--------|-------|\n`;
-      text += `| **Sessions with notes** | ${exportData.sessions.length} |\n`;
-      text += `| **Credentials included** | ${args?.include_credentials ? "Yes" : "No"} |\n`;
-      text += `| **File size** | ${(Buffer.byteLength(encrypted) / 1024).toFixed(1)} KB |\n`;
-      text += `| **Encrypted** | 🔐 AES-256-GCM |\n`;
-      text += `\n⚠️ This file can only be decrypted on this machine (${os.hostname()}).`;
+const PROMPTS = [
+  {
+    name: "continue_last_session",
+    description: "Pick up where the last session stopped: its task checklist, notes, pinned notes and due todos",
+    arguments: [{ name: "project_path", description: "Absolute path to the current project (optional)", required: false }],
+  },
+  {
+    name: "summarize_this_week",
+    description: "Summarize the last 7 days of work — completed items, decisions and files touched per session",
+    arguments: [{ name: "project_path", description: "Absolute path to the current project (optional)", required: false }],
+  },
+];
 
-      return { content: [{ type: "text", text }] };
-    } catch (err) {
-      return { content: [{ type: "text", text: `❌ context_export failed: ${err.message}` }] };
+/** Build a prompt's messages from the matching recall tool's output */
+async function getPrompt(name, args = {}) {
+  const projectPath = args.project_path || undefined;
+  if (name === "continue_last_session") {
+    const recall = await toolText("recall", { project_path: projectPath });
+    return {
+      description: "Continue the last session",
+      messages: [{
+        role: "user",
+        content: {
+          type: "text",
+          text: `Here is where my last session stopped:\n\n${recall}\n\n`
+            + "Continue from there: briefly restate what was in progress, mention anything overdue, then carry on with the next unfinished task. "
+            + "Call recall_session if you need the walkthrough or plan.",
+        },
+      }],
+    };
+  }
+  if (name === "summarize_this_week") {
+    const since = new Date(Date.now() - 6 * DAY_MS).toISOString().slice(0, 10);
+    const timeline = await toolText("recall_timeline", { project_path: projectPath, since, group_by: "day" });
+    return {
+      description: "Summarize this week's work",
+      messages: [{
+        role: "user",
+        content: {
+          type: "text",
+          text: `Activity for the last 7 days:\n\n${timeline}\n\n`
+            + "Summarize this week for me: what got done, the key decisions, and what is still open. Keep it short enough for a standup.",
+        },
+      }],
+    };
+  }
+  throw new Error(`Unknown prompt: ${name}`);
+}
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${RESOURCE_SCHEME}session/{session_id}/{file}`,
+    name: "Session artifact",
+    description: `One file from a session's brain folder: ${SESSION_RESOURCE_FILES.join(", ")}`,
+    mimeType: "text/markdown",
+  },
+  {
+    uriTemplate: `${RESOURCE_SCHEME}project/{name}/notes`,
+    name: "Project notes",
+    description: "Every saved note from a registered project's sessions",
+    mimeType: "text/markdown",
+  },
+  {
+    uriTemplate: `${RESOURCE_SCHEME}knowledge/{knowledge_id}`,
+    name: "Knowledge item",
+    description: "A knowledge item's metadata and artifacts",
+    mimeType: "text/markdown",
+  },
+];
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+
+const CLI_USAGE = `Usage: antigravity-context-mcp [command] [options]
+
+Without a command the MCP server starts on stdio.
+
+Commands:
+  sessions [--project <path>] [--all] [--count <n>]   List recent sessions
+  session <id> [--max-chars <n>] [--cursor <cursor>]  Show one session's artifacts and notes
+                                                       (a digest with cursors when over max-chars)
+  notes search [query] [--tag <tag>] [--last <n>]      Search saved notes
+  notes add <text> [--tag <tag>] [--session <id>] [--project <path>]
+            [--due <date>] [--priority high|normal|low]
+                                                       Save a note (default: latest session)
+  todos [--project <path>] [--status open|done|all]   List todos by due date
+  creds list <project path>                            List credential keys (values masked)
+  export [--format encrypted|json|markdown|obsidian] [--out <dir>] [--project <path>]
+         [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--include-credentials]
+         [--passphrase-env <VAR>] [--key-file <path>]
+                                                       Export memory
+  import <file> [--dry-run] [--passphrase-env <VAR>] [--key-file <path>]
+         [--restore-creds <path>[${path.delimiter}<path>…]]
+                                                       Import an export
+  serve [--port <n>]                                   Run one shared MCP server over HTTP on
+                                                       127.0.0.1 (bearer token in the state dir)
+
+Options:
+  --json       Print machine-readable JSON
+  --help       Show this help
+  --version    Show the version
+
+Passphrases are read from the environment variable named by --passphrase-env,
+so they never appear in the process list or shell history.`;
+
+const CLI_BOOLEAN_FLAGS = new Set(["json", "all", "dry-run", "include-credentials", "help", "version"]);
+
+/** Split argv into positionals and --flags (--flag value, --flag=value, boolean flags) */
+function parseCliArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") { positional.push(...argv.slice(i + 1)); break; }
+    if (!arg.startsWith("--")) { positional.push(arg); continue; }
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    if (CLI_BOOLEAN_FLAGS.has(key)) { flags[key] = true; continue; }
+    const value = inline ?? argv[++i];
+    if (value === undefined) throw new Error(`--${key} needs a value`);
+    flags[key] = value;
+  }
+  return { positional, flags };
+}
+
+function cliNumber(value, name) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`--${name} must be a positive integer`);
+  return n;
+}
+
+function cliPassphrase(flags) {
+  if (!flags["passphrase-env"]) return undefined;
+  const value = process.env[flags["passphrase-env"]];
+  if (!value) throw new Error(`Environment variable ${flags["passphrase-env"]} is not set`);
+  return value;
+}
+
+/**
+ * One CLI command. Returns { text, data }: text reuses the tool's own output,
+ * data is what --json prints.
+ */
+async function runCliCommand(positional, flags) {
+  const [command, sub, ...rest] = positional;
+
+  if (command === "sessions") {
+    const args = { count: cliNumber(flags.count, "count"), project_path: flags.project, all_projects: flags.all === true };
+    const data = listRecentSessions({ count: args.count, projectPath: args.project_path, allProjects: args.all_projects })
+      .map(sessionData);
+    return { data, text: flags.json ? null : await toolText("recall_sessions", args) };
+  }
+
+  if (command === "session") {
+    if (!sub) throw new Error("Usage: session <id>");
+    validateSessionId(sub);
+    const folderPath = path.join(BRAIN_DIR, sub);
+    if (!fs.existsSync(folderPath)) throw codedError("SESSION_NOT_FOUND", `Session not found: ${sub}`);
+    const artifacts = readAllArtifacts(folderPath);
+    const data = {
+      id: sub,
+      title: extractTitle(folderPath),
+      date: new Date(fs.statSync(folderPath).mtimeMs).toISOString().slice(0, 10),
+      project: getSessionProject(sub)?.name || null,
+      progress: summarizeTasks(parseTaskChecklist(artifacts["task.md"] || "")),
+      artifacts: Object.fromEntries(Object.entries(artifacts).filter(([file]) => file !== NOTES_FILENAME)),
+      notes: readNotes(folderPath).entries.map(({ id, timestamp, tag, pinned, body }) => ({ id, timestamp, tag, pinned, body })),
+    };
+    const args = { session_id: sub, max_chars: cliNumber(flags["max-chars"], "max-chars"), cursor: flags.cursor };
+    return { data, text: flags.json ? null : await toolText("recall_session", args) };
+  }
+
+  if (command === "notes" && sub === "search") {
+    const args = { query: rest.join(" ") || undefined, tag: flags.tag, last_n: cliNumber(flags.last, "last") };
+    const data = searchNotes(args.query, args.tag, Math.min(args.last_n ?? 5, cfg("max_sessions"))).map((r) => ({
+      session_id: r.sessionId,
+      session_title: r.title,
+      date: r.date,
+      id: r.note.id,
+      timestamp: r.note.timestamp,
+      tag: r.note.tag,
+      pinned: r.note.pinned,
+      body: r.note.body,
+    }));
+    return { data, text: flags.json ? null : await toolText("recall_notes", args) };
+  }
+
+  if (command === "notes" && sub === "add") {
+    checkToolPolicy("save_note");
+    const saved = await saveNote({
+      note: rest.join(" "),
+      tag: flags.tag,
+      sessionId: flags.session,
+      projectPath: flags.project,
+      due: flags.due,
+      priority: flags.priority,
+    });
+    const data = {
+      id: saved.id,
+      session_id: saved.sessionId,
+      file: saved.filePath,
+      project: saved.project,
+      tag: saved.tag,
+      ...saved.meta,
+      secrets_moved: saved.secrets.moved,
+    };
+    let text = `✅ Note saved${saved.tag ? ` [#${saved.tag}]` : ""} (ID: ${saved.id}): ${saved.filePath}`;
+    if (saved.meta.due) text += `\n⏰ Due ${saved.meta.due}`;
+    if (saved.project) text += `\n🔗 Session linked to project ${saved.project}`;
+    if (saved.secrets.moved.length) text += `\n${formatMovedSecrets(saved.secrets.moved, saved.secrets.store)}`;
+    return { data, text };
+  }
+
+  if (command === "todos") {
+    const args = { project_path: flags.project, status: flags.status };
+    const status = args.status || "open";
+    if (![...TODO_STATUSES, "all"].includes(status)) throw new Error(`--status must be one of: ${[...TODO_STATUSES, "all"].join(", ")}`);
+    const data = collectTodos({ projectPath: args.project_path, status }).map(todoData);
+    return { data, text: flags.json ? null : await toolText("list_todos", args) };
+  }
+
+  if (command === "creds" && sub === "list") {
+    const projectPath = rest[0] || flags.project;
+    validatePath(projectPath, "project path");
+    const creds = readCredentials(projectPath);
+    const data = Object.fromEntries(Object.entries(creds || {}).map(([section, values]) => [
+      section,
+      Object.fromEntries(Object.entries(values).map(([key, value]) => [key, maskValue(value)])),
+    ]));
+    return { data, text: flags.json ? null : await toolText("get_credentials", { project_path: projectPath, masked: true }) };
+  }
+
+  if (command === "export") {
+    checkToolPolicy("context_export");
+    return runExport({
+      output_path: flags.out,
+      format: flags.format,
+      project_path: flags.project,
+      since: flags.since,
+      until: flags.until,
+      include_credentials: flags["include-credentials"] === true,
+      passphrase: cliPassphrase(flags),
+      key_file: flags["key-file"],
+    });
+  }
+
+  if (command === "import") {
+    if (!sub) throw new Error("Usage: import <file>");
+    checkToolPolicy("context_import", { dry_run: flags["dry-run"] === true });
+    return runImport({
+      file_path: path.resolve(sub),
+      dry_run: flags["dry-run"] === true,
+      restore_credentials: flags["restore-creds"]?.split(path.delimiter).filter(Boolean).map((p) => path.resolve(p)),
+      passphrase: cliPassphrase(flags),
+      key_file: flags["key-file"],
+    });
+  }
+
+  throw new Error(`Unknown command: ${positional.join(" ")} (see --help)`);
+}
+
+/** Run the CLI; returns the process exit code */
+async function runCli(argv) {
+  let json = argv.includes("--json");
+  try {
+    const { positional, flags } = parseCliArgs(argv);
+    json = flags.json === true;
+    currentConfig = resolveConfig(flags.project ? path.resolve(flags.project) : null);
+    lockWaitMs = LOCK_CLI_WAIT_MS;
+    if (flags.version) {
+      process.stdout.write(`${VERSION}\n`);
+      return 0;
+    }
+    if (flags.help || positional.length === 0) {
+      process.stdout.write(`${CLI_USAGE}\n`);
+      return flags.help ? 0 : 1;
     }
+    const { text, data } = await runCliCommand(positional, flags);
+    process.stdout.write(json ? `${JSON.stringify(data, null, 2)}\n` : `${text}\n`);
+    return 0;
+  } catch (err) {
+    if (json) process.stdout.write(`${JSON.stringify({ error: err.message, code: errorCode(err) }, null, 2)}\n`);
+    else process.stderr.write(`❌ ${err.message}\n`);
+    return 1;
   }
+}
 
-  // ── context_import ─────────────────────────────────────────────────────────
-  if (name === "context_import") {
+// ─── HTTP transport (localhost, bearer token) ─────────────────────────────────
+
+// `serve` runs one long-lived server that several IDE windows, the CLI and scripts
+// can share. Streamable HTTP on 127.0.0.1 only; every request needs the bearer token
+// from STATE_DIR/http-token, and the Host header must name this machine's loopback.
+
+const HTTP_HOST = "127.0.0.1";
+const HTTP_PATH = "/mcp";
+const HTTP_TOKEN_FILE = path.join(STATE_DIR, "http-token");
+const HTTP_MAX_BODY_BYTES = 4 * 1024 * 1024;
+const HTTP_SESSION_IDLE_MS = 30 * 60 * 1000;
+const HTTP_SESSION_SWEEP_MS = 60 * 1000;
+
+/** The bearer token clients must send — generated on first use, kept with mode 0600 */
+function loadHttpToken() {
+  const existing = readFileSafe(HTTP_TOKEN_FILE).trim();
+  if (existing) return existing;
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  const token = crypto.randomBytes(32).toString("hex");
+  fs.writeFileSync(HTTP_TOKEN_FILE, `${token}\n`, { encoding: "utf8", mode: 0o600 });
+  return token;
+}
+
+function bearerTokenMatches(header, token) {
+  const m = /^Bearer\s+(\S+)$/i.exec(header || "");
+  if (!m) return false;
+  const given = Buffer.from(m[1]);
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function sendHttpError(res, status, message, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code: -32000, message }, id: null }));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > HTTP_MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString("utf8"))); }
+      catch { reject(new Error("Request body is not valid JSON")); }
+    });
+    req.on("error", reject);
+  });
+}
+
+/** Start the HTTP transport; resolves once listening. Each client session gets its own Server. */
+async function startHttpServer(port) {
+  const token = loadHttpToken();
+  const allowedHosts = new Set([`${HTTP_HOST}:${port}`, `localhost:${port}`]);
+  const transports = new Map();
+  // sessionId → { lastSeen, open }: open counts requests still streaming (a GET notification stream)
+  const activity = new Map();
+
+  const httpServer = http.createServer(async (req, res) => {
     try {
-      validatePath(args?.file_path, "file_path");
-      const payload = fs.readFileSync(args.file_path, "utf8").trim();
-      const json = decryptText(payload);
-      const data = JSON.parse(json);
-
-      if (!data.sessions || !Array.isArray(data.sessions)) {
-        throw new Error("Invalid export file: missing sessions array");
-      }
-
-      let imported = 0;
-      let skipped = 0;
-
-      for (const session of data.sessions) {
-        if (!session.id || !session.notes) { skipped++; continue; }
-        const folderPath = path.join(BRAIN_DIR, session.id);
-        if (!fs.existsSync(folderPath)) {
-          // Session folder doesn't exist locally — create it and import notes
-          fs.mkdirSync(folderPath, { recursive: true });
-          fs.writeFileSync(
-            path.join(folderPath, "session_notes.md"),
-            session.notes,
-            "utf8"
-          );
-          imported++;
-        } else {
-          // Session exists — merge notes if local notes file is empty/missing
-          const localNotes = readFileSafe(path.join(folderPath, "session_notes.md"));
-          if (!localNotes.trim()) {
-            fs.writeFileSync(
-              path.join(folderPath, "session_notes.md"),
-              session.notes,
-              "utf8"
-            );
-            imported++;
-          } else {
-            skipped++; // Don't overwrite existing notes
-          }
-        }
+      // Reject other Host names so a web page can't reach us through DNS rebinding
+      if (!allowedHosts.has(req.headers.host)) return sendHttpError(res, 403, "Forbidden host");
+      if (new URL(req.url, `http://${HTTP_HOST}`).pathname !== HTTP_PATH) {
+        return sendHttpError(res, 404, `Not found — the MCP endpoint is ${HTTP_PATH}`);
+      }
+      if (!bearerTokenMatches(req.headers.authorization, token)) {
+        return sendHttpError(res, 401, "Missing or invalid bearer token", { "WWW-Authenticate": "Bearer" });
       }
 
-      let text = `✅ Import complete\n\n`;
-      text += `| Metric | Value |\n`;
-      text += `|--------|-------|\n`;
-      text += `| **Source** | ${data.machine || "unknown"} |\n`;
-      text += `| **Exported at** | ${data.exported_at || "unknown"} |\n`;
-      text += `| **Sessions imported** | ${imported} |\n`;
-      text += `| **Sessions skipped** | ${skipped} (already exist) |\n`;
+      const sessionId = req.headers["mcp-session-id"];
+      if (sessionId) {
+        const transport = transports.get(sessionId);
+        if (!transport) return sendHttpError(res, 404, "Unknown or expired session — initialize again");
+        const seen = activity.get(sessionId);
+        if (seen) {
+          seen.lastSeen = Date.now();
+          seen.open++;
+          res.once("close", () => {
+            seen.open--;
+            seen.lastSeen = Date.now();
+          });
+        }
+        const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+        return await transport.handleRequest(req, res, body);
+      }
+      if (req.method !== "POST") return sendHttpError(res, 400, "Missing mcp-session-id header");
+      const body = await readJsonBody(req);
+      if (!isInitializeRequest(body)) return sendHttpError(res, 400, "The first request of a session must be initialize");
 
-      return { content: [{ type: "text", text }] };
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => crypto.randomUUID(),
+        onsessioninitialized: (id) => {
+          transports.set(id, transport);
+          activity.set(id, { lastSeen: Date.now(), open: 0 });
+        },
+      });
+      transport.onclose = () => {
+        if (!transport.sessionId) return;
+        transports.delete(transport.sessionId);
+        activity.delete(transport.sessionId);
+      };
+      await createServer().connect(transport);
+      await transport.handleRequest(req, res, body);
     } catch (err) {
-      return { content: [{ type: "text", text: `❌ context_import failed: ${err.message}` }] };
+      if (!res.headersSent) sendHttpError(res, 400, err.message);
+    }
+  });
+
+  // Clients that never send DELETE would otherwise keep their session (and its Server) forever
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - HTTP_SESSION_IDLE_MS;
+    for (const [id, seen] of activity) {
+      if (seen.open > 0 || seen.lastSeen > cutoff) continue;
+      activity.delete(id);
+      transports.get(id)?.close().catch(() => {});
     }
+  }, HTTP_SESSION_SWEEP_MS);
+  sweep.unref();
+  httpServer.on("close", () => clearInterval(sweep));
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, HTTP_HOST, resolve);
+  });
+  return { httpServer, transports };
+}
+
+/** `serve`: run the HTTP transport until interrupted */
+async function runHttpServer(argv) {
+  const { flags } = parseCliArgs(argv);
+  if (flags.help) {
+    process.stdout.write(`${CLI_USAGE}\n`);
+    return;
   }
+  const port = cliNumber(flags.port, "port") ?? globalCfg("http_port");
+  if (port > 65535) throw new Error("--port must be at most 65535");
+  for (const warning of STARTUP_CONFIG.warnings) process.stderr.write(`⚠️ Config: ${warning}\n`);
+  const { httpServer, transports } = await startHttpServer(port);
+  enableResourceNotifications();
 
-  return { content: [{ type: "text", text: `❌ Unknown tool: ${name}` }] };
-});
+  const shutdown = async () => {
+    for (const transport of transports.values()) await transport.close().catch(() => {});
+    httpServer.close(() => process.exit(0));
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+
+  process.stderr.write(`✅ Antigravity Context MCP Server v${VERSION} listening on http://${HTTP_HOST}:${port}${HTTP_PATH}\n`);
+  process.stderr.write(`🔑 Clients must send "Authorization: Bearer <token>" — the token is in ${HTTP_TOKEN_FILE}\n`);
+}
 
 // ─── Start ────────────────────────────────────────────────────────────────────
 async function main() {
+  // Any arguments select a CLI command; none starts the MCP server on stdio
+  const argv = process.argv.slice(2);
+  if (argv[0] === "serve") {
+    await runHttpServer(argv.slice(1));
+    return;
+  }
+  if (argv.length > 0) {
+    process.exitCode = await runCli(argv);
+    return;
+  }
+  for (const warning of STARTUP_CONFIG.warnings) process.stderr.write(`⚠️ Config: ${warning}\n`);
   const transport = new StdioServerTransport();
-  await server.connect(transport);
+  await createServer().connect(transport);
+  enableResourceNotifications();
   process.stderr.write(`✅ Antigravity Context MCP Server v${VERSION} running\n`);
 }
 
@@ -0,0 +1,73 @@
+// File locks: writes wait for another process without stalling the server, then give up with LOCK_TIMEOUT.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import { makeHome, connect, runCli } from "./helpers.js";
+
+const SESSION = "aaaa1111-0000-0000-0000-000000000001";
+
+let fixture;
+let server;
+
+const notesFile = () => fixture.sessionFile(SESSION, "session_notes.md");
+const lockFile = () => `${notesFile()}.lock`;
+const holdLock = (pid = process.pid) => fs.writeFileSync(lockFile(), `${pid} ${os.hostname()} test\n`);
+const noteIds = () => [...fs.readFileSync(notesFile(), "utf-8").matchAll(/<!-- id:(\w+)/g)].map((m) => m[1]);
+
+before(async () => {
+  fixture = makeHome({ [SESSION]: { "task.md": "# Lock test\n- [ ] write notes\n" } });
+  server = await connect(fixture.home);
+});
+
+after(async () => {
+  await server?.close();
+  fixture.cleanup();
+});
+
+test("a save waits for a lock held by another process and goes through once it is released", async () => {
+  holdLock();
+  const started = Date.now();
+  const pending = server.call("save_note", { note: "written after the lock", session_id: SESSION });
+  // The server keeps answering other calls while the save waits
+  const listed = await server.call("recall_sessions", {});
+  assert.ok(listed.sessions.some((s) => s.id === SESSION));
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  fs.unlinkSync(lockFile());
+  const saved = await pending;
+  assert.ok(Date.now() - started >= 300);
+  assert.ok(noteIds().includes(saved.note.id));
+});
+
+test("a lock that is never released ends in LOCK_TIMEOUT", async () => {
+  holdLock();
+  try {
+    const result = await server.raw("save_note", { note: "never written", session_id: SESSION });
+    assert.equal(result.isError, true);
+    assert.equal(result.structuredContent.error.code, "LOCK_TIMEOUT");
+    assert.ok(!fs.readFileSync(notesFile(), "utf-8").includes("never written"));
+  } finally {
+    fs.unlinkSync(lockFile());
+  }
+});
+
+test("a lock left by a dead process is broken", async () => {
+  const gone = spawnSync(process.execPath, ["-e", ""]).pid;
+  holdLock(gone);
+  const saved = await server.call("save_note", { note: "after a crash", session_id: SESSION });
+  assert.ok(noteIds().includes(saved.note.id));
+  assert.ok(!fs.existsSync(lockFile()));
+});
+
+test("concurrent writes from one server and the CLI all land", async () => {
+  const before = noteIds().length;
+  const saves = Array.from({ length: 10 }, (_, i) => server.call("save_note", { note: `parallel note ${i}`, session_id: SESSION }));
+  const cli = runCli(fixture.home, ["notes", "add", "from the CLI", "--session", SESSION]);
+  const saved = await Promise.all(saves);
+  assert.equal(cli.status, 0, cli.stderr);
+  const ids = noteIds();
+  assert.equal(ids.length, before + 11);
+  for (const s of saved) assert.ok(ids.includes(s.note.id));
+  assert.ok(!fs.existsSync(lockFile()));
+});
@@ -0,0 +1,95 @@
+// Shared fixtures: a throwaway HOME with brain sessions, an MCP client on the server and the CLI.
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+
+export const SERVER = fileURLToPath(new URL("../server.js", import.meta.url));
+
+/**
+ * Create a temporary HOME. sessions maps a session ID to { filename: content }
+ * written into brain/<id>/. Returns paths plus cleanup().
+ */
+export function makeHome(sessions = {}) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), "context-mcp-test-"));
+  const brain = path.join(home, ".gemini", "antigravity", "brain");
+  fs.mkdirSync(brain, { recursive: true });
+  for (const [id, files] of Object.entries(sessions)) writeSession(brain, id, files);
+  return {
+    home,
+    brain,
+    stateDir: path.join(home, ".gemini", "antigravity", "context_mcp"),
+    sessionFile: (id, file) => path.join(brain, id, file),
+    writeSession: (id, files) => writeSession(brain, id, files),
+    cleanup: () => fs.rmSync(home, { recursive: true, force: true }),
+  };
+}
+
+function writeSession(brain, id, files) {
+  fs.mkdirSync(path.join(brain, id), { recursive: true });
+  for (const [file, content] of Object.entries(files)) fs.writeFileSync(path.join(brain, id, file), content);
+}
+
+function serverEnv(home, env = {}) {
+  const merged = { ...process.env, HOME: home, USERPROFILE: home, ...env };
+  delete merged.ANTIGRAVITY_CONTEXT_PASSPHRASE;
+  return merged;
+}
+
+/** Start the server over stdio with HOME pointing at home. call() returns structuredContent and fails on isError. */
+export async function connect(home, env) {
+  const client = new Client({ name: "context-mcp-test", version: "1.0.0" });
+  await client.connect(new StdioClientTransport({ command: process.execPath, args: [SERVER], env: serverEnv(home, env), stderr: "ignore" }));
+  return {
+    client,
+    raw: (name, args = {}) => client.callTool({ name, arguments: args }),
+    async call(name, args = {}) {
+      const result = await client.callTool({ name, arguments: args });
+      assert.ok(!result.isError, result.content?.[0]?.text);
+      return result.structuredContent;
+    },
+    close: () => client.close(),
+  };
+}
+
+/** Run a CLI subcommand synchronously: { status, stdout, stderr } */
+export function runCli(home, args, env) {
+  return spawnSync(process.execPath, [SERVER, ...args], { env: serverEnv(home, env), encoding: "utf-8", timeout: 30000 });
+}
+
+/** Retry an async check until it stops throwing — for changes the server only sees through fs.watch */
+export async function eventually(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return await check();
+    } catch (err) {
+      if (Date.now() > deadline) throw err;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  }
+}
+
+export const PASSPHRASE = "correct horse battery";
+
+/**
+ * Export sessions from a second throwaway HOME, as another machine would.
+ * Returns the context_import arguments for the bundle plus cleanup().
+ */
+export async function exportSessions(sessions) {
+  const other = makeHome(sessions);
+  const source = await connect(other.home);
+  try {
+    const exported = await source.call("context_export", { output_path: other.home, passphrase: PASSPHRASE });
+    return { args: { file_path: exported.path, passphrase: PASSPHRASE }, cleanup: other.cleanup };
+  } catch (err) {
+    other.cleanup();
+    throw err;
+  } finally {
+    await source.close();
+  }
+}
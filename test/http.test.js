@@ -0,0 +1,116 @@
+// HTTP transport: the bearer token guards every request, and an authorized client can use the tools.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import http from "http";
+import net from "net";
+import path from "path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { makeHome, SERVER } from "./helpers.js";
+
+const SESSION = "aaaa1111-0000-0000-0000-000000000001";
+const INITIALIZE = {
+  jsonrpc: "2.0",
+  id: 1,
+  method: "initialize",
+  params: { protocolVersion: "2025-06-18", capabilities: {}, clientInfo: { name: "context-mcp-test", version: "1.0.0" } },
+};
+
+let fixture;
+let child;
+let endpoint;
+let token;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+const post = (headers = {}, body = INITIALIZE) =>
+  fetch(endpoint, {
+    method: "POST",
+    headers: { "content-type": "application/json", accept: "application/json, text/event-stream", ...headers },
+    body: JSON.stringify(body),
+  });
+
+before(async () => {
+  fixture = makeHome({ [SESSION]: { "task.md": "# HTTP test\n- [ ] check auth\n" } });
+  const port = await freePort();
+  endpoint = `http://127.0.0.1:${port}/mcp`;
+  child = spawn(process.execPath, [SERVER, "serve", "--port", String(port)], {
+    env: { ...process.env, HOME: fixture.home, USERPROFILE: fixture.home },
+    stdio: ["ignore", "ignore", "pipe"],
+  });
+  let stderr = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${stderr}`)), 10000);
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+      if (stderr.includes("listening on")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code}:\n${stderr}`));
+    });
+  });
+  token = fs.readFileSync(path.join(fixture.stateDir, "http-token"), "utf-8").trim();
+});
+
+after(() => {
+  if (child && child.exitCode === null) child.kill();
+  fixture.cleanup();
+});
+
+test("the token file is created private to the user", () => {
+  assert.ok(token.length >= 32);
+  if (process.platform !== "win32") {
+    assert.equal(fs.statSync(path.join(fixture.stateDir, "http-token")).mode & 0o077, 0);
+  }
+});
+
+test("requests without the right bearer token are rejected", async () => {
+  for (const headers of [{}, { authorization: "Bearer wrong-token" }, { authorization: token }]) {
+    const res = await post(headers);
+    assert.equal(res.status, 401, JSON.stringify(headers));
+    assert.equal(res.headers.get("www-authenticate"), "Bearer");
+  }
+});
+
+test("requests for a foreign Host are rejected before the token is checked", async () => {
+  // fetch() always sends the real Host, so this one goes through http.request
+  const status = await new Promise((resolve, reject) => {
+    const req = http.request(endpoint, { method: "POST", headers: { authorization: `Bearer ${token}`, host: "attacker.example" } }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.once("error", reject);
+    req.end(JSON.stringify(INITIALIZE));
+  });
+  assert.equal(status, 403);
+});
+
+test("an authorized client can list sessions", async () => {
+  const client = new Client({ name: "context-mcp-test", version: "1.0.0" });
+  const transport = new StreamableHTTPClientTransport(new URL(endpoint), {
+    requestInit: { headers: { authorization: `Bearer ${token}` } },
+  });
+  await client.connect(transport);
+  try {
+    const result = await client.callTool({ name: "recall_sessions", arguments: {} });
+    assert.ok(!result.isError, result.content?.[0]?.text);
+    assert.ok(result.structuredContent.sessions.some((s) => s.id === SESSION));
+  } finally {
+    await transport.terminateSession().catch(() => {});
+    await client.close();
+  }
+});
@@ -0,0 +1,143 @@
+// Session notes: stable IDs for old notes, edits by ID, and context_import merging entry by entry.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { makeHome, connect, exportSessions } from "./helpers.js";
+
+const SESSION = "aaaa1111-0000-0000-0000-000000000001";
+const TASK = { "task.md": "# Notes test\n- [ ] keep notes\n" };
+
+// Notes written before IDs existed: no <!-- id:… --> comments, two identical entries
+const LEGACY_NOTES = `# Session Notes
+
+### [2026-10-10 10:00] #decision
+Use JWT with 15 minute expiry
+
+---
+
+### [2026-10-10 11:00]
+Deploy checklist:
+- build
+- migrate
+
+---
+
+### [2026-10-10 12:00] #codeword
+Codeword is PINEAPPLE
+
+---
+
+### [2026-10-10 12:00] #codeword
+Codeword is PINEAPPLE
+
+---
+`;
+
+let fixture;
+let server;
+
+const notesText = () => fs.readFileSync(fixture.sessionFile(SESSION, "session_notes.md"), "utf-8");
+const headings = () => [...notesText().matchAll(/^### \[([^\]]+)\].*?<!-- id:(\w+)/gm)].map((m) => ({ timestamp: m[1], id: m[2] }));
+const sessionNotes = async () => {
+  const { notes } = await server.call("recall_notes", { last_n: 10 });
+  return notes.filter((n) => n.session_id === SESSION).map((n) => n.note);
+};
+
+before(async () => {
+  fixture = makeHome({ [SESSION]: { ...TASK, "session_notes.md": LEGACY_NOTES } });
+  server = await connect(fixture.home);
+});
+
+after(async () => {
+  await server?.close();
+  fixture.cleanup();
+});
+
+test("old notes get stable IDs, the first note included", async () => {
+  const first = await sessionNotes();
+  assert.equal(first.length, 4);
+  assert.ok(first.some((n) => n.body === "Use JWT with 15 minute expiry"));
+  assert.ok(first.every((n) => /^[0-9a-f]{8}$/.test(n.id)));
+  assert.equal(new Set(first.map((n) => n.id)).size, 4, "identical notes get distinct IDs");
+  assert.deepEqual((await sessionNotes()).map((n) => n.id), first.map((n) => n.id));
+  assert.equal(notesText(), LEGACY_NOTES, "reading does not rewrite the file");
+});
+
+test("update_note edits one note by its ID and writes the IDs down", async () => {
+  const notes = await sessionNotes();
+  const checklist = notes.find((n) => n.body.startsWith("Deploy checklist"));
+  const updated = await server.call("update_note", { note_id: checklist.id, note: "Deploy checklist:\n- build\n- migrate\n- smoke test" });
+  assert.equal(updated.note.id, checklist.id);
+
+  const after = await sessionNotes();
+  assert.deepEqual(after.map((n) => n.id).sort(), notes.map((n) => n.id).sort());
+  assert.equal(after.find((n) => n.id === checklist.id).body, "Deploy checklist:\n- build\n- migrate\n- smoke test");
+  assert.deepEqual(headings().map((h) => h.id), notes.map((n) => n.id), "every heading now carries its ID, order unchanged");
+  assert.equal(fs.readdirSync(fixture.sessionFile(SESSION, ".backups")).length, 1);
+});
+
+test("pin_note and delete_note act on exactly one note", async () => {
+  const [duplicate, twin] = (await sessionNotes()).filter((n) => n.tag === "codeword");
+  const pinned = await server.call("pin_note", { note_id: duplicate.id });
+  assert.equal(pinned.pinned, true);
+  await server.call("delete_note", { note_id: twin.id, session_id: SESSION });
+
+  const notes = await sessionNotes();
+  assert.equal(notes.length, 3);
+  assert.equal(notes.find((n) => n.id === duplicate.id).pinned, true);
+  assert.ok(!notes.some((n) => n.id === twin.id));
+});
+
+test("unknown note IDs are reported, not guessed", async () => {
+  const result = await server.raw("delete_note", { note_id: "ffffffff" });
+  assert.equal(result.isError, true);
+  assert.equal(result.structuredContent.error.code, "NOTE_NOT_FOUND");
+});
+
+test("context_import skips duplicates, interleaves new notes and keeps the local side of conflicts", async () => {
+  const local = headings();
+  const jwt = local.find((h) => h.timestamp === "2026-10-10 10:00");
+  const checklist = local.find((h) => h.timestamp === "2026-10-10 11:00");
+  const bundle = await exportSessions({
+    [SESSION]: {
+      ...TASK,
+      "session_notes.md": `# Session Notes
+
+### [2026-10-10 10:00] #decision <!-- id:${jwt.id} -->
+Use JWT with 15 minute expiry
+
+---
+
+### [2026-10-10 10:30] <!-- id:0badc0de -->
+Imported in between
+
+---
+
+### [2026-10-10 11:00] <!-- id:${checklist.id} -->
+Deploy checklist from the other machine
+
+---
+`,
+    },
+  });
+  const { args } = bundle;
+  try {
+    const before = notesText();
+    const preview = await server.call("context_import", { ...args, dry_run: true });
+    assert.deepEqual([preview.totals.added, preview.totals.skipped, preview.totals.conflicts], [1, 1, 1]);
+    assert.equal(notesText(), before, "a dry run writes nothing");
+
+    const imported = await server.call("context_import", args);
+    assert.equal(imported.totals.added, 1);
+    assert.deepEqual(imported.conflicts.map((c) => [c.note_id, c.incoming]), [[checklist.id, "Deploy checklist from the other machine"]]);
+    const timestamps = headings().map((h) => h.timestamp);
+    assert.deepEqual(timestamps, [...timestamps].sort(), "notes stay in chronological order");
+    assert.equal(headings()[1].id, "0badc0de");
+    assert.match(notesText(), /smoke test/, "the local side of the conflict is kept");
+
+    const again = await server.call("context_import", args);
+    assert.deepEqual([again.totals.added, again.totals.skipped, again.totals.conflicts], [0, 2, 1]);
+  } finally {
+    bundle.cleanup();
+  }
+});
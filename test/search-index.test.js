@@ -0,0 +1,82 @@
+// search_sessions: tokenizing, query syntax and the persistent index across restarts.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { makeHome, connect, eventually } from "./helpers.js";
+
+const LOGIN = "aaaa1111-0000-0000-0000-000000000001";
+const POSTGRES = "bbbb2222-0000-0000-0000-000000000002";
+
+let fixture;
+let server;
+
+const indexFile = () => path.join(fixture.stateDir, "search-index.json");
+const search = (query, args = {}) => server.call("search_sessions", { query, ...args });
+const sessionsFor = async (query) => (await search(query)).results.map((r) => r.session_id);
+
+before(async () => {
+  fixture = makeHome({
+    [LOGIN]: {
+      "task.md": "# Build login page\n- [x] Create /api/login endpoint\n- [ ] Rate limiting with a token bucket\n",
+      "walkthrough.md": "# Walkthrough\nThe LoginForm constructor validates input. Деплой на стенд прошёл.\n",
+    },
+    [POSTGRES]: {
+      "implementation_plan.md": "# Migrate database to Postgres\nUse pg_dump, then restore into the new cluster. Login is unaffected.\n",
+    },
+  });
+  server = await connect(fixture.home);
+});
+
+after(async () => {
+  await server?.close();
+  fixture.cleanup();
+});
+
+test("matches terms case-insensitively and ranks the denser document first", async () => {
+  const found = await search("LOGIN");
+  assert.equal(found.total, 2, "LoginForm is one term, not login");
+  assert.equal(found.results[0].session_id, LOGIN);
+  assert.match(found.results[0].snippet, /\*\*login\*\*/i);
+});
+
+test("supports prefix, phrase and non-Latin terms", async () => {
+  assert.deepEqual(await sessionsFor("migr*"), [POSTGRES]);
+  assert.deepEqual(await sessionsFor('"token bucket"'), [LOGIN]);
+  assert.deepEqual(await sessionsFor('"bucket token"'), []);
+  assert.deepEqual(await sessionsFor("pg_du*"), [POSTGRES]);
+  assert.deepEqual(await sessionsFor("деплой"), [LOGIN]);
+  assert.deepEqual(await sessionsFor("login postgres"), [POSTGRES]);
+});
+
+test("terms named like Object.prototype members are indexed", async () => {
+  assert.deepEqual(await sessionsFor("constructor"), [LOGIN]);
+  assert.deepEqual(await sessionsFor("construct*"), [LOGIN]);
+  assert.deepEqual(await sessionsFor('"loginform constructor"'), [LOGIN]);
+});
+
+test("the saved index answers the same after a restart", async () => {
+  const saved = JSON.parse(fs.readFileSync(indexFile(), "utf-8"));
+  assert.ok(Object.hasOwn(saved.postings, "constructor"), "constructor posting is saved");
+
+  await server.close();
+  server = await connect(fixture.home);
+  assert.deepEqual(await sessionsFor("constructor"), [LOGIN]);
+  assert.equal((await search("login")).total, 2);
+});
+
+test("re-indexes changed sessions and drops removed ones", async () => {
+  fixture.writeSession(POSTGRES, { "task.md": "# Postgres\n- [ ] vacuum the constructor tables\n" });
+  await eventually(async () => assert.deepEqual((await sessionsFor("constructor")).sort(), [LOGIN, POSTGRES]));
+
+  fs.rmSync(path.join(fixture.brain, LOGIN), { recursive: true });
+  await eventually(async () => assert.deepEqual(await sessionsFor("constructor"), [POSTGRES]));
+  assert.deepEqual(await sessionsFor("деплой"), []);
+});
+
+test("an index saved in an older format is rebuilt", async () => {
+  await server.close();
+  fs.writeFileSync(indexFile(), JSON.stringify({ version: 1, folders: {}, docs: {}, postings: {} }));
+  server = await connect(fixture.home);
+  assert.deepEqual(await sessionsFor("vacuum"), [POSTGRES]);
+});
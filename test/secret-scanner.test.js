@@ -0,0 +1,134 @@
+// Secret scanner behavior: what moves out of notes automatically, what scan_notes only reports.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { makeHome, connect, exportSessions } from "./helpers.js";
+
+const SESSION = "aaaa1111-0000-0000-0000-000000000001";
+
+let fixture;
+let server;
+
+const notesText = () => fs.readFileSync(fixture.sessionFile(SESSION, "session_notes.md"), "utf-8");
+const call = (name, args) => server.call(name, args);
+const saveNote = (note) => call("save_note", { note, session_id: SESSION });
+
+before(async () => {
+  fixture = makeHome({ [SESSION]: {} });
+  server = await connect(fixture.home);
+});
+
+after(async () => {
+  await server?.close();
+  fixture.cleanup();
+});
+
+test("known token formats move into the credentials", async () => {
+  const token = "ghp_" + "aB3dE5fG7hJ9kL1mN3pQ5rS7tU9vW1xY3zA5";
+  const saved = await saveNote(`Deploy token is ${token} for CI`);
+  assert.deepEqual(saved.secrets_moved.map((s) => s.kind), ["GitHub token"]);
+  const text = notesText();
+  assert.ok(!text.includes(token));
+  assert.match(text, /Deploy token is \{\{cred:notes\.[A-Z0-9_]+\}\} for CI/);
+});
+
+test("password=, passwd= and пароль= assignments move into the credentials", async () => {
+  const saved = await saveNote("db password=Hunter2Secret! then passwd: s3cr3t-Value and пароль=Кот12345");
+  assert.equal(saved.secrets_moved.length, 3);
+  const text = notesText();
+  for (const value of ["Hunter2Secret!", "s3cr3t-Value", "Кот12345"]) assert.ok(!text.includes(value), value);
+});
+
+test("short and all-letter passwords move too", async () => {
+  for (const [note, value] of [["wifi password: sunshine", "sunshine"], ["router password=abc12", "abc12"], ["door passwd 1234", null], ["safe password=4711", "4711"]]) {
+    const saved = await saveNote(note);
+    if (value === null) {
+      assert.deepEqual(saved.secrets_moved, [], note);
+      continue;
+    }
+    assert.equal(saved.secrets_moved.length, 1, note);
+    assert.ok(!notesText().includes(value), note);
+  }
+});
+
+test("placeholders after password= stay in the note", async () => {
+  const note = "password={{cred:App.DB}} or password=<db-password> or password=${DB_PASSWORD} or password=***";
+  const saved = await saveNote(note);
+  assert.deepEqual(saved.secrets_moved, []);
+  assert.ok(notesText().includes(note));
+});
+
+test("identifiers and ordinary settings stay in the note", async () => {
+  const notes = [
+    "Renamed useAuthenticationProviderV2Context3; set tokenizer=sentencepiece",
+    "Extracted AuthServiceFactory2Impl4Builder from the module",
+    "max_tokens=4096 and secret_santa: Alice",
+  ];
+  for (const note of notes) {
+    const saved = await saveNote(note);
+    assert.deepEqual(saved.secrets_moved, [], note);
+    assert.ok(notesText().includes(note), note);
+  }
+});
+
+test("update_note follows the same rules", async () => {
+  const saved = await saveNote("placeholder");
+  const note = "Switched to AuthServiceFactory2Impl4Builder, api_key=sk_test_placeholder";
+  const kept = await call("update_note", { note_id: saved.note.id, session_id: SESSION, note });
+  assert.deepEqual(kept.secrets_moved, []);
+  assert.ok(notesText().includes(note));
+
+  const moved = await call("update_note", { note_id: saved.note.id, session_id: SESSION, note: "root password: Tr0ub4dor&3" });
+  assert.equal(moved.secrets_moved.length, 1);
+  assert.ok(!notesText().includes("Tr0ub4dor&3"));
+});
+
+test("scan_notes reports guesses for review and redact leaves them in place", async () => {
+  const guess = "x9Kq2LmZ8vR4tW7pN3bY6cJ1";
+  const saved = await saveNote(`Webhook signing value ${guess} and session_token=abcDEF123456`);
+  assert.deepEqual(saved.secrets_moved, []);
+
+  const report = await call("scan_notes", {});
+  const notes = report.sessions.flatMap((s) => s.notes);
+  const found = notes.find((n) => n.id === saved.note.id).found;
+  assert.deepEqual(found.map((f) => [f.kind, f.review]), [["high-entropy string", true], ["secret assignment", true]]);
+  assert.ok(!notes.flatMap((n) => n.found).some((f) => f.masked.includes("AuthService")));
+
+  await call("scan_notes", { redact: true });
+  const text = notesText();
+  assert.ok(text.includes(guess));
+  assert.ok(text.includes("session_token=abcDEF123456"));
+});
+
+test("context_import moves secrets out of imported notes", async () => {
+  const bundle = await exportSessions({
+    [SESSION]: {
+      "task.md": "# Imported session\n",
+      "session_notes.md": "# Session Notes\n\n### [2026-10-11 10:00] #decision\nStaging db password=sunshine\n\n---\n",
+    },
+  });
+  const { args } = bundle;
+  try {
+    const preview = await call("context_import", { ...args, dry_run: true });
+    assert.equal(preview.totals.secrets, 1);
+    assert.deepEqual(preview.secrets_moved, []);
+    assert.ok(!notesText().includes("Staging db"));
+
+    const imported = await call("context_import", args);
+    assert.deepEqual(imported.secrets_moved.map((m) => m.kind), ["password assignment"]);
+    const text = notesText();
+    assert.ok(!text.includes("sunshine"));
+    assert.match(text, /Staging db password=\{\{cred:notes\.PASSWORD(_\d+)?\}\}/);
+    const backups = path.join(path.dirname(fixture.sessionFile(SESSION, "session_notes.md")), ".backups");
+    for (const name of fs.existsSync(backups) ? fs.readdirSync(backups) : []) {
+      assert.ok(!fs.readFileSync(path.join(backups, name), "utf-8").includes("sunshine"), name);
+    }
+
+    const again = await call("context_import", args);
+    assert.equal(again.totals.added, 0);
+    assert.deepEqual(again.secrets_moved, []);
+  } finally {
+    bundle.cleanup();
+  }
+});
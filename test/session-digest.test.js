@@ -0,0 +1,81 @@
+// recall_session over budget: a digest with cursors, paging through a file, and cursors expiring.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { makeHome, connect } from "./helpers.js";
+
+const SESSION = "aaaa1111-0000-0000-0000-000000000001";
+const BUDGET = 1500;
+
+const paragraph = (section, n) => `Paragraph ${n} of ${section}: ${"details about the rollout and its checks. ".repeat(8).trim()}`;
+const WALKTHROUGH = [
+  "# Walkthrough: payments rollout",
+  ...["Setup", "Migration", "Verification", "Cleanup"].map((s) => `## ${s}\n\n${[1, 2, 3].map((n) => paragraph(s, n)).join("\n\n")}`),
+  "Final words: the rollout finished on Friday.",
+].join("\n\n") + "\n";
+
+let fixture;
+let server;
+
+/** recall_session result: its structured data plus the markdown text */
+async function recall(args = {}) {
+  const result = await server.raw("recall_session", { session_id: SESSION, max_chars: BUDGET, ...args });
+  assert.ok(!result.isError, result.content[0].text);
+  return { ...result.structuredContent, text: result.content[0].text };
+}
+const wholeFileCursor = (digest) => digest.text.match(/walkthrough\.md:all:0:[a-f0-9]{6}/)[0];
+
+before(async () => {
+  fixture = makeHome({
+    [SESSION]: {
+      "task.md": "# Payments rollout\n- [x] Setup\n- [ ] Verify refunds\n",
+      "walkthrough.md": WALKTHROUGH,
+    },
+  });
+  server = await connect(fixture.home);
+});
+
+after(async () => {
+  await server?.close();
+  fixture.cleanup();
+});
+
+test("a session over budget comes back as a digest with cursors", async () => {
+  const digest = await recall();
+  assert.equal(digest.mode, "digest");
+  assert.ok(digest.text.length <= BUDGET, `${digest.text.length} chars`);
+  assert.match(digest.text, /Verify refunds/, "open tasks are kept");
+  assert.ok(wholeFileCursor(digest));
+});
+
+test("paging with the whole-file cursor returns the file in order, without gaps", async () => {
+  let cursor = wholeFileCursor(await recall());
+  let expectedFrom = 0;
+  let pages = 0;
+  let collected = "";
+  while (cursor) {
+    const result = await recall({ cursor });
+    assert.equal(result.mode, "page");
+    assert.equal(result.page.from, expectedFrom);
+    assert.ok(result.page.to > result.page.from);
+    collected += result.text.split("\n").slice(3).join("\n");
+    expectedFrom = result.page.to;
+    cursor = result.page.next;
+    pages++;
+  }
+  assert.ok(pages > 1);
+  assert.equal(expectedFrom, WALKTHROUGH.length);
+  for (const section of ["Setup", "Migration", "Verification", "Cleanup"]) assert.match(collected, new RegExp(`Paragraph 3 of ${section}`));
+  assert.match(collected, /finished on Friday/);
+});
+
+test("cursors stop working once the file changes", async () => {
+  const cursor = wholeFileCursor(await recall());
+  fs.appendFileSync(fixture.sessionFile(SESSION, "walkthrough.md"), "\nLate addition.\n");
+  const result = await server.raw("recall_session", { session_id: SESSION, max_chars: BUDGET, cursor });
+  assert.equal(result.isError, true);
+  assert.equal(result.structuredContent.error.code, "CURSOR_EXPIRED");
+
+  const malformed = await server.raw("recall_session", { session_id: SESSION, cursor: "walkthrough.md:nope" });
+  assert.equal(malformed.structuredContent.error.code, "INVALID_ARGUMENT");
+});
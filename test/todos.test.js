@@ -0,0 +1,76 @@
+// Todo notes: due date parsing, impossible dates, urgency and completing a todo.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { makeHome, connect } from "./helpers.js";
+
+const SESSION = "aaaa1111-0000-0000-0000-000000000001";
+
+let fixture;
+let server;
+
+/** YYYY-MM-DD of today + days in local time, the way due dates are resolved */
+function localDay(days) {
+  const now = new Date();
+  const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + days);
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map((n) => String(n).padStart(2, "0")).join("-");
+}
+
+const addTodo = (note, due, priority) => server.call("save_note", { note, session_id: SESSION, due, priority });
+
+before(async () => {
+  fixture = makeHome({ [SESSION]: { "task.md": "# Todo test\n" } });
+  server = await connect(fixture.home);
+});
+
+after(async () => {
+  await server?.close();
+  fixture.cleanup();
+});
+
+test("due dates: calendar dates, leap days and relative forms", async () => {
+  const cases = [
+    ["2028-02-29", "2028-02-29"],
+    ["today", localDay(0)],
+    ["Tomorrow", localDay(1)],
+    ["in 3 days", localDay(3)],
+    ["+10d", localDay(10)],
+  ];
+  for (const [due, expected] of cases) {
+    const saved = await addTodo(`pay invoice (${due})`, due);
+    assert.equal(saved.note.tag, "todo", due);
+    assert.equal(saved.note.meta.due, expected, due);
+  }
+
+  const weekday = await addTodo("standup notes", "friday");
+  const days = Math.round((Date.parse(weekday.note.meta.due) - Date.parse(localDay(0))) / 86400000);
+  assert.ok(days >= 1 && days <= 7, "a weekday is its next occurrence, never today");
+  assert.equal(new Date(`${weekday.note.meta.due}T12:00:00`).getDay(), 5);
+});
+
+test("impossible or unknown due dates are rejected and nothing is saved", async () => {
+  for (const due of ["2026-02-31", "2027-02-29", "2026-13-01", "2026-00-10", "someday", ""]) {
+    const result = await server.raw("save_note", { note: `never saved ${due}`, session_id: SESSION, due });
+    assert.equal(result.isError, true, due);
+    assert.equal(result.structuredContent.error.code, "INVALID_ARGUMENT", due);
+  }
+  const { todos } = await server.call("list_todos", { status: "all" });
+  assert.ok(!todos.some((t) => t.text.startsWith("never saved")));
+});
+
+test("list_todos orders by urgency and complete_todo closes one", async () => {
+  const overdue = await addTodo("renew certificate", localDay(-2), "high");
+  const later = await addTodo("plan offsite", localDay(60), "low");
+  const { todos } = await server.call("list_todos", {});
+  const byId = new Map(todos.map((t) => [t.id, t]));
+  assert.equal(byId.get(overdue.note.id).urgency, "overdue");
+  assert.equal(byId.get(overdue.note.id).priority, "high");
+  assert.equal(byId.get(later.note.id).urgency, null);
+  assert.equal(todos[0].id, overdue.note.id);
+
+  const done = await server.call("complete_todo", { note_id: overdue.note.id });
+  assert.equal(done.todo.status, "done");
+  const open = (await server.call("list_todos", {})).todos;
+  assert.ok(!open.some((t) => t.id === overdue.note.id));
+  const reopened = await server.call("complete_todo", { note_id: overdue.note.id, reopen: true });
+  assert.equal(reopened.todo.status, "open");
+});